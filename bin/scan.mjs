@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+import { setTimeout as delay } from "node:timers/promises";
+import { parseArgs } from "node:util";
+import { EXCHANGES, getExchange } from "../src/engine/exchanges/index.js";
+import { createRequestScheduler } from "../src/engine/requestScheduler.js";
+import { createFetchWithRetry, runScan } from "../src/engine/scanner.js";
+import { FAILURE_REASONS } from "../src/engine/scanStatus.js";
+import { DEFAULT_SESSION_SETTINGS, getIntervalMs, validateSessionSettings } from "../src/engine/sessions.js";
+import { DEFAULT_SIGNAL_RULES, ZONES } from "../src/engine/signals.js";
+import { buildSnapshot, snapshotToCSV } from "../src/engine/snapshot.js";
+import { DEFAULT_UNIVERSE_SETTINGS } from "../src/engine/universe.js";
+
+// --- Headless Scanner ---
+// Runs the dashboard's scan from the command line with the default rules and universe, and prints the
+// symbols in the chosen zones. Results go to stdout; progress, warnings and errors go to stderr.
+
+const EXIT = {
+  MATCHES: 0,
+  NO_MATCHES: 1,
+  USAGE: 2,
+  SCAN_FAILED: 3,
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+const ACTIONABLE_ZONES = ZONES.filter((zone) => zone !== 'NO STRONG SIGNAL' && zone !== 'NO DATA');
+const MAX_WATCH_PERIOD_MS = 60 * 60 * 1000; // Matches the dashboard's staleness cutoff
+
+const USAGE = `Usage: npm run scan -- [options]
+
+Options:
+  --interval <interval>   Kline interval (default 4h)
+  --zone <zone>           Zone to report; repeat for several (default: every PUMP and DUMP zone)
+  --format <format>       ${FORMATS.join(' | ')} (default table)
+  --exchange <id>         ${EXCHANGES.map((exchange) => exchange.id).join(' | ')} (default binance-futures)
+  --base-url <url>        REST API origin to use instead of the exchange's, e.g. a local mock
+  --anchor <HH:MM>        Daily and longer session start (default ${DEFAULT_SESSION_SETTINGS.anchorTime})
+  --timezone <zone>       Session timezone (default ${DEFAULT_SESSION_SETTINGS.timeZone})
+  --watch                 Rescan until interrupted; JSON is written one line per scan
+  --every <seconds>       Seconds between watch scans (default: the interval, at most one hour)
+  -h, --help              Show this help
+
+Exit codes:
+  0  at least one symbol is in the chosen zones
+  1  no symbol is in the chosen zones
+  2  invalid options
+  3  the scan failed or was interrupted before it finished
+In --watch mode the last finished scan sets the exit code.`;
+
+class UsageError extends Error {}
+
+/**
+ * Parses and checks the command-line options.
+ * @param args - The arguments after the script name.
+ * @returns The scan options, or `{ help: true }`.
+ * @throws UsageError for unknown or invalid options.
+ */
+function parseOptions(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        interval: { type: 'string', default: '4h' },
+        zone: { type: 'string', multiple: true },
+        format: { type: 'string', default: 'table' },
+        exchange: { type: 'string', default: 'binance-futures' },
+        'base-url': { type: 'string' },
+        anchor: { type: 'string', default: DEFAULT_SESSION_SETTINGS.anchorTime },
+        timezone: { type: 'string', default: DEFAULT_SESSION_SETTINGS.timeZone },
+        watch: { type: 'boolean', default: false },
+        every: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values.help) return { help: true };
+
+  if (!EXCHANGES.some((exchange) => exchange.id === values.exchange)) {
+    throw new UsageError(`Unknown exchange ${values.exchange}.`);
+  }
+  let baseUrl = null;
+  if (values['base-url']) {
+    try {
+      baseUrl = new URL(values['base-url']).origin;
+    } catch (error) {
+      throw new UsageError(`Invalid base URL ${values['base-url']}.`);
+    }
+  }
+  const exchange = getExchange(values.exchange, baseUrl);
+
+  if (!exchange.intervals.includes(values.interval)) {
+    throw new UsageError(`${exchange.label} has no ${values.interval} interval. Use one of: ${exchange.intervals.join(', ')}.`);
+  }
+  const zones = (values.zone ?? ACTIONABLE_ZONES).map((zone) => zone.toUpperCase());
+  const unknownZone = zones.find((zone) => !ZONES.includes(zone));
+  if (unknownZone) throw new UsageError(`Unknown zone "${unknownZone}". Zones: ${ZONES.join(', ')}.`);
+  if (!FORMATS.includes(values.format)) throw new UsageError(`Unknown format ${values.format}.`);
+
+  const sessionSettings = { anchorTime: values.anchor, timeZone: values.timezone };
+  const sessionError = validateSessionSettings(sessionSettings);
+  if (sessionError) throw new UsageError(sessionError);
+
+  let watchPeriodMs = Math.min(getIntervalMs(values.interval), MAX_WATCH_PERIOD_MS);
+  if (values.every !== undefined) {
+    const seconds = Number(values.every);
+    if (!(seconds > 0)) throw new UsageError('--every must be a positive number of seconds.');
+    watchPeriodMs = seconds * 1000;
+  }
+
+  return {
+    help: false,
+    exchange,
+    interval: values.interval,
+    zones,
+    format: values.format,
+    sessionSettings,
+    watch: values.watch,
+    watchPeriodMs,
+  };
+}
+
+/**
+ * Scans every symbol once.
+ * @param context - The scan context (see scanner.js).
+ * @param interval - The kline interval.
+ * @param signal - AbortSignal that cancels the scan.
+ * @returns `{ signals, failures }`, failures being `[symbol, describeFailure(...)]` pairs.
+ */
+async function scanOnce(context, interval, signal) {
+  const signals = [];
+  const failures = [];
+  await runScan(context, { interval, universe: DEFAULT_UNIVERSE_SETTINGS, prioritySymbols: [], signal }, {
+    onStart: ({ total, universeSize }) => {
+      console.error(`Scanning ${total} of ${universeSize.total} symbols on ${context.exchange.label} (${interval})...`);
+    },
+    onResult: (result) => signals.push(result),
+    onFailure: (symbol, failure) => failures.push([symbol, failure]),
+  });
+  return { signals, failures };
+}
+
+const formatNumber = (value, digits) => (value === null ? '' : value.toFixed(digits));
+
+/**
+ * Lays out snapshot rows as an aligned text table.
+ * @param rows - Snapshot rows (see buildSnapshot).
+ * @returns The table text.
+ */
+function formatTable(rows) {
+  if (rows.length === 0) return 'No symbols in the chosen zones.';
+  const header = ['SYMBOL', 'ZONE', 'PRICE', '24H %', 'RSI', 'PUMP', 'DUMP', 'VOLUME', 'TREND', 'DIVERGENCE'];
+  const lines = rows.map((row) => [
+    row.symbol,
+    row.zone,
+    row.price === null ? '' : String(row.price),
+    formatNumber(row.priceChangePercent, 2),
+    formatNumber(row.rsi, 2),
+    formatNumber(row.rsiPumpStrength, 2),
+    formatNumber(row.rsiDumpStrength, 2),
+    row.volumeColor ?? '',
+    row.trend ?? '',
+    row.divergence ? `${row.divergence} ${row.divergenceStrength.toFixed(1)}` : '',
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => line[i].length)));
+  return [header, ...lines].map((line) => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Writes the symbols in the chosen zones to stdout.
+ * @param options - The parsed options.
+ * @param signals - The scanned signal objects.
+ * @returns The number of symbols written.
+ */
+function printResults(options, signals) {
+  const snapshot = buildSnapshot(signals, DEFAULT_SIGNAL_RULES, options.interval);
+  const rows = snapshot.signals
+    .filter((row) => options.zones.includes(row.zone))
+    .sort((a, b) => ZONES.indexOf(a.zone) - ZONES.indexOf(b.zone) || a.symbol.localeCompare(b.symbol));
+  const filtered = { ...snapshot, exchange: options.exchange.id, signals: rows };
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(filtered));
+  } else if (options.format === 'csv') {
+    console.log(snapshotToCSV(filtered));
+  } else {
+    if (options.watch) console.log(`\n${snapshot.exportedAt}`);
+    console.log(formatTable(rows));
+  }
+  return rows.length;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT.MATCHES;
+  }
+
+  const { exchange } = options;
+  const scheduler = createRequestScheduler({
+    weightLimit: exchange.weightLimit,
+    windowMs: exchange.weightWindowMs,
+    getWeight: exchange.getWeight,
+  });
+  const context = {
+    exchange,
+    fetchWithRetry: createFetchWithRetry(scheduler),
+    getSettings: () => ({ rules: DEFAULT_SIGNAL_RULES, sessionSettings: options.sessionSettings }),
+  };
+
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  let exitCode = EXIT.SCAN_FAILED; // Until a scan completes
+  while (!controller.signal.aborted) {
+    try {
+      const { signals, failures } = await scanOnce(context, options.interval, controller.signal);
+      // An interrupted scan resolves with the symbols it got through; it isn't a result
+      if (controller.signal.aborted) break;
+      for (const [symbol, failure] of failures) {
+        console.error(`Skipped ${symbol}: ${FAILURE_REASONS[failure.reason]}${failure.message ? ` (${failure.message})` : ''}`);
+      }
+      exitCode = printResults(options, signals) > 0 ? EXIT.MATCHES : EXIT.NO_MATCHES;
+    } catch (error) {
+      if (error.name === 'AbortError') break;
+      console.error(error.message);
+      exitCode = EXIT.SCAN_FAILED;
+    }
+    if (!options.watch) break;
+
+    try {
+      await delay(options.watchPeriodMs, undefined, { signal: controller.signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  }
+  return exitCode;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = EXIT.SCAN_FAILED;
+  }
+);
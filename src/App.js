@@ -1,495 +1,629 @@
-import { useEffect, useState, useMemo } from "react";
+import { useEffect, useState, useMemo, useRef } from "react";
+import { createKlineStream, mergeCandle } from "./klineStream";
+import { createScanClient } from "./scanClient";
+import { analyzeCandles } from "./engine/analysis";
+import { DEFAULT_EXCHANGE_ID, EXCHANGES, getExchange } from "./engine/exchanges";
+import { loadSessionSettings, loadUniverseSettings, saveSessionSettings, saveUniverseSettings } from "./settingsStorage";
+import { calculateBreadth } from "./breadth";
+import { createScanStatus, getStaleness } from "./engine/scanStatus";
+import { buildZoneStays, formatDuration, historyKey, loadSignalHistory, recordSnapshot, saveSignalHistory } from "./signalHistory";
+import { evictStaleKlines, clearKlineCache } from "./engine/klineCache";
+import { DEFAULT_WEIGHT_WINDOW_MS } from "./engine/requestScheduler";
+import { getSignal, ZONES } from "./engine/signals";
+import { runBacktest } from "./backtest";
+import {
+  detectZoneTransitions,
+  loadAlertSettings,
+  saveAlertSettings,
+  loadAlertLog,
+  saveAlertLog,
+  showDesktopNotification,
+  playAlertSound,
+} from "./alerts";
+import { loadActiveRules, saveActiveRules } from "./rulePresets";
+import { loadScreens, matchesScreen, saveScreens } from "./screener";
+import {
+  AUTO_ENTRY_SIDES,
+  closePosition,
+  createAccount,
+  getOpenPositionError,
+  loadPaperAccount,
+  loadPaperSettings,
+  markToMarket,
+  openPosition,
+  savePaperAccount,
+  savePaperSettings,
+} from "./paperTrading";
+import ConfluenceMatrix from "./components/ConfluenceMatrix";
+import RulesPanel from "./components/RulesPanel";
+import UniversePanel from "./components/UniversePanel";
+import DataTable from "./components/DataTable";
+import { buildZoneColumns } from "./components/zoneColumns";
+import { buildUrlSearch, DEFAULT_TREND_FILTERS, parseUrlState, replaceUrlSearch } from "./urlState";
+import { buildSnapshot, snapshotToCSV } from "./engine/snapshot";
+import { downloadText } from "./exportSignals";
+import { readStorage, writeStorage } from "./storage";
+import { formatInterval, KLINE_INTERVALS } from "./engine/sessions";
+import SymbolDetail from "./components/SymbolDetail";
+import AlertsPanel from "./components/AlertsPanel";
+import SessionControls from "./components/SessionControls";
+import SignalHistoryPanel from "./components/SignalHistoryPanel";
+import MarketBreadthPanel from "./components/MarketBreadthPanel";
+import ScanStatusPanel from "./components/ScanStatusPanel";
+import ScreenerPanel from "./components/ScreenerPanel";
+import PaperTradingPanel, { buildTradeColumn } from "./components/PaperTradingPanel";
+
+const TIMEFRAMES = KLINE_INTERVALS;
+const DEFAULT_VIEW = { timeframe: '1d', zone: 'MAX ZONE PUMP' };
+const ZONE_TABLE_STORAGE_KEY = 'zoneTableState';
+const EXCHANGE_STORAGE_KEY = 'exchange';
+
+const SCAN_FLUSH_MS = 1000; // How often scan results are pushed into state
 
-// --- Utility Functions ---
 /**
- * Calculates the Exponential Moving Average (EMA) for a given dataset.
- * @param data - The array of numbers (e.g., closing prices) to calculate EMA for.
- * @param period - The period (number of data points) for the EMA calculation.
- * @returns An array containing the EMA values, with NaN for initial periods.
+ * Replaces signals for symbols that are already listed and appends the rest, keeping the existing order.
+ * @param existing - The current signal array.
+ * @param updates - New signal objects.
+ * @returns A new signal array.
  */
-function calculateEMA(data, period) {
-  const k = 2 / (period + 1); // Smoothing constant
-  const ema = [];
-  let previousEma = null;
-
-  for (let i = 0; i < data.length; i++) {
-    // For the initial periods before enough data for SMA, push NaN
-    if (i < period - 1) {
-      ema.push(NaN);
-      continue;
-    }
-    // Calculate initial Simple Moving Average (SMA) for the first EMA point
-    if (i === period - 1) {
-      const sma = data.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
-      previousEma = sma;
-    }
-    // Calculate EMA using the formula: CurrentPrice * K + PreviousEMA * (1 - K)
-    if (previousEma !== null) {
-      const currentEma = data[i] * k + previousEma * (1 - k);
-      ema.push(currentEma);
-      previousEma = currentEma;
-    }
-  }
-  return ema;
-}
-
-/**
- * Calculates the Relative Strength Index (RSI) for a given set of closing prices.
- * @param closes - An array of closing prices.
- * @param period - The period (number of data points) for the RSI calculation.
- * @returns An array containing the RSI values, with NaN for initial periods.
- */
-function calculateRSI(closes, period = 3) {
-  if (!Array.isArray(closes) || closes.length <= period) {
-    return [];
-  }
-
-  const rsi = [];
-  let gains = 0;
-  let losses = 0;
-
-  for (let i = 1; i <= period; i++) {
-    const diff = closes[i] - closes[i - 1];
-    if (diff > 0) {
-      gains += diff;
-    } else {
-      losses -= diff;
-    }
-  }
-
-  let avgGain = gains / period;
-  let avgLoss = losses / period;
-  let rs = avgLoss === 0 ? Number.POSITIVE_INFINITY : avgGain / avgLoss;
-  rsi[period] = 100 - 100 / (1 + rs);
-
-  for (let i = period + 1; i < closes.length; i++) {
-    const diff = closes[i] - closes[i - 1];
-    const gain = diff > 0 ? diff : 0;
-    const loss = diff < 0 ? -diff : 0;
-
-    avgGain = (avgGain * (period - 1) + gain) / period;
-    avgLoss = (avgLoss * (period - 1) + loss) / period;
-
-    rs = avgLoss === 0 ? Number.POSITIVE_INFINITY : avgGain / avgLoss;
-    rsi[i] = 100 - 100 / (1 + rs);
-  }
+const upsertSignals = (existing, updates) => {
+  const bySymbol = new Map(updates.map((s) => [s.symbol, s]));
+  const merged = existing.map((s) => bySymbol.get(s.symbol) || s);
+  const existingSymbols = new Set(existing.map((s) => s.symbol));
+  return [...merged, ...updates.filter((s) => !existingSymbols.has(s.symbol))];
+};
 
-  for (let i = 0; i < period; i++) {
-    rsi[i] = NaN;
-  }
+const getSymbol = (s) => s.symbol; // Row key and search text for the zone table
 
-  return rsi;
-}
+// Label of the request scheduler's window, e.g. "1m" or "2s"
+const formatWeightWindow = (windowMs) => (windowMs % 60000 === 0 ? `${windowMs / 60000}m` : `${windowMs / 1000}s`);
 
-/**
- * Calculates the recent RSI difference (pump/dump strength) over a lookback period.
- * @param rsi - The array of RSI values.
- * @param lookback - The number of recent RSI values to consider.
- * @returns An object containing recent high/low RSI, pump/dump strength, direction, and overall strength, or null if data is insufficient.
- */
-function getRecentRSIDiff(rsi, lookback = 14) {
-  if (rsi.length < lookback) return null;
+// --- Main App Component ---
+export default function App() {
+  // Scan results are kept per timeframe so switching doesn't throw away the other timeframes
+  const [signalsByTimeframe, setSignalsByTimeframe] = useState({});
+  const [loading, setLoading] = useState(true);
+  // A shared link's view wins over the stored table sort; read once on mount
+  const [initialView] = useState(() => parseUrlState(window.location.search, { timeframes: TIMEFRAMES, zones: ZONES }));
+  const [timeframe, setTimeframe] = useState(initialView.timeframe || DEFAULT_VIEW.timeframe);
+  const [selectedZone, setSelectedZone] = useState(initialView.zone || DEFAULT_VIEW.zone);
+  const [tableSort, setTableSort] = useState(() => initialView.sort || readStorage(ZONE_TABLE_STORAGE_KEY, {}).sort || null);
+  const [selectedSymbol, setSelectedSymbol] = useState(null); // Symbol shown in the detail drawer
+  const [trendFilters, setTrendFilters] = useState(() => ({ ...DEFAULT_TREND_FILTERS, ...initialView.trendFilters }));
+  const [lastUpdatedByTimeframe, setLastUpdatedByTimeframe] = useState({});
+  const completedScansRef = useRef({}); // Timeframes whose scan has finished and can be reused
+  const [liveMode, setLiveMode] = useState(false);
+  const [streamStatus, setStreamStatus] = useState('idle');
+  const [scanId, setScanId] = useState(0); // Bumped to force a fresh REST scan
+  const [cacheCleared, setCacheCleared] = useState(false);
+  const streamRef = useRef(null);
+  const [exchangeId, setExchangeId] = useState(() => readStorage(EXCHANGE_STORAGE_KEY, DEFAULT_EXCHANGE_ID));
+  const exchange = getExchange(exchangeId);
+  const [usageByExchange, setUsageByExchange] = useState({}); // Request scheduler usage, reported by the scan worker
+  const weightUsage = usageByExchange[exchange.id] || {
+    usedWeight: 0,
+    weightLimit: exchange.weightLimit,
+    windowMs: exchange.weightWindowMs ?? DEFAULT_WEIGHT_WINDOW_MS,
+    queued: 0,
+    active: 0,
+  };
+  const visibleSymbolsRef = useRef([]); // Symbols in the open zone table, fetched first by the scheduler
+  const [backtestHorizon, setBacktestHorizon] = useState(10);
+  const [backtestResults, setBacktestResults] = useState({}); // Keyed by timeframe so runs on other timeframes are kept
+  const [rules, setRules] = useState(loadActiveRules);
+  const rulesRef = useRef(rules); // Read by the stream and for incoming scan results so a rules change doesn't restart them
+  const [sessionSettings, setSessionSettings] = useState(loadSessionSettings);
+  const sessionRef = useRef(sessionSettings);
+  const [universe, setUniverse] = useState(loadUniverseSettings);
+  const universeRef = useRef(universe); // Read when a scan starts; applying new settings triggers a rescan
+  const [universeSize, setUniverseSize] = useState(null); // { eligible, total } from the latest symbol list
+  const [screens, setScreens] = useState(loadScreens); // Saved screener screens by name
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [alertLog, setAlertLog] = useState(loadAlertLog);
+  const zoneBaselineRef = useRef({ byTimeframe: {}, stale: false }); // Last known zone per timeframe and symbol
+  const lastAlertAtRef = useRef({}); // Per-symbol time of the last alert, for the cooldown
+  const [signalHistory, setSignalHistory] = useState(loadSignalHistory); // Completed scan snapshots per exchange and timeframe
+  const [historySaveFailed, setHistorySaveFailed] = useState(false); // The browser refused the last history write
+  const [scanStatusByTimeframe, setScanStatusByTimeframe] = useState({}); // Progress and failures of each timeframe's latest scan
+  const scanClientRef = useRef(null); // Talks to the scan worker; created on mount
+  const retryJobsRef = useRef(new Set()); // Retries in flight, cancelled on exchange switch
+  const settingsVersionRef = useRef(0); // Bumped on every rules or session change, see scanProtocol.js
+  const [now, setNow] = useState(Date.now); // Clock for the scan ETA and row staleness
+  const [paperSettings, setPaperSettings] = useState(loadPaperSettings);
+  const [paperAccount, setPaperAccount] = useState(loadPaperAccount);
+  const [paperError, setPaperError] = useState(null); // Why the last manual order was rejected
+  const openPaperPositionRef = useRef(null); // Latest order handler, so the zone table columns don't change with it
+
+  const signals = useMemo(() => signalsByTimeframe[timeframe] || [], [signalsByTimeframe, timeframe]);
+  const lastUpdated = lastUpdatedByTimeframe[timeframe];
+
+  // The scan worker lives as long as the dashboard. Declared before the scan effect so it exists when that runs.
+  useEffect(() => {
+    const client = createScanClient();
+    client.onUsage((id, usage) => setUsageByExchange((prev) => ({ ...prev, [id]: usage })));
+    scanClientRef.current = client;
+    return () => {
+      scanClientRef.current = null;
+      client.terminate();
+    };
+  }, []);
 
-  const recentRSI = rsi.slice(-lookback);
-  let recentHigh = -Infinity;
-  let recentLow = Infinity; // Correctly declared here
+  const currentSettings = () => ({ rules: rulesRef.current, sessionSettings: sessionRef.current, version: settingsVersionRef.current });
 
-  for (const value of recentRSI) {
-    if (!isNaN(value)) {
-      if (value > recentHigh) recentHigh = value;
-      if (value < recentLow) recentLow = value; // Fixed: Changed 'low' to 'recentLow'
-    }
-  }
-
-  const pumpStrength = recentHigh - recentLow;
-  const dumpStrength = Math.abs(recentLow - recentHigh);
-
-  const startRSI = recentRSI[0];
-  const endRSI = recentRSI[recentRSI.length - 1];
-  const direction = endRSI > startRSI ? 'pump' : endRSI < startRSI ? 'dump' : 'neutral';
-  const strength = Math.abs(endRSI - startRSI);
-
-  return {
-    recentHigh,
-    recentLow,
-    pumpStrength,
-    dumpStrength,
-    direction,
-    strength
+  /**
+   * Takes over a signal object from the scan worker. Results arrive as copies, so they're re-linked to the
+   * current rules object, which the alert logic compares by identity, or re-analyzed if the rules or
+   * sessions changed after the worker analyzed them.
+   * @param signal - The signal object from the worker.
+   * @param settingsVersion - The settings version it was analyzed with.
+   * @returns The signal object to keep in state.
+   */
+  const adoptSignal = (signal, settingsVersion) => {
+    if (settingsVersion === settingsVersionRef.current) return { ...signal, rules: rulesRef.current };
+    const analyzed = {
+      ...analyzeCandles(signal.symbol, signal.candles, signal.interval, signal.market, rulesRef.current, sessionRef.current),
+      updatedAt: signal.updatedAt,
+    };
+    return signal.fromCache ? { ...analyzed, fromCache: true } : analyzed;
   };
-}
 
-/**
- * Determines a trading signal based on RSI pump/dump zones.
- * @param s - An object containing signal data, specifically `rsi14`.
- * @returns A string representing the detected signal (e.g., 'MAX ZONE PUMP', 'NO STRONG SIGNAL').
- */
-const getSignal = (s) => {
-  const pumpDump = s.rsi14 ? getRecentRSIDiff(s.rsi14, 14) : null;
-  if (!pumpDump) return 'NO DATA';
-
-  const direction = pumpDump.direction;
-  const strength = pumpDump.strength;
-  const pump = pumpDump.pumpStrength;
-  const dump = pumpDump.dumpStrength;
+  // Run the scan for the current timeframe in the worker. Results are flushed into state periodically
+  // rather than per symbol; cleanup cancels the scan, which aborts its queued and in-flight requests.
+  useEffect(() => {
+    // Reuse a finished scan for this timeframe instead of fetching it again
+    if (completedScansRef.current[timeframe]) {
+      setLoading(false);
+      return;
+    }
 
-  // Corrected the 'inRange' function logic as it was `val >= min && val >= max` instead of `val >= min && val <= max`
-  const inRange = (val, min, max) =>
-    val !== undefined && val >= min && val <= max;
+    // Initialize/reset this timeframe's signals and loading state on initial load or rescan
+    setSignalsByTimeframe((prev) => ({ ...prev, [timeframe]: [] }));
+    setScanStatusByTimeframe((prev) => ({ ...prev, [timeframe]: null })); // Set once the symbol list is in
+    setLoading(true);
+    setLastUpdatedByTimeframe((prev) => ({ ...prev, [timeframe]: null })); // Reset last updated timestamp
+
+    const setStatus = (status) => setScanStatusByTimeframe((prev) => ({ ...prev, [timeframe]: status }));
+    let status = null; // Created when the worker reports the universe size
+    let pending = [];
+    const results = []; // Everything this scan produced, for the history snapshot
+    const flush = () => {
+      if (status) setStatus({ ...status, failures: { ...status.failures } });
+      if (pending.length === 0) return;
+      const batch = pending;
+      pending = [];
+      setSignalsByTimeframe((prev) => ({
+        ...prev,
+        // Fresh results replace any cached ones
+        [timeframe]: upsertSignals(prev[timeframe] || [], batch),
+      }));
+      // Update last updated timestamp after processing a batch
+      setLastUpdatedByTimeframe((prev) => ({ ...prev, [timeframe]: new Date().toLocaleTimeString() }));
+    };
+    const flushTimer = setInterval(flush, SCAN_FLUSH_MS);
+
+    const scan = scanClientRef.current.startScan({
+      exchangeId: exchange.id,
+      interval: timeframe,
+      universe: universeRef.current,
+      prioritySymbols: visibleSymbolsRef.current, // Symbols already on screen (e.g. from the cache) are refreshed first
+      settings: currentSettings(),
+    }, {
+      // Show the previous results from the cache right away; the scan replaces them as fresh data arrives
+      onCached: (cachedSignals, settingsVersion) => {
+        const adopted = cachedSignals.map((s) => adoptSignal(s, settingsVersion));
+        setSignalsByTimeframe((prev) => {
+          const fresh = prev[timeframe] || [];
+          const freshSymbols = new Set(fresh.map((s) => s.symbol));
+          return { ...prev, [timeframe]: [...fresh, ...adopted.filter((s) => !freshSymbols.has(s.symbol))] };
+        });
+      },
+      onProgress: ({ done, total, universeSize }) => {
+        if (universeSize) {
+          status = createScanStatus(total);
+          setUniverseSize(universeSize);
+        }
+        status.done = done;
+      },
+      onResult: (signal, settingsVersion) => {
+        const adopted = adoptSignal(signal, settingsVersion);
+        pending.push(adopted);
+        results.push(adopted);
+      },
+      onFailure: (symbol, failure) => {
+        status.failures[symbol] = failure;
+      },
+      onComplete: () => {
+        clearInterval(flushTimer);
+        status.finishedAt = Date.now();
+        flush();
+        completedScansRef.current[timeframe] = true;
+        // Cached entries that weren't refreshed belong to symbols that are delisted or failed to load
+        setSignalsByTimeframe((prev) => ({ ...prev, [timeframe]: (prev[timeframe] || []).filter((s) => !s.fromCache) }));
+        if (results.length > 0) {
+          setSignalHistory((prev) => recordSnapshot(prev, historyKey(exchange.id, timeframe), results, rulesRef.current));
+        }
+        setLoading(false); // All symbols processed
+      },
+      // A scan that can't start is reported in the status panel, where it can be retried
+      onError: (message) => {
+        clearInterval(flushTimer);
+        console.error(message);
+        setStatus({ ...createScanStatus(0), finishedAt: Date.now(), error: message });
+        setLoading(false);
+      },
+    });
 
-  const isAbove30 = (val) =>
-    val !== undefined && val >= 30;
+    return () => {
+      clearInterval(flushTimer);
+      scan.cancel();
+    };
+  }, [exchange.id, timeframe, scanId]); // Rerun effect when the exchange or timeframe changes or a rescan is requested
 
-  const pumpAbove30 = isAbove30(pump);
-  const dumpAbove30 = isAbove30(dump);
+  // Open the kline stream while live mode is on. Streamed candles are merged into the
+  // REST-loaded history and re-analyzed, since EMA200 needs far more bars than the stream sends.
+  useEffect(() => {
+    if (!liveMode) return;
+
+    const stream = createKlineStream({
+      url: exchange.streamUrl,
+      onKlines: (batch, interval) => {
+        setSignalsByTimeframe((prev) => ({
+          ...prev,
+          [interval]: (prev[interval] || []).map((s) => {
+            const candle = batch.get(s.symbol);
+            if (!candle) return s;
+            return {
+              ...analyzeCandles(s.symbol, mergeCandle(s.candles, candle), s.interval, s.market, rulesRef.current, sessionRef.current),
+              updatedAt: Date.now(),
+            };
+          }),
+        }));
+        setLastUpdatedByTimeframe((prev) => ({ ...prev, [interval]: new Date().toLocaleTimeString() }));
+      },
+      onStatus: (status) => {
+        setStreamStatus(status);
+        if (status === 'failed') {
+          // Fall back to the REST path with a fresh scan; cached timeframes are stale by now too
+          setLiveMode(false);
+          completedScansRef.current = {};
+          setScanId((id) => id + 1);
+        }
+      },
+    });
+    streamRef.current = stream;
 
-  const pumpInRange_21_26 = inRange(pump, 21, 26);
-  const dumpInRange_21_26 = inRange(dump, 21, 26);
+    return () => {
+      streamRef.current = null;
+      stream.close();
+    };
+  }, [liveMode, exchange.streamUrl]);
 
-  const pumpInRange_1_10 = inRange(pump, 1, 10);
-  const dumpInRange_1_10 = inRange(dump, 1, 10);
+  // Re-evaluate the already-fetched candles of every timeframe when the rules or sessions change, without refetching
+  useEffect(() => {
+    rulesRef.current = rules;
+    sessionRef.current = sessionSettings;
+    settingsVersionRef.current++;
+    scanClientRef.current?.updateSettings(currentSettings());
+    saveActiveRules(rules);
+    saveSessionSettings(sessionSettings);
+    setSignalsByTimeframe((prev) => Object.fromEntries(
+      Object.entries(prev).map(([tf, tfSignals]) => [
+        tf,
+        tfSignals.map((s) => {
+          const analyzed = { ...analyzeCandles(s.symbol, s.candles, s.interval, s.market, rules, sessionSettings), updatedAt: s.updatedAt };
+          return s.fromCache ? { ...analyzed, fromCache: true } : analyzed;
+        }),
+      ])
+    ));
+  }, [rules, sessionSettings]);
 
-  // ✅ MAX ZONE - Separate pump/dump
-  if (direction === 'pump' && pumpAbove30) return 'MAX ZONE PUMP';
-  if (direction === 'dump' && dumpAbove30) return 'MAX ZONE DUMP';
+  useEffect(() => {
+    saveAlertSettings(alertSettings);
+  }, [alertSettings]);
 
-  // ✅ BALANCE ZONE - Separate pump/dump
-  if (pumpInRange_21_26 && direction === 'pump') return 'BALANCE ZONE PUMP';
-  if (dumpInRange_21_26 && direction === 'dump') return 'BALANCE ZONE DUMP';
+  useEffect(() => {
+    setHistorySaveFailed(!saveSignalHistory(signalHistory));
+  }, [signalHistory]);
 
-  // ✅ LOWEST ZONE - Separate pump/dump
-  if (pumpInRange_1_10 && direction === 'pump') return 'LOWEST ZONE PUMP';
-  if (dumpInRange_1_10 && direction === 'dump') return 'LOWEST ZONE DUMP';
+  useEffect(() => {
+    saveScreens(screens);
+  }, [screens]);
 
-  return 'NO STRONG SIGNAL';
-};
+  useEffect(() => {
+    savePaperSettings(paperSettings);
+  }, [paperSettings]);
 
-// --- Main App Component ---
-export default function App() {
-  const [signals, setSignals] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [timeframe, setTimeframe] = useState('1d'); // Default to 1d
-  const [lastUpdated, setLastUpdated] = useState(null);
+  useEffect(() => {
+    savePaperAccount(paperAccount);
+  }, [paperAccount]);
 
-  // Utility to generate UTC timestamp at specific hour
-  const getUTCMillis = (year, month, date, hour, minute) => {
-    return Date.UTC(year, month, date, hour, minute);
-  };
+  // Mark paper positions to the latest close of their symbol on any timeframe. Cached rows may be out of
+  // date, so only freshly fetched or streamed candles move positions.
+  useEffect(() => {
+    const latest = new Map();
+    for (const tfSignals of Object.values(signalsByTimeframe)) {
+      for (const s of tfSignals) {
+        if (s.fromCache || s.closes.length === 0) continue;
+        const seen = latest.get(s.symbol);
+        if (!seen || s.updatedAt > seen.updatedAt) latest.set(s.symbol, s);
+      }
+    }
+    const prices = new Map([...latest].map(([symbol, s]) => [symbol, s.closes.at(-1)]));
+    setPaperAccount((prev) => markToMarket(prev, prices, exchange.id));
+  }, [signalsByTimeframe, exchange.id]);
 
-  /**
-   * Calculates session start and end times based on the selected timeframe.
-   * For '1d', it uses a custom 8 AM PH time (UTC+8) session.
-   * For '15m' and '4h', it calculates generic fixed-interval sessions.
-   * @param tf - The selected timeframe ('15m', '4h', '1d').
-   * @returns An object containing session start/end and previous session start/end timestamps in milliseconds.
-   */
-  const getSessions = (tf) => {
-    const now = new Date();
-    const timeframeToUse = tf || timeframe; // Use passed tf or component's timeframe state
-
-    if (!timeframeToUse || timeframeToUse === '1d') {
-      const year = now.getUTCFullYear();
-      const month = now.getUTCMonth();
-      const date = now.getUTCDate();
-
-      const getUTCMillisFor1d = (y, m, d, hPH, min) =>
-        Date.UTC(y, m, d, hPH - 8, min); // UTC+8 to UTC conversion for PH time
-
-      const today8AM_UTC = getUTCMillisFor1d(year, month, date, 8, 0);
-      const tomorrow745AM_UTC = getUTCMillisFor1d(year, month, date + 1, 7, 45);
-
-      let sessionStart, sessionEnd;
-      if (now.getTime() >= today8AM_UTC) {
-        sessionStart = today8AM_UTC;
-        sessionEnd = tomorrow745AM_UTC;
-      } else {
-        const yesterday8AM_UTC = getUTCMillisFor1d(year, month, date - 1, 8, 0);
-        const today745AM_UTC = getUTCMillisFor1d(year, month, date, 7, 45);
-        sessionStart = yesterday8AM_UTC;
-        sessionEnd = today745AM_UTC;
+  // Detect zone transitions between successive evaluations, raise alerts for the enabled zones/timeframes and
+  // open paper positions on entries into the auto-entry zones
+  useEffect(() => {
+    const baseline = zoneBaselineRef.current;
+    // While signals are being re-evaluated for new rules, zones move without the market moving,
+    // so only re-baseline until every object has been analyzed with the current rules
+    const stale = Object.values(signalsByTimeframe).some((tfSignals) => tfSignals.some((s) => s.rules !== rules));
+    const rebaseline = stale || baseline.stale;
+    baseline.stale = stale;
+
+    const now = Date.now();
+    const entries = [];
+    const orders = [];
+    for (const [tf, tfSignals] of Object.entries(signalsByTimeframe)) {
+      const { zones, transitions } = detectZoneTransitions(baseline.byTimeframe[tf] || new Map(), tfSignals, rules);
+      baseline.byTimeframe[tf] = zones;
+      if (rebaseline) continue;
+
+      // Transitions never start from a zone restored from the cache (see detectZoneTransitions), so a
+      // stale cached row can't trigger an entry when the first fresh result for its symbol arrives
+      if (paperSettings.autoEnter && tf === paperSettings.autoTimeframe) {
+        for (const { signal, zone } of transitions) {
+          if (!AUTO_ENTRY_SIDES[zone]) continue;
+          orders.push({
+            symbol: signal.symbol,
+            exchangeId: exchange.id,
+            timeframe: tf,
+            side: AUTO_ENTRY_SIDES[zone],
+            price: signal.closes.at(-1),
+            zone,
+            source: 'auto',
+          });
+        }
       }
 
-      const prevSessionStart = getUTCMillisFor1d(year, month, date - 1, 8, 0);
-      const prevSessionEnd = getUTCMillisFor1d(year, month, date, 7, 45);
+      if (!alertSettings.enabled || !alertSettings.timeframes[tf]) continue;
+
+      for (const { signal, fromZone, zone } of transitions) {
+        if (!alertSettings.zones[zone]) continue;
+        if (now - (lastAlertAtRef.current[signal.symbol] || 0) < alertSettings.cooldownMinutes * 60 * 1000) continue;
+        lastAlertAtRef.current[signal.symbol] = now;
+        entries.push({
+          id: `${now}-${tf}-${signal.symbol}`,
+          symbol: signal.symbol,
+          zone,
+          fromZone,
+          timeframe: tf,
+          price: Number(signal.closes.at(-1).toPrecision(6)),
+          time: now,
+        });
+      }
+    }
 
-      return { sessionStart, sessionEnd, prevSessionStart, prevSessionEnd };
-    } else {
-      const nowMillis = now.getTime();
-      const MILLISECONDS = {
-        '15m': 15 * 60 * 1000,
-        '4h': 4 * 60 * 60 * 1000,
-      };
+    // Orders that can't be placed (already open, no price, not enough balance) are skipped
+    if (orders.length > 0) {
+      setPaperAccount((prev) => orders.reduce((account, order) => (
+        getOpenPositionError(account, order, paperSettings) ? account : openPosition(account, order, paperSettings, now)
+      ), prev));
+    }
 
-      const tfMillis = MILLISECONDS[timeframeToUse];
-      const sessionStart = Math.floor(nowMillis / tfMillis) * tfMillis;
-      const sessionEnd = sessionStart + tfMillis;
-      const prevSessionStart = sessionStart - tfMillis;
-      const prevSessionEnd = sessionStart;
+    if (entries.length === 0) return;
+    if (alertSettings.desktop) entries.forEach(showDesktopNotification);
+    if (alertSettings.sound) playAlertSound();
+    setAlertLog((prev) => saveAlertLog([...entries, ...prev]));
+  }, [signalsByTimeframe, rules, alertSettings, paperSettings, exchange.id]);
 
-      return { sessionStart, sessionEnd, prevSessionStart, prevSessionEnd };
-    }
+  const handleClearAlertLog = () => {
+    setAlertLog(saveAlertLog([]));
   };
 
-  /**
-   * Fetches data from a given URL with exponential backoff and specific error handling for Binance API.
-   * @param url - The URL to fetch data from.
-   * @param retries - The maximum number of retries.
-   * @param delay - The initial delay in milliseconds before retrying.
-   * @returns The JSON response data, or null if an invalid symbol error occurs or all retries fail.
-   */
-  const fetchWithRetry = async (url, retries = 5, delay = 1000) => {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url);
-        if (response.status === 429 || response.status === 418) { // 429 Too Many Requests, 418 I'm a teapot (Binance sometimes uses this)
-          const retryAfter = response.headers.get('Retry-After');
-          const waitTime = retryAfter ? parseInt(retryAfter, 10) * 1000 : delay * Math.pow(2, i);
-          console.warn(`Rate limit hit. Retrying in ${waitTime / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          continue; // Retry the request
-        }
-        if (!response.ok) {
-          const errorBody = await response.json();
-          // Check for Binance specific error codes for IP ban or invalid symbol
-          if (errorBody.code === -1003) { // IP ban
-            console.warn(`Binance IP ban detected. Retrying in ${delay * Math.pow(2, i) / 1000}s...`);
-            await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
-            continue; // Retry the request
-          } else if (errorBody.code === -1121 || errorBody.msg === "Invalid symbol." || errorBody.msg === "Invalid symbol status.") {
-            // Specific handling for invalid symbol errors: return null to skip this symbol
-            console.warn(`Invalid symbol encountered for URL: ${url}. Skipping this symbol.`);
-            return null;
-          }
-          throw new Error(`HTTP error! status: ${response.status}, message: ${errorBody.msg || response.statusText}`);
-        }
-        return await response.json();
-      } catch (error) {
-        console.error(`Attempt ${i + 1} failed for ${url}:`, error);
-        if (i < retries - 1) {
-          const waitTime = delay * Math.pow(2, i);
-          console.log(`Retrying in ${waitTime / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        } else {
-          // If all retries fail, for a symbol-specific error, return null.
-          // For other critical errors, re-throw.
-          if (error instanceof Error && error.message.includes("Invalid symbol")) { // Check for the specific message from previous handling
-            return null;
-          }
-          throw error; // Re-throw if all retries fail for other reasons
-        }
-      }
+  // Open a paper position at a zone table row's latest close
+  const handleOpenPaperPosition = (s, side) => {
+    if (s.fromCache) {
+      setPaperError(`${s.symbol} is showing cached candles; wait for the scan to refresh it.`);
+      return;
     }
-    return null; // Should not be reached if retries > 0 and no error, but as a fallback
+    const order = {
+      symbol: s.symbol,
+      exchangeId: exchange.id,
+      timeframe: s.interval,
+      side,
+      price: s.closes.at(-1),
+      zone: getSignal(s, rules),
+      source: 'manual',
+    };
+    const error = getOpenPositionError(paperAccount, order, paperSettings);
+    setPaperError(error);
+    if (error) return;
+    setPaperAccount((prev) => openPosition(prev, order, paperSettings));
   };
+  openPaperPositionRef.current = handleOpenPaperPosition;
 
+  // Positions are closed at their last mark
+  const handleClosePaperPosition = (id) => {
+    setPaperAccount((prev) => closePosition(prev, id, prev.positions.find((p) => p.id === id)?.lastPrice));
+  };
 
-  useEffect(() => {
-    let isMounted = true;
-    const BATCH_SIZE = 10;
-    const INTERVAL_MS = 1000; // Base interval between batches
-    let currentIndex = 0;
-    let symbols = [];
-
-    /**
-     * Fetches and analyzes data for a single cryptocurrency symbol.
-     * @param symbol - The cryptocurrency symbol (e.g., "BTCUSDT").
-     * @param interval - The candlestick interval (e.g., "15m", "4h", "1d").
-     * @returns An object containing analyzed signal data for the symbol, or null if an error occurs.
-     */
-    const fetchAndAnalyze = async (symbol, interval) => {
-      // Fetch klines data
-      const raw = await fetchWithRetry(
-        `https://fapi.binance.com/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=500`
-      );
-
-      // If raw is null (due to invalid symbol or other fetch error), skip this symbol
-      if (raw === null) {
-        return null;
-      }
-
-      const candles = raw.map((c) => ({
-        timestamp: c[0],
-        open: +c[1],
-        high: +c[2],
-        low: +c[3],
-        close: +c[4],
-        volume: +c[5],
-      }));
+  const handleResetPaperAccount = () => {
+    setPaperAccount(createAccount(paperSettings.startingBalance));
+    setPaperError(null);
+  };
 
-      const closes = candles.map((c) => c.close);
-      const opens = candles.map((c) => c.open);
-      const highs = candles.map((c) => c.high);
-      const lows = candles.map((c) => c.low);
+  const currentHistoryKey = historyKey(exchange.id, timeframe);
+  const historySnapshots = useMemo(() => signalHistory[currentHistoryKey] || [], [signalHistory, currentHistoryKey]);
 
-      const ema14 = calculateEMA(closes, 14);
-      const ema70 = calculateEMA(closes, 70);
-      const ema200 = calculateEMA(closes, 200);
-      const rsi14 = calculateRSI(closes, 14);
+  // Only the current exchange and timeframe's history is cleared
+  const handleClearHistory = () => {
+    setSignalHistory(({ [currentHistoryKey]: _cleared, ...rest }) => rest);
+  };
 
-      // Fetch 24h ticker data
-      const ticker24h = await fetchWithRetry(
-        `https://fapi.binance.com/fapi/v1/ticker/24hr?symbol=${symbol}`
-      );
+  // Only changes when the scanned symbol set changes, not on every streamed update
+  const streamSymbolsKey = loading ? '' : signals.map((s) => s.symbol).join(',');
 
-      // If ticker24h is null (due to invalid symbol or other fetch error), skip this symbol
-      if (ticker24h === null) {
-        return null;
-      }
+  // Resubscribe whenever the timeframe or symbol set changes; pause streaming while a scan is running
+  useEffect(() => {
+    if (!liveMode || !streamRef.current) return;
+    streamRef.current.subscribe(streamSymbolsKey ? streamSymbolsKey.split(',') : [], timeframe);
+  }, [liveMode, streamSymbolsKey, timeframe]);
+
+  // Group signals by zone once per update so getSignal isn't re-run for every tab
+  const signalsByZone = useMemo(() => {
+    const groups = Object.fromEntries(ZONES.map((zone) => [zone, []]));
+    for (const s of signals) {
+      const { trend, breakout, isNear, isDojiAfterBreakout } = s.mainTrend;
+      if (trendFilters.trend && trend !== trendFilters.trend) continue;
+      if (trendFilters.breakout === 'none' && breakout !== null) continue;
+      if (trendFilters.breakout && trendFilters.breakout !== 'none' && breakout?.direction !== trendFilters.breakout) continue;
+      if (trendFilters.nearOnly && !isNear) continue;
+      if (trendFilters.dojiOnly && !isDojiAfterBreakout) continue;
+      groups[getSignal(s, rules)].push(s);
+    }
+    return groups;
+  }, [signals, rules, trendFilters]);
 
-      const priceChangePercent = parseFloat(ticker24h.priceChangePercent);
-
-      // Simulate mainTrend (simplified for this example as it's not directly used for MAX ZONE PUMP)
-      const lastEMA70 = ema70.at(-1) || 0;
-      const lastEMA200 = ema200.at(-1) || 0;
-      const mainTrend = {
-        trend: lastEMA70 >= lastEMA200 ? 'bullish' : 'bearish',
-        type: lastEMA70 >= lastEMA200 ? 'support' : 'resistance',
-        crossoverPrice: closes.at(-1) || 0,
-        breakout: null,
-        isNear: false,
-        isDojiAfterBreakout: false,
-      };
-
-      // Calculate previous session candles and highest volume color
-      const { prevSessionStart, prevSessionEnd } = getSessions(interval); // Pass interval to getSessions
-      const candlesPrev = candles.filter(c => c.timestamp >= prevSessionStart && c.timestamp <= prevSessionEnd);
-
-      let highestVolumeColorPrev = null;
-      if (candlesPrev.length > 0) {
-          let maxVolume = -1;
-          let highestVolumeCandle = null;
-          for (const candle of candlesPrev) {
-              if (candle.volume > maxVolume) {
-                  maxVolume = candle.volume;
-                  highestVolumeCandle = candle;
-              }
-          }
-          if (highestVolumeCandle) {
-              // Determine color based on close vs open of the highest volume candle
-              highestVolumeColorPrev = highestVolumeCandle.close > highestVolumeCandle.open ? 'green' : 'red';
-          }
-      }
+  // Tick the clock for the scan ETA and row staleness
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
 
-      // Simulate prevClosedGreen/Red (simplified)
-      let prevClosedGreen = null;
-      let prevClosedRed = null;
-      if (candles.length >= 2) {
-          const prevCandle = candles[candles.length - 2];
-          prevClosedGreen = prevCandle.close > prevCandle.open;
-          prevClosedRed = prevCandle.close < prevCandle.open;
-      }
+  // Mirror the view into the query string so it can be bookmarked or shared
+  useEffect(() => {
+    replaceUrlSearch(buildUrlSearch({ timeframe, zone: selectedZone, trendFilters, sort: tableSort }, DEFAULT_VIEW));
+  }, [timeframe, selectedZone, trendFilters, tableSort]);
 
+  // Evict candles for symbols that haven't been refreshed in a while
+  useEffect(() => {
+    evictStaleKlines();
+  }, []);
 
-      return {
-        symbol,
-        closes,
-        rsi14, // Keep rsi14 for getSignal calculation
-        priceChangePercent,
-        mainTrend,
-        prevClosedGreen,
-        prevClosedRed,
-        highestVolumeColorPrev, // Add the calculated highest volume color
-        // Add other properties as needed by getSignal or for display
-        // For simplicity, many complex indicators from original code are omitted here
-        // as they are not directly used by getSignal for MAX ZONE PUMP.
-      };
-    };
+  const handleClearCache = async () => {
+    await clearKlineCache();
+    setCacheCleared(true);
+  };
 
-    /**
-     * Processes symbols in batches to avoid rate limits and updates the signals state.
-     */
-    const processBatch = async () => {
-      if (!isMounted) return;
-
-      if (symbols.length === 0) {
-        // Fetch all symbols once
-        try {
-          const exchangeInfo = await fetchWithRetry('https://fapi.binance.com/fapi/v1/exchangeInfo');
-          // If exchangeInfo is null, it means there was a critical error fetching it, or it was an invalid symbol (unlikely for this endpoint)
-          if (exchangeInfo === null) {
-            console.error('Failed to fetch exchange info, cannot proceed.');
-            setLoading(false);
-            return;
-          }
-          // Add a check here to ensure exchangeInfo.symbols is an array before mapping
-          if (exchangeInfo && Array.isArray(exchangeInfo.symbols)) {
-            symbols = exchangeInfo.symbols.map((s) => s.symbol).filter((s) => s.endsWith('USDT'));
-          } else {
-            console.error('Exchange info did not contain a valid symbols array:', exchangeInfo);
-            setLoading(false);
-            return;
-          }
-        } catch (error) {
-          console.error('Error fetching exchange info:', error);
-          setLoading(false);
-          return;
-        }
-      }
+  // New universe settings invalidate every timeframe's scan, not just the current one
+  const handleApplyUniverse = (next) => {
+    universeRef.current = next;
+    setUniverse(next);
+    saveUniverseSettings(next);
+    completedScansRef.current = {};
+    setSignalsByTimeframe({});
+    setScanStatusByTimeframe({});
+    setScanId((id) => id + 1);
+  };
 
-      const newSignals = await Promise.all(
-        symbols.slice(currentIndex, currentIndex + BATCH_SIZE).map((symbol) => fetchAndAnalyze(symbol, timeframe))
-      );
+  // Switch data source; nothing from the previous exchange carries over
+  const handleSelectExchange = (id) => {
+    const next = getExchange(id);
+    setExchangeId(next.id);
+    writeStorage(EXCHANGE_STORAGE_KEY, next.id);
+    setLiveMode(false);
+    completedScansRef.current = {};
+    zoneBaselineRef.current = { byTimeframe: {}, stale: false }; // Same symbol names, different markets
+    setSignalsByTimeframe({});
+    setScanStatusByTimeframe({});
+    retryJobsRef.current.forEach((job) => job.cancel());
+    retryJobsRef.current.clear();
+    setUniverseSize(null);
+    if (!next.intervals.includes(timeframe)) setTimeframe(DEFAULT_VIEW.timeframe);
+    setScanId((id) => id + 1);
+  };
 
-      if (isMounted) {
-        setSignals((prev) => [...prev, ...newSignals.filter(Boolean)]); // filter(Boolean) removes null entries
-        currentIndex += BATCH_SIZE;
+  // Drop the cached scan for the current timeframe and fetch it again
+  const handleRescan = () => {
+    delete completedScansRef.current[timeframe];
+    setScanId((id) => id + 1);
+  };
 
-        // Update last updated timestamp after processing a batch
-        setLastUpdated(new Date().toLocaleTimeString());
+  // Fetch failed symbols of the current timeframe again without rescanning the rest
+  const handleRetry = (symbols) => {
+    const tf = timeframe;
+    const updateFailures = (update) => setScanStatusByTimeframe((prev) => (
+      prev[tf] ? { ...prev, [tf]: { ...prev[tf], failures: update({ ...prev[tf].failures }) } } : prev
+    ));
+    const setRetrying = (retrying, message) => updateFailures((failures) => {
+      symbols.forEach((symbol) => { failures[symbol] = { ...failures[symbol], retrying, ...(message && { message }) }; });
+      return failures;
+    });
+
+    setRetrying(true);
+    const job = scanClientRef.current.retry({ exchangeId: exchange.id, interval: tf, symbols, settings: currentSettings() }, {
+      onResult: (signal, settingsVersion) => {
+        const adopted = adoptSignal(signal, settingsVersion);
+        setSignalsByTimeframe((prev) => ({ ...prev, [tf]: upsertSignals(prev[tf] || [], [adopted]) }));
+        updateFailures(({ [signal.symbol]: _recovered, ...failures }) => failures);
+      },
+      onFailure: (symbol, failure) => updateFailures((failures) => ({ ...failures, [symbol]: failure })),
+      onComplete: () => retryJobsRef.current.delete(job),
+      onError: (message) => {
+        retryJobsRef.current.delete(job);
+        setRetrying(false, message);
+      },
+    });
+    retryJobsRef.current.add(job);
+  };
 
-        if (currentIndex < symbols.length) {
-            setTimeout(processBatch, INTERVAL_MS);
-        } else {
-            setLoading(false); // All symbols processed
-        }
-      }
-    };
+  // Download the current timeframe's signals (after the trend filters) with the rules they were evaluated with
+  const handleExport = (format) => {
+    const snapshot = buildSnapshot(ZONES.flatMap((zone) => signalsByZone[zone]), rules, timeframe);
+    const filename = `signals-${timeframe}-${snapshot.exportedAt.replace(/[:.]/g, '-')}.${format}`;
+    if (format === 'csv') downloadText(filename, snapshotToCSV(snapshot), 'text/csv');
+    else downloadText(filename, JSON.stringify(snapshot, null, 2), 'application/json');
+  };
 
-    // Initialize/reset signals and loading state when timeframe changes or on initial load
-    setSignals([]); // Clear previous signals when timeframe changes
-    setLoading(true);
-    currentIndex = 0; // Reset index for new fetch
-    symbols = []; // Reset symbols to re-fetch exchange info
-    setLastUpdated(null); // Reset last updated timestamp
+  // Backtest the candles already loaded for the current timeframe
+  const handleRunBacktest = () => {
+    setBacktestResults((prev) => ({ ...prev, [timeframe]: runBacktest(signals, backtestHorizon, rules) }));
+  };
 
-    processBatch();
+  // With every interval on offer, the matrix only compares the timeframes that have been scanned
+  const confluenceTimeframes = useMemo(() => TIMEFRAMES.filter((tf) => signalsByTimeframe[tf]), [signalsByTimeframe]);
+
+  // Marks cached rows and rows whose candles are older than a bar of the timeframe
+  const renderRowBadge = (s) => {
+    const { ageMs, stale } = getStaleness(s.updatedAt, s.interval, now);
+    return (
+      <>
+        {s.fromCache && <span className="ml-2 text-xs text-gray-500">cached</span>}
+        {stale && <span className="ml-2 text-xs text-yellow-400" title="Candles haven't been refreshed for over a bar">{formatDuration(ageMs)} old</span>}
+      </>
+    );
+  };
 
-    // Cleanup function for useEffect to prevent state updates on unmounted component
-    return () => {
-      isMounted = false;
-    };
-  }, [timeframe]); // Rerun effect when timeframe changes
-
-  // Memoize the filtering of signals for "MAX ZONE PUMP" to optimize performance
-  const maxPumpZoneSignals = useMemo(() => {
-    return signals.filter(s => getSignal(s) === 'MAX ZONE PUMP');
-  }, [signals]);
-
-  // Calculate statistics for the "Market Overview" section
-  const marketStats = useMemo(() => {
-    const greenPriceChangeCount = signals.filter(
-      (t) => parseFloat(t.priceChangePercent) > 0
-    ).length;
-
-    const redPriceChangeCount = signals.filter(
-      (t) => parseFloat(t.priceChangePercent) < 0
-    ).length;
-
-    const greenVolumeCount = signals.filter(
-      (s) => s.highestVolumeColorPrev === 'green'
-    ).length;
-
-    const redVolumeCount = signals.filter(
-      (s) => s.highestVolumeColorPrev === 'red'
-    ).length;
-
-    return {
-      greenPriceChangeCount,
-      redPriceChangeCount,
-      greenVolumeCount,
-      redVolumeCount,
-    };
-  }, [signals]);
+  const zoneSignals = signalsByZone[selectedZone];
+  visibleSymbolsRef.current = zoneSignals.map((s) => s.symbol);
+  // Looked up from the current signals so the drawer follows live updates and timeframe switches
+  const selectedSignal = signals.find((s) => s.symbol === selectedSymbol);
+  const isDumpZone = selectedZone.endsWith('DUMP');
+  // How long each symbol has been in the selected zone, so stale entries stand out from new ones
+  const zoneStays = useMemo(() => new Map(
+    buildZoneStays(historySnapshots)
+      .filter((stay) => stay.leftAt === null && stay.zone === selectedZone)
+      .map((stay) => [stay.symbol, stay])
+  ), [historySnapshots, selectedZone]);
+  const zoneColumns = useMemo(() => [
+    ...buildZoneColumns(isDumpZone, rules, zoneStays),
+    buildTradeColumn((s, side) => openPaperPositionRef.current(s, side)),
+  ], [isDumpZone, rules, zoneStays]);
+
+  // Breadth covers freshly scanned symbols only; cached results shown during a scan may be out of date
+  const breadth = useMemo(() => calculateBreadth(signals.filter((s) => !s.fromCache), rules), [signals, rules]);
+
+  // Every saved screen is run over all of the timeframe's signals; the trend filters only apply to the zone board
+  const screenMatches = useMemo(() => Object.fromEntries(
+    Object.entries(screens).map(([name, screen]) => [name, signals.filter((s) => matchesScreen(screen, s, rules))])
+  ), [screens, signals, rules]);
+  // The overview counts fresh results only, like the breadth figures
+  const screenCounts = useMemo(() => Object.entries(screenMatches).map(([name, matches]) => ({
+    name,
+    count: matches.filter((s) => !s.fromCache).length,
+  })), [screenMatches]);
 
 
   return (
@@ -500,8 +634,20 @@ export default function App() {
         </h1>
 
         {/* Timeframe Selector */}
-        <div className="flex justify-center mb-6 space-x-4">
-          {['15m', '4h', '1d'].map((tf) => (
+        <div className="flex justify-center mb-4">
+          <select
+            value={exchange.id}
+            onChange={(e) => handleSelectExchange(e.target.value)}
+            className="px-3 py-2 rounded-lg bg-gray-700 text-gray-100 font-semibold"
+          >
+            {EXCHANGES.map((ex) => (
+              <option key={ex.id} value={ex.id}>{ex.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-wrap justify-center mb-4 gap-2">
+          {TIMEFRAMES.filter((tf) => exchange.intervals.includes(tf)).map((tf) => (
             <button
               key={tf}
               onClick={() => setTimeframe(tf)}
@@ -511,41 +657,80 @@ export default function App() {
                   : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
                 }`}
             >
-              {tf.toUpperCase()}
+              {formatInterval(tf)}
             </button>
           ))}
         </div>
 
+        <SessionControls settings={sessionSettings} onChange={setSessionSettings} />
+
+        {/* Live Stream Toggle */}
+        <div className="flex justify-center items-center mb-4 space-x-3">
+          <button
+            onClick={() => setLiveMode((on) => !on)}
+            disabled={!exchange.streamUrl}
+            title={exchange.streamUrl ? undefined : `${exchange.label} has no live stream`}
+            className={`px-4 py-2 rounded-lg font-semibold transition-all duration-200
+              ${liveMode
+                ? 'bg-green-600 text-white shadow-lg'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              } disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {liveMode ? 'Live Stream: ON' : 'Live Stream: OFF'}
+          </button>
+          <button
+            onClick={handleRescan}
+            disabled={loading}
+            className="px-4 py-2 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Rescan {formatInterval(timeframe)}
+          </button>
+          <button
+            onClick={handleClearCache}
+            className="px-4 py-2 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600"
+          >
+            {cacheCleared ? 'Cache Cleared' : 'Clear Cache'}
+          </button>
+          {liveMode && (
+            <span className="text-sm text-gray-400">
+              {streamStatus === 'open' ? (loading ? 'Connected, waiting for scan...' : 'Streaming') : streamStatus}
+            </span>
+          )}
+          {!liveMode && streamStatus === 'failed' && (
+            <span className="text-sm text-red-400">
+              Live stream unavailable, using REST scan.
+            </span>
+          )}
+        </div>
+
+        {/* Request Weight Usage (the offline mock has no limit) */}
+        {Number.isFinite(weightUsage.weightLimit) && (
+          <div className="max-w-md mx-auto mb-4 text-xs text-gray-400">
+            <div className="flex justify-between mb-1">
+              <span>API weight ({formatWeightWindow(weightUsage.windowMs)}): {weightUsage.usedWeight} / {weightUsage.weightLimit}</span>
+              <span>{weightUsage.active} in flight · {weightUsage.queued} queued</span>
+            </div>
+            <div className="h-1.5 bg-gray-700 rounded">
+              <div
+                className={`h-1.5 rounded ${weightUsage.usedWeight / weightUsage.weightLimit > 0.7 ? 'bg-red-500' : 'bg-green-500'}`}
+                style={{ width: `${Math.min(100, (weightUsage.usedWeight / weightUsage.weightLimit) * 100)}%` }}
+              />
+            </div>
+          </div>
+        )}
+
         {lastUpdated && (
             <p className="text-center text-sm text-gray-400 mb-4">
                 Last updated: <span className="font-medium text-gray-200">{lastUpdated}</span>
             </p>
         )}
 
-        {/* Market Overview Section */}
-        <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-blue-700">
-            <h2 className="text-xl sm:text-2xl font-bold text-blue-300 mb-4 text-center">
-                Market Overview
-            </h2>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 text-center">
-                <div className="p-3 bg-gray-700 rounded-lg">
-                    <p className="text-sm text-gray-400">Green Price Change</p>
-                    <p className="text-lg font-semibold text-green-400">{marketStats.greenPriceChangeCount}</p>
-                </div>
-                <div className="p-3 bg-gray-700 rounded-lg">
-                    <p className="text-sm text-gray-400">Red Price Change</p>
-                    <p className="text-lg font-semibold text-red-400">{marketStats.redPriceChangeCount}</p>
-                </div>
-                <div className="p-3 bg-gray-700 rounded-lg">
-                    <p className="text-sm text-gray-400">Green Volume (Prev Session)</p>
-                    <p className="text-lg font-semibold text-green-400">{marketStats.greenVolumeCount}</p>
-                </div>
-                <div className="p-3 bg-gray-700 rounded-lg">
-                    <p className="text-sm text-gray-400">Red Volume (Prev Session)</p>
-                    <p className="text-lg font-semibold text-red-400">{marketStats.redVolumeCount}</p>
-                </div>
-            </div>
-        </div>
+        <MarketBreadthPanel
+          breadth={breadth}
+          complete={!loading}
+          universeTotal={universeSize?.eligible ?? null}
+          screenCounts={screenCounts}
+        />
 
         {loading && (
           <div className="text-center text-lg text-gray-400 mt-10">
@@ -553,71 +738,218 @@ export default function App() {
           </div>
         )}
 
-        {!loading && maxPumpZoneSignals.length === 0 && (
+        <ScanStatusPanel status={scanStatusByTimeframe[timeframe] || null} now={now} onRetry={handleRetry} onRescan={handleRescan} />
+
+        <UniversePanel settings={universe} onApply={handleApplyUniverse} universeSize={universeSize} />
+
+        <RulesPanel rules={rules} onApply={setRules} />
+
+        {/* Trend Filters */}
+        <div className="flex flex-wrap justify-center items-center gap-3 mb-4 text-sm text-gray-400">
+          <select
+            value={trendFilters.trend}
+            onChange={(e) => setTrendFilters((prev) => ({ ...prev, trend: e.target.value }))}
+            className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+          >
+            <option value="">Any trend</option>
+            <option value="bullish">Bullish</option>
+            <option value="bearish">Bearish</option>
+          </select>
+          <select
+            value={trendFilters.breakout}
+            onChange={(e) => setTrendFilters((prev) => ({ ...prev, breakout: e.target.value }))}
+            className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+          >
+            <option value="">Any breakout</option>
+            <option value="above resistance">Above resistance</option>
+            <option value="below support">Below support</option>
+            <option value="none">No breakout</option>
+          </select>
+          <label>
+            <input
+              type="checkbox"
+              checked={trendFilters.nearOnly}
+              onChange={(e) => setTrendFilters((prev) => ({ ...prev, nearOnly: e.target.checked }))}
+              className="mr-1"
+            />
+            Near crossover
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={trendFilters.dojiOnly}
+              onChange={(e) => setTrendFilters((prev) => ({ ...prev, dojiOnly: e.target.checked }))}
+              className="mr-1"
+            />
+            Doji after breakout
+          </label>
+        </div>
+
+        {/* Zone Board Tabs */}
+        <div className="flex flex-wrap justify-center gap-2 mb-6">
+          {ZONES.map((zone) => (
+            <button
+              key={zone}
+              onClick={() => setSelectedZone(zone)}
+              className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all duration-200
+                ${selectedZone === zone
+                  ? 'bg-purple-600 text-white shadow-lg'
+                  : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+            >
+              {zone}
+              <span className={`ml-2 ${zone.endsWith('PUMP') ? 'text-green-400' : zone.endsWith('DUMP') ? 'text-red-400' : 'text-gray-400'}`}>
+                {signalsByZone[zone].length}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {!loading && zoneSignals.length === 0 && (
           <div className="text-center text-lg text-gray-400 mt-10">
-            No "MAX ZONE PUMP" signals found for the selected timeframe.
+            No "{selectedZone}" signals found for the selected timeframe.
           </div>
         )}
 
-        {/* Display MAX ZONE PUMP Signals */}
-        {!loading && maxPumpZoneSignals.length > 0 && (
+        {/* Display signals for the selected zone */}
+        {zoneSignals.length > 0 && (
           <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-purple-700">
             <h2 className="text-2xl sm:text-3xl font-bold text-purple-300 mb-5 text-center">
-              MAX ZONE PUMP Signals ({maxPumpZoneSignals.length})
+              {selectedZone} Signals ({zoneSignals.length})
             </h2>
+            <div className="flex justify-center gap-3 mb-4 text-sm">
+              <span className="text-gray-400 self-center">Export {formatInterval(timeframe)} signals:</span>
+              <button onClick={() => handleExport('csv')} className="px-3 py-1 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+                CSV
+              </button>
+              <button onClick={() => handleExport('json')} className="px-3 py-1 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+                JSON
+              </button>
+            </div>
+            <DataTable
+              columns={zoneColumns}
+              rows={zoneSignals}
+              rowKey={getSymbol}
+              searchText={getSymbol}
+              storageKey={ZONE_TABLE_STORAGE_KEY}
+              sort={tableSort}
+              onSortChange={setTableSort}
+              onRowClick={(s) => setSelectedSymbol(s.symbol)}
+              rowBadge={renderRowBadge}
+            />
+          </div>
+        )}
+
+        <ScreenerPanel
+          screens={screens}
+          onChange={setScreens}
+          matches={screenMatches}
+          signals={signals}
+          rules={rules}
+          onRowClick={(s) => setSelectedSymbol(s.symbol)}
+          rowBadge={renderRowBadge}
+        />
+
+        <ConfluenceMatrix
+          signalsByTimeframe={signalsByTimeframe}
+          timeframes={confluenceTimeframes}
+          rules={rules}
+          onSelectTimeframe={setTimeframe}
+        />
+
+        <SignalHistoryPanel
+          snapshots={historySnapshots}
+          timeframeLabel={formatInterval(timeframe)}
+          saveFailed={historySaveFailed}
+          onClear={handleClearHistory}
+        />
+
+        <AlertsPanel
+          settings={alertSettings}
+          onChange={setAlertSettings}
+          log={alertLog}
+          onClearLog={handleClearAlertLog}
+          timeframes={TIMEFRAMES}
+        />
+
+        <PaperTradingPanel
+          settings={paperSettings}
+          onChangeSettings={setPaperSettings}
+          account={paperAccount}
+          onClosePosition={handleClosePaperPosition}
+          onReset={handleResetPaperAccount}
+          error={paperError}
+          timeframes={TIMEFRAMES}
+        />
+
+        {/* Backtest Section */}
+        <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-yellow-700">
+          <h2 className="text-xl sm:text-2xl font-bold text-yellow-300 mb-4 text-center">
+            Zone Backtest
+          </h2>
+          <div className="flex flex-wrap justify-center items-center gap-3 mb-4">
+            <label className="text-sm text-gray-400">
+              Forward bars (N)
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={backtestHorizon}
+                onChange={(e) => setBacktestHorizon(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                className="ml-2 w-20 px-2 py-1 rounded bg-gray-700 text-gray-100"
+              />
+            </label>
+            <button
+              onClick={handleRunBacktest}
+              disabled={loading || signals.length === 0}
+              className="px-4 py-2 rounded-lg font-semibold bg-yellow-600 text-white hover:bg-yellow-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Run Backtest ({formatInterval(timeframe)})
+            </button>
+          </div>
+          {loading && (
+            <p className="text-center text-sm text-gray-400 mb-4">Backtest is available once the scan completes.</p>
+          )}
+          {Object.keys(backtestResults).length > 0 && (
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-700">
                 <thead className="bg-gray-700">
                   <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider rounded-tl-lg">
-                      Symbol
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
-                      Current Price
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
-                      24h Change (%)
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
-                      RSI Pump Strength
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider rounded-tr-lg">
-                      Prev Session Volume
-                    </th>
+                    {['Timeframe', 'Zone', 'Entries', 'Avg Return (%)', 'Hit Rate (%)', 'Avg Max Favorable (%)', 'Avg Max Adverse (%)'].map((heading) => (
+                      <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-700">
-                  {maxPumpZoneSignals.map((s) => {
-                    const pumpDump = getRecentRSIDiff(s.rsi14, 14);
-                    const currentPrice = s.closes ? s.closes[s.closes.length - 1]?.toFixed(2) : 'N/A';
-                    return (
-                      <tr key={s.symbol} className="hover:bg-gray-750 transition-colors duration-150">
-                        <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-purple-200">
-                          {s.symbol}
-                        </td>
-                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-300">
-                          ${currentPrice}
+                  {Object.entries(backtestResults).flatMap(([tf, result]) =>
+                    Object.entries(result.summary).map(([zone, stats]) => (
+                      <tr key={`${tf}-${zone}`}>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">
+                          {formatInterval(tf)} <span className="text-gray-500">(N={result.horizon}, {result.symbols} symbols)</span>
                         </td>
-                        <td className="px-4 py-4 whitespace-nowrap text-sm">
-                          <span className={`font-semibold ${s.priceChangePercent > 0 ? 'text-green-400' : 'text-red-400'}`}>
-                            {s.priceChangePercent?.toFixed(2) || 'N/A'}%
-                          </span>
+                        <td className={`px-4 py-2 whitespace-nowrap text-sm font-medium ${zone.endsWith('PUMP') ? 'text-green-400' : 'text-red-400'}`}>
+                          {zone}
                         </td>
-                        <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-300">
-                          {pumpDump?.pumpStrength?.toFixed(2) || 'N/A'}
-                        </td>
-                        <td className="px-4 py-4 whitespace-nowrap text-sm">
-                          <span className={`font-semibold ${s.highestVolumeColorPrev === 'green' ? 'text-green-400' : s.highestVolumeColorPrev === 'red' ? 'text-red-400' : 'text-gray-400'}`}>
-                            {s.highestVolumeColorPrev ? s.highestVolumeColorPrev.toUpperCase() : 'N/A'}
-                          </span>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{stats.count}</td>
+                        <td className={`px-4 py-2 whitespace-nowrap text-sm ${stats.avgReturn > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {stats.avgReturn?.toFixed(2) ?? 'N/A'}
                         </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{stats.hitRate?.toFixed(1) ?? 'N/A'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{stats.avgMaxFavorable?.toFixed(2) ?? 'N/A'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{stats.avgMaxAdverse?.toFixed(2) ?? 'N/A'}</td>
                       </tr>
-                    );
-                  })}
+                    ))
+                  )}
                 </tbody>
               </table>
             </div>
-          </div>
+          )}
+        </div>
+
+        {selectedSignal && (
+          <SymbolDetail signal={selectedSignal} rules={rules} onClose={() => setSelectedSymbol(null)} />
         )}
       </div>
     </div>
@@ -0,0 +1,120 @@
+import { getSignal, ZONES } from "./engine/signals";
+import { readStorage, writeStorage } from "./storage";
+import { formatInterval } from "./engine/sessions";
+
+// --- Zone Transition Alerts ---
+
+const SETTINGS_STORAGE_KEY = 'alertSettings';
+const LOG_STORAGE_KEY = 'alertLog';
+const MAX_LOG_ENTRIES = 200;
+
+export const ALERTABLE_ZONES = ZONES.filter((zone) => zone.endsWith('PUMP') || zone.endsWith('DUMP'));
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: false,
+  desktop: false,
+  sound: true,
+  cooldownMinutes: 30,
+  zones: { 'MAX ZONE PUMP': true },
+  timeframes: { '15m': true, '4h': true, '1d': true },
+};
+
+/**
+ * Compares each symbol's current zone with the zone from the previous evaluation.
+ * Symbols seen for the first time only establish a baseline and never count as a transition.
+ * Symbols missing from `signals` (e.g. during a rescan) keep their previous zone.
+ * Rows restored from the kline cache can be days old, so they only fill in symbols without a baseline
+ * and are marked as cached; a change from or to a cached zone is never a transition.
+ * Signals without candles have no price to report and are left out.
+ * @param previousZones - A Map of symbol -> `{ zone, fromCache }` from the previous evaluation.
+ * @param signals - The current signal objects.
+ * @param rules - Signal rules passed to getSignal.
+ * @returns `{ zones, transitions }`: the new Map of zones and a list of `{ signal, fromZone, zone }`.
+ */
+export function detectZoneTransitions(previousZones, signals, rules) {
+  const zones = new Map(previousZones);
+  const transitions = [];
+
+  for (const s of signals) {
+    if (s.closes.length === 0) continue;
+    const zone = getSignal(s, rules);
+    const previous = previousZones.get(s.symbol);
+    if (s.fromCache) {
+      if (!previous) zones.set(s.symbol, { zone, fromCache: true });
+      continue;
+    }
+    zones.set(s.symbol, { zone, fromCache: false });
+    if (previous && !previous.fromCache && previous.zone !== zone) {
+      transitions.push({ signal: s, fromZone: previous.zone, zone });
+    }
+  }
+
+  return { zones, transitions };
+}
+
+/**
+ * Loads alert settings, filling in any fields added since they were saved.
+ * @returns The alert settings.
+ */
+export function loadAlertSettings() {
+  return { ...DEFAULT_ALERT_SETTINGS, ...readStorage(SETTINGS_STORAGE_KEY, {}) };
+}
+
+/**
+ * Persists alert settings.
+ * @param settings - The alert settings.
+ */
+export function saveAlertSettings(settings) {
+  writeStorage(SETTINGS_STORAGE_KEY, settings);
+}
+
+/**
+ * Loads the persisted alert log, newest first.
+ * @returns An array of `{ id, symbol, zone, fromZone, timeframe, price, time }` entries.
+ */
+export function loadAlertLog() {
+  return readStorage(LOG_STORAGE_KEY, []);
+}
+
+/**
+ * Persists the alert log, keeping only the newest MAX_LOG_ENTRIES entries.
+ * @param log - The alert log, newest first.
+ * @returns The (possibly truncated) log that was saved.
+ */
+export function saveAlertLog(log) {
+  const trimmed = log.slice(0, MAX_LOG_ENTRIES);
+  writeStorage(LOG_STORAGE_KEY, trimmed);
+  return trimmed;
+}
+
+/**
+ * Shows a desktop notification if the browser supports it and permission was granted.
+ * @param entry - The alert log entry to announce.
+ */
+export function showDesktopNotification(entry) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  new Notification(`${entry.symbol} entered ${entry.zone}`, {
+    body: `${formatInterval(entry.timeframe)} · $${entry.price} · from ${entry.fromZone}`,
+    tag: `${entry.symbol}-${entry.timeframe}`, // Replaces an older notification for the same symbol
+  });
+}
+
+let audioContext = null;
+
+/**
+ * Plays a short beep with the Web Audio API, so no sound file needs to be bundled.
+ */
+export function playAlertSound() {
+  const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextImpl) return;
+  audioContext = audioContext || new AudioContextImpl();
+
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.frequency.value = 880;
+  gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.4);
+  oscillator.connect(gain).connect(audioContext.destination);
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + 0.4);
+}
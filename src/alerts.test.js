@@ -0,0 +1,61 @@
+import { detectZoneTransitions } from "./alerts";
+import { DEFAULT_SIGNAL_RULES } from "./engine/signals";
+
+// RSI series that getSignal puts in MAX ZONE PUMP, MAX ZONE DUMP and NO STRONG SIGNAL
+const RSI = {
+  pump: Array.from({ length: 20 }, (_, i) => 30 + i * 3),
+  dump: Array.from({ length: 20 }, (_, i) => 80 - i * 3),
+  flat: Array.from({ length: 20 }, () => 50),
+};
+
+const signal = (symbol, rsi, fromCache = false) => ({ symbol, rsi14: RSI[rsi], closes: [100], ...(fromCache && { fromCache: true }) });
+const detect = (previous, signals) => detectZoneTransitions(previous, signals, DEFAULT_SIGNAL_RULES);
+
+describe('detectZoneTransitions', () => {
+  test('only establishes a baseline for symbols seen for the first time', () => {
+    const { zones, transitions } = detect(new Map(), [signal('BTCUSDT', 'pump')]);
+    expect(transitions).toEqual([]);
+    expect(zones.get('BTCUSDT')).toEqual({ zone: 'MAX ZONE PUMP', fromCache: false });
+  });
+
+  test('reports a zone change between fresh evaluations', () => {
+    const { zones } = detect(new Map(), [signal('BTCUSDT', 'flat')]);
+    const { transitions } = detect(zones, [signal('BTCUSDT', 'pump')]);
+    expect(transitions).toHaveLength(1);
+    expect(transitions[0]).toMatchObject({ fromZone: 'NO STRONG SIGNAL', zone: 'MAX ZONE PUMP' });
+  });
+
+  test('keeps the zone of symbols missing from the evaluation', () => {
+    const { zones } = detect(new Map(), [signal('BTCUSDT', 'flat')]);
+    expect(detect(zones, []).zones.get('BTCUSDT').zone).toBe('NO STRONG SIGNAL');
+  });
+
+  test('does not report the first fresh result after a cached row', () => {
+    const cached = detect(new Map(), [signal('BTCUSDT', 'flat', true)]);
+    expect(cached.zones.get('BTCUSDT')).toEqual({ zone: 'NO STRONG SIGNAL', fromCache: true });
+
+    const fresh = detect(cached.zones, [signal('BTCUSDT', 'pump')]);
+    expect(fresh.transitions).toEqual([]);
+    expect(fresh.zones.get('BTCUSDT')).toEqual({ zone: 'MAX ZONE PUMP', fromCache: false });
+
+    // From then on, changes count
+    expect(detect(fresh.zones, [signal('BTCUSDT', 'dump')]).transitions).toHaveLength(1);
+  });
+
+  test('does not let a cached row replace a fresh baseline', () => {
+    const { zones } = detect(new Map(), [signal('BTCUSDT', 'flat')]);
+    const cached = detect(zones, [signal('BTCUSDT', 'dump', true)]);
+    expect(cached.transitions).toEqual([]);
+    expect(cached.zones.get('BTCUSDT')).toEqual({ zone: 'NO STRONG SIGNAL', fromCache: false });
+    expect(detect(cached.zones, [signal('BTCUSDT', 'pump')]).transitions[0].fromZone).toBe('NO STRONG SIGNAL');
+  });
+
+  test('leaves out signals without candles', () => {
+    const { zones } = detect(new Map(), [signal('BTCUSDT', 'flat')]);
+    const empty = { symbol: 'BTCUSDT', rsi14: [], closes: [] };
+    const { zones: next, transitions } = detect(zones, [empty, { symbol: 'NEWUSDT', rsi14: [], closes: [] }]);
+    expect(transitions).toEqual([]);
+    expect(next.get('BTCUSDT').zone).toBe('NO STRONG SIGNAL');
+    expect(next.has('NEWUSDT')).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+import { calculateRSI } from "./engine/indicators";
+import { getSignal, DEFAULT_SIGNAL_RULES, ZONES } from "./engine/signals";
+
+// --- Zone Signal Backtest ---
+// Replays getSignal bar by bar over a candle history and measures what price did after each zone entry.
+
+// Only these zones are traded; NO STRONG SIGNAL / NO DATA entries are not recorded
+const TRADED_ZONES = ZONES.filter((zone) => zone.endsWith('PUMP') || zone.endsWith('DUMP'));
+
+/**
+ * Evaluates getSignal at every bar of a candle series, using only data available at that bar.
+ * @param candles - The candle array, oldest first.
+ * @param rules - Signal rules to evaluate with (RSI period, lookback and zone thresholds).
+ * @returns An array with the zone label for each bar.
+ */
+export function replayZones(candles, rules = DEFAULT_SIGNAL_RULES) {
+  const rsi14 = calculateRSI(candles.map((c) => c.close), rules.rsiPeriod);
+  const lookback = rules.rsiLookback;
+  return candles.map((_, i) => {
+    if (i + 1 < lookback) return 'NO DATA';
+    // getRecentRSIDiff only looks at the last `lookback` values, so the window is equivalent to the full prefix
+    return getSignal({ rsi14: rsi14.slice(i + 1 - lookback, i + 1) }, rules);
+  });
+}
+
+/**
+ * Records every zone entry in a candle series and the price action over the following bars.
+ * A zone entry is a bar whose zone differs from the previous bar's zone.
+ * @param candles - The candle array, oldest first.
+ * @param horizon - Number of bars after the entry to measure forward return and excursion over.
+ * @param rules - Signal rules to evaluate with.
+ * @returns An array of entries with zone, entry time/price, forward return and max favorable/adverse excursion (all in %).
+ *          Entries too close to the end of the series to have `horizon` bars after them are skipped.
+ */
+export function findZoneEntries(candles, horizon, rules = DEFAULT_SIGNAL_RULES) {
+  const zones = replayZones(candles, rules);
+  const entries = [];
+
+  for (let i = 1; i + horizon < candles.length; i++) {
+    const zone = zones[i];
+    if (zone === zones[i - 1] || !TRADED_ZONES.includes(zone)) continue;
+
+    const entryPrice = candles[i].close;
+    const forward = candles.slice(i + 1, i + horizon + 1);
+    const maxHigh = Math.max(...forward.map((c) => c.high));
+    const minLow = Math.min(...forward.map((c) => c.low));
+    const exitPrice = forward[forward.length - 1].close;
+    const isLong = zone.endsWith('PUMP');
+
+    // Excursions are floored at 0: a long whose lows never dip below entry had no adverse excursion
+    const upMove = Math.max(0, ((maxHigh - entryPrice) / entryPrice) * 100);
+    const downMove = Math.max(0, ((entryPrice - minLow) / entryPrice) * 100);
+
+    entries.push({
+      zone,
+      timestamp: candles[i].timestamp,
+      entryPrice,
+      forwardReturn: ((exitPrice - entryPrice) / entryPrice) * 100,
+      maxFavorable: isLong ? upMove : downMove,
+      maxAdverse: isLong ? downMove : upMove,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Aggregates zone entries into per-zone statistics.
+ * A PUMP entry is a hit when the forward return is positive, a DUMP entry when it is negative.
+ * @param entries - Zone entries from findZoneEntries, typically across many symbols.
+ * @returns An object keyed by zone with count, avgReturn, hitRate (%), avgMaxFavorable and avgMaxAdverse.
+ */
+export function summarizeEntries(entries) {
+  const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+  return Object.fromEntries(TRADED_ZONES.map((zone) => {
+    const zoneEntries = entries.filter((e) => e.zone === zone);
+    const isLong = zone.endsWith('PUMP');
+    const hits = zoneEntries.filter((e) => (isLong ? e.forwardReturn > 0 : e.forwardReturn < 0)).length;
+
+    return [zone, {
+      count: zoneEntries.length,
+      avgReturn: average(zoneEntries.map((e) => e.forwardReturn)),
+      hitRate: zoneEntries.length > 0 ? (hits / zoneEntries.length) * 100 : null,
+      avgMaxFavorable: average(zoneEntries.map((e) => e.maxFavorable)),
+      avgMaxAdverse: average(zoneEntries.map((e) => e.maxAdverse)),
+    }];
+  }));
+}
+
+/**
+ * Backtests every loaded symbol's candle history.
+ * @param signals - Signal objects carrying a `candles` array (as produced by the scan).
+ * @param horizon - Number of bars to measure forward returns over.
+ * @param rules - Signal rules to evaluate with.
+ * @returns An object with `horizon`, the number of `symbols` replayed and the per-zone `summary`.
+ */
+export function runBacktest(signals, horizon, rules = DEFAULT_SIGNAL_RULES) {
+  // A series needs at least one bar after the first with `horizon` bars after it to yield an entry
+  const replayed = signals.filter((s) => Array.isArray(s.candles) && s.candles.length > horizon + 1);
+  const entries = replayed.flatMap((s) => findZoneEntries(s.candles, horizon, rules).map((e) => ({ ...e, symbol: s.symbol })));
+
+  return {
+    horizon,
+    symbols: replayed.length,
+    summary: summarizeEntries(entries),
+  };
+}
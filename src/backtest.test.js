@@ -0,0 +1,96 @@
+import { findZoneEntries, replayZones, runBacktest, summarizeEntries } from "./backtest";
+import { calculateRSI } from "./engine/indicators";
+import { DEFAULT_SIGNAL_RULES, getSignal } from "./engine/signals";
+
+// Short RSI settings keep the hand-built series small
+const RULES = { ...DEFAULT_SIGNAL_RULES, rsiPeriod: 2, rsiLookback: 3 };
+const CLOSES = [10, 11, 10, 11, 10, 12, 14, 13, 11, 12, 12, 13];
+
+const toCandles = (closes) => closes.map((close, i) => ({ timestamp: i, open: close, high: close + 1, low: close - 1, close, volume: 1 }));
+const CANDLES = toCandles(CLOSES);
+
+describe('replayZones', () => {
+  test('labels each bar from the data available at that bar', () => {
+    expect(replayZones(CANDLES, RULES)).toEqual([
+      'NO DATA',
+      'NO DATA',
+      'NO STRONG SIGNAL', // The window still starts on warm-up NaNs
+      'NO STRONG SIGNAL',
+      'MAX ZONE DUMP',
+      'MAX ZONE PUMP',
+      'MAX ZONE PUMP',
+      'MAX ZONE DUMP',
+      'MAX ZONE DUMP',
+      'MAX ZONE DUMP',
+      'NO STRONG SIGNAL',
+      'NO STRONG SIGNAL',
+    ]);
+  });
+
+  test('matches getSignal evaluated on every prefix of the series once the RSI has warmed up', () => {
+    const closes = Array.from({ length: 60 }, (_, i) => 100 + 10 * Math.sin(i / 4) + i * 0.2);
+    const zones = replayZones(toCandles(closes));
+    for (let i = DEFAULT_SIGNAL_RULES.rsiPeriod; i < closes.length; i++) {
+      expect(zones[i]).toBe(getSignal({ rsi14: calculateRSI(closes.slice(0, i + 1), DEFAULT_SIGNAL_RULES.rsiPeriod) }));
+    }
+    expect(new Set(zones).size).toBeGreaterThan(2); // The series moves through several zones
+  });
+});
+
+describe('findZoneEntries', () => {
+  test('records entries into traded zones with forward return and excursions', () => {
+    const entries = findZoneEntries(CANDLES, 2, RULES);
+    expect(entries.map(({ zone, timestamp, entryPrice }) => ({ zone, timestamp, entryPrice }))).toEqual([
+      { zone: 'MAX ZONE DUMP', timestamp: 4, entryPrice: 10 },
+      { zone: 'MAX ZONE PUMP', timestamp: 5, entryPrice: 12 },
+      { zone: 'MAX ZONE DUMP', timestamp: 7, entryPrice: 13 },
+    ]);
+
+    // Short at 10; the next two bars close at 12 and 14 with a high of 15 and a low of 11
+    expect(entries[0].forwardReturn).toBeCloseTo(40);
+    expect(entries[0].maxFavorable).toBe(0);
+    expect(entries[0].maxAdverse).toBeCloseTo(50);
+    // Long at 12; the next two bars close at 14 and 13 with a high of 15 and a low of 12
+    expect(entries[1].forwardReturn).toBeCloseTo(100 / 12);
+    expect(entries[1].maxFavorable).toBeCloseTo(25);
+    expect(entries[1].maxAdverse).toBe(0);
+    // Short at 13; the next two bars close at 11 and 12 with a high of 13 and a low of 10
+    expect(entries[2].forwardReturn).toBeCloseTo(-100 / 13);
+    expect(entries[2].maxFavorable).toBeCloseTo(300 / 13);
+    expect(entries[2].maxAdverse).toBe(0);
+  });
+
+  test('skips entries without a full horizon after them', () => {
+    expect(findZoneEntries(CANDLES, 6, RULES).map((e) => e.timestamp)).toEqual([4, 5]);
+    expect(findZoneEntries(CANDLES, 20, RULES)).toEqual([]);
+  });
+});
+
+describe('summarizeEntries', () => {
+  test('aggregates per zone, counting PUMP hits on gains and DUMP hits on losses', () => {
+    const summary = summarizeEntries([
+      { zone: 'MAX ZONE PUMP', forwardReturn: 4, maxFavorable: 6, maxAdverse: 1 },
+      { zone: 'MAX ZONE PUMP', forwardReturn: -2, maxFavorable: 2, maxAdverse: 3 },
+      { zone: 'MAX ZONE DUMP', forwardReturn: -3, maxFavorable: 5, maxAdverse: 0 },
+    ]);
+    expect(summary['MAX ZONE PUMP']).toEqual({ count: 2, avgReturn: 1, hitRate: 50, avgMaxFavorable: 4, avgMaxAdverse: 2 });
+    expect(summary['MAX ZONE DUMP']).toEqual({ count: 1, avgReturn: -3, hitRate: 100, avgMaxFavorable: 5, avgMaxAdverse: 0 });
+    expect(summary['BALANCE ZONE PUMP']).toEqual({ count: 0, avgReturn: null, hitRate: null, avgMaxFavorable: null, avgMaxAdverse: null });
+    expect(summary).not.toHaveProperty('NO STRONG SIGNAL');
+  });
+});
+
+describe('runBacktest', () => {
+  test('only counts the symbols whose candles could be replayed', () => {
+    const result = runBacktest([
+      { symbol: 'AUSDT', candles: CANDLES },
+      { symbol: 'EMPTYUSDT', candles: [] },
+      { symbol: 'SHORTUSDT', candles: CANDLES.slice(0, 3) },
+      { symbol: 'NOCANDLESUSDT' },
+    ], 2, RULES);
+    expect(result.horizon).toBe(2);
+    expect(result.symbols).toBe(1);
+    expect(result.summary['MAX ZONE DUMP'].count).toBe(2);
+    expect(result.summary['MAX ZONE PUMP'].count).toBe(1);
+  });
+});
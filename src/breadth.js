@@ -0,0 +1,93 @@
+import { getSignal, ZONES } from "./engine/signals";
+
+// --- Market Breadth ---
+// Market-wide figures for the overview panel. Each figure also reports how many symbols it covers, since
+// symbols without enough history (e.g. no EMA200 yet) drop out of some figures but not others.
+
+// 24h change histogram buckets, in percent; the outer buckets are open-ended
+export const CHANGE_BUCKETS = [
+  { label: '< -10%', min: -Infinity, max: -10 },
+  { label: '-10 to -5%', min: -10, max: -5 },
+  { label: '-5 to -2%', min: -5, max: -2 },
+  { label: '-2 to 0%', min: -2, max: 0 },
+  { label: '0 to 2%', min: 0, max: 2 },
+  { label: '2 to 5%', min: 2, max: 5 },
+  { label: '5 to 10%', min: 5, max: 10 },
+  { label: '> 10%', min: 10, max: Infinity },
+];
+
+/**
+ * Calculates the median of a list of numbers.
+ * @param values - The numbers.
+ * @returns The median, or NaN for an empty list.
+ */
+const median = (values) => {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Calculates market breadth over a set of signals.
+ * @param signals - The signal objects.
+ * @param rules - Signal rules for the zone distribution.
+ * @returns `{ total, zones, priceChange, volume, aboveEma200, rsi, trend, changeHistogram }`. Count figures
+ * carry a `sample` with the number of symbols they cover; `total` is the number of signals passed in.
+ */
+export function calculateBreadth(signals, rules) {
+  const zones = Object.fromEntries(ZONES.map((zone) => [zone, 0]));
+  const priceChange = { green: 0, red: 0, sample: 0 };
+  const volume = { green: 0, red: 0, sample: 0 };
+  const aboveEma200 = { count: 0, sample: 0 };
+  const trend = { bullish: 0, bearish: 0, sample: 0 };
+  const changeHistogram = CHANGE_BUCKETS.map((bucket) => ({ ...bucket, count: 0 }));
+  const rsiValues = [];
+
+  for (const s of signals) {
+    zones[getSignal(s, rules)]++;
+
+    const change = s.priceChangePercent;
+    if (Number.isFinite(change)) {
+      priceChange.sample++;
+      if (change > 0) priceChange.green++;
+      else if (change < 0) priceChange.red++;
+      // Bucket ranges include their lower bound
+      changeHistogram.find((bucket) => change >= bucket.min && change < bucket.max).count++;
+    }
+
+    if (s.highestVolumeColorPrev) {
+      volume.sample++;
+      volume[s.highestVolumeColorPrev]++;
+    }
+
+    const ema200 = s.indicators?.ema200;
+    if (Number.isFinite(ema200)) {
+      aboveEma200.sample++;
+      if (s.closes.at(-1) > ema200) aboveEma200.count++;
+    }
+
+    const rsi = s.rsi14?.at(-1);
+    if (Number.isFinite(rsi)) rsiValues.push(rsi);
+
+    if (s.mainTrend?.trend) {
+      trend.sample++;
+      trend[s.mainTrend.trend]++;
+    }
+  }
+
+  return {
+    total: signals.length,
+    zones,
+    priceChange,
+    volume,
+    aboveEma200,
+    rsi: {
+      average: rsiValues.length ? rsiValues.reduce((sum, v) => sum + v, 0) / rsiValues.length : NaN,
+      median: median(rsiValues),
+      sample: rsiValues.length,
+    },
+    trend,
+    changeHistogram,
+  };
+}
@@ -0,0 +1,115 @@
+import { ALERTABLE_ZONES } from "../alerts";
+import { formatInterval } from "../engine/sessions";
+
+/**
+ * Alert settings (zones, timeframes, desktop/sound, cooldown) and the persistent alert log.
+ * @param settings - The current alert settings.
+ * @param onChange - Called with the updated settings.
+ * @param log - Alert log entries, newest first.
+ * @param onClearLog - Called to empty the log.
+ * @param timeframes - The timeframes that can be toggled.
+ */
+export default function AlertsPanel({ settings, onChange, log, onClearLog, timeframes }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const toggleDesktop = async (checked) => {
+    if (checked && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      await Notification.requestPermission();
+    }
+    update({ desktop: checked });
+  };
+
+  const desktopBlocked = typeof Notification === 'undefined' || Notification.permission === 'denied';
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-orange-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-orange-300 mb-4 text-center">
+        Zone Alerts
+      </h2>
+
+      <div className="flex flex-wrap justify-center items-center gap-4 mb-3 text-sm text-gray-300">
+        <label>
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} className="mr-1" />
+          Alerts on
+        </label>
+        <label className={desktopBlocked ? 'text-gray-500' : ''}>
+          <input
+            type="checkbox"
+            checked={settings.desktop && !desktopBlocked}
+            disabled={desktopBlocked}
+            onChange={(e) => toggleDesktop(e.target.checked)}
+            className="mr-1"
+          />
+          Desktop notifications{desktopBlocked && ' (blocked)'}
+        </label>
+        <label>
+          <input type="checkbox" checked={settings.sound} onChange={(e) => update({ sound: e.target.checked })} className="mr-1" />
+          Sound
+        </label>
+        <label>
+          Cooldown (min)
+          <input
+            type="number"
+            min="0"
+            value={settings.cooldownMinutes}
+            onChange={(e) => update({ cooldownMinutes: Math.max(0, parseFloat(e.target.value) || 0) })}
+            className="ml-2 w-16 px-2 py-1 rounded bg-gray-700 text-gray-100"
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-3 mb-3 text-xs text-gray-300">
+        {ALERTABLE_ZONES.map((zone) => (
+          <label key={zone} className={zone.endsWith('PUMP') ? 'text-green-300' : 'text-red-300'}>
+            <input
+              type="checkbox"
+              checked={!!settings.zones[zone]}
+              onChange={(e) => update({ zones: { ...settings.zones, [zone]: e.target.checked } })}
+              className="mr-1"
+            />
+            {zone}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-3 mb-4 text-xs text-gray-300">
+        {timeframes.map((tf) => (
+          <label key={tf}>
+            <input
+              type="checkbox"
+              checked={!!settings.timeframes[tf]}
+              onChange={(e) => update({ timeframes: { ...settings.timeframes, [tf]: e.target.checked } })}
+              className="mr-1"
+            />
+            {formatInterval(tf)}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-semibold text-gray-300">Alert Log ({log.length})</h3>
+        {log.length > 0 && (
+          <button onClick={onClearLog} className="px-3 py-1 rounded-lg text-xs font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+            Clear
+          </button>
+        )}
+      </div>
+      {log.length === 0 ? (
+        <p className="text-sm text-gray-500">No zone transitions yet.</p>
+      ) : (
+        <ul className="max-h-64 overflow-y-auto divide-y divide-gray-700 text-sm">
+          {log.map((entry) => (
+            <li key={entry.id} className="py-1 flex flex-wrap gap-x-3">
+              <span className="text-gray-500">{new Date(entry.time).toLocaleString()}</span>
+              <span className="font-medium text-purple-200">{entry.symbol}</span>
+              <span className="text-gray-400">{formatInterval(entry.timeframe)}</span>
+              <span className={entry.zone.endsWith('PUMP') ? 'text-green-400' : 'text-red-400'}>{entry.zone}</span>
+              <span className="text-gray-500">from {entry.fromZone}</span>
+              <span className="text-gray-300">${entry.price}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
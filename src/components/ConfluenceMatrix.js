@@ -0,0 +1,102 @@
+import { useMemo, useState } from "react";
+import { ZONES } from "../engine/signals";
+import { buildConfluenceRows, matchesConfluenceFilters } from "../confluence";
+import { formatInterval } from "../engine/sessions";
+
+const zoneColor = (zone) =>
+  zone?.endsWith('PUMP') ? 'text-green-400' : zone?.endsWith('DUMP') ? 'text-red-400' : 'text-gray-400';
+
+/**
+ * Shows every symbol's zone on each timeframe side by side with a confluence score,
+ * filterable by the zone required on each timeframe (e.g. MAX ZONE PUMP on 4h and 1d).
+ * @param signalsByTimeframe - An object mapping timeframe to that timeframe's signal array.
+ * @param timeframes - The timeframes to show as columns.
+ * @param rules - Signal rules passed to getSignal.
+ * @param onSelectTimeframe - Called with a timeframe that hasn't been scanned yet to load it.
+ */
+export default function ConfluenceMatrix({ signalsByTimeframe, timeframes, rules, onSelectTimeframe }) {
+  const [filters, setFilters] = useState({});
+
+  const rows = useMemo(
+    () => buildConfluenceRows(signalsByTimeframe, timeframes, rules),
+    [signalsByTimeframe, timeframes, rules]
+  );
+
+  // Filters on timeframes that are no longer shown (e.g. after an exchange switch) have no select to clear them
+  const activeFilters = Object.fromEntries(Object.entries(filters).filter(([tf]) => timeframes.includes(tf)));
+  const filteredRows = rows.filter((row) => matchesConfluenceFilters(row, activeFilters));
+  const missingTimeframes = timeframes.filter((tf) => !(signalsByTimeframe[tf]?.length > 0));
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-teal-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-teal-300 mb-4 text-center">
+        Multi-Timeframe Confluence ({filteredRows.length})
+      </h2>
+
+      {missingTimeframes.length > 0 && (
+        <p className="text-center text-sm text-gray-400 mb-4">
+          Not scanned yet:{' '}
+          {missingTimeframes.map((tf) => (
+            <button key={tf} onClick={() => onSelectTimeframe(tf)} className="mx-1 underline text-teal-300 hover:text-teal-200">
+              {formatInterval(tf)}
+            </button>
+          ))}
+        </p>
+      )}
+
+      {/* Per-timeframe zone filters */}
+      <div className="flex flex-wrap justify-center gap-3 mb-4">
+        {timeframes.map((tf) => (
+          <label key={tf} className="text-sm text-gray-400">
+            {formatInterval(tf)}
+            <select
+              value={filters[tf] || ''}
+              onChange={(e) => setFilters((prev) => ({ ...prev, [tf]: e.target.value }))}
+              className="ml-2 px-2 py-1 rounded bg-gray-700 text-gray-100"
+            >
+              <option value="">Any zone</option>
+              {ZONES.map((zone) => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {filteredRows.length === 0 ? (
+        <p className="text-center text-gray-400">No symbols match the selected zones.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-700">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Symbol</th>
+                {timeframes.map((tf) => (
+                  <th key={tf} className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                    {formatInterval(tf)}
+                  </th>
+                ))}
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Score</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {filteredRows.map((row) => (
+                <tr key={row.symbol}>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-teal-200">{row.symbol}</td>
+                  {timeframes.map((tf) => (
+                    <td key={tf} className={`px-4 py-2 whitespace-nowrap text-sm ${zoneColor(row.zones[tf])}`}>
+                      {row.zones[tf] || '—'}
+                    </td>
+                  ))}
+                  <td className={`px-4 py-2 whitespace-nowrap text-sm font-semibold ${row.score > 0 ? 'text-green-400' : row.score < 0 ? 'text-red-400' : 'text-gray-400'}`}>
+                    {row.score > 0 ? `+${row.score}` : row.score}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
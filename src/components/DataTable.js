@@ -0,0 +1,223 @@
+import { useEffect, useMemo, useState } from "react";
+import { readStorage, writeStorage } from "../storage";
+
+const PAGE_SIZES = [25, 50, 100, 0]; // 0 shows every row
+
+const DEFAULT_TABLE_STATE = {
+  search: '',
+  sort: null, // { key, direction: 'asc' | 'desc' }
+  hiddenColumns: [],
+  pageSize: 50,
+  favourites: [],
+};
+
+/**
+ * Compares two sort values, keeping missing values (null, undefined, NaN) last in either direction.
+ * @param a - First value.
+ * @param b - Second value.
+ * @param direction - 'asc' or 'desc'.
+ * @returns A comparator result.
+ */
+const compareValues = (a, b, direction) => {
+  const aMissing = a === null || a === undefined || Number.isNaN(a);
+  const bMissing = b === null || b === undefined || Number.isNaN(b);
+  if (aMissing || bMissing) return aMissing - bMissing;
+  const result = typeof a === 'string' ? a.localeCompare(b) : a - b;
+  return direction === 'asc' ? result : -result;
+};
+
+/**
+ * Generic table with sorting, search, pagination, a column chooser and pinned favourites.
+ * Everything except the current page is persisted to localStorage under `storageKey`.
+ * @param columns - Column definitions: `{ key, label, render(row), sortValue?(row), cellClassName?(row), hideable? }`.
+ * Columns without `sortValue` aren't sortable; `hideable: false` keeps a column out of the chooser.
+ * @param rows - The row objects.
+ * @param rowKey - Returns a row's unique key; favourites are stored by this key.
+ * @param searchText - Returns the text a row is searched by.
+ * @param storageKey - localStorage key for the table state.
+ * @param onRowClick - Optional row click handler.
+ * @param rowBadge - Optional extra content rendered after the first cell's value.
+ * @param sort - Optional controlled sort (`{ key, direction }` or null); the stored sort is used when undefined.
+ * @param onSortChange - Called with the new sort whenever a header is clicked.
+ */
+export default function DataTable({ columns, rows, rowKey, searchText, storageKey, onRowClick, rowBadge, sort, onSortChange }) {
+  const [state, setState] = useState(() => ({ ...DEFAULT_TABLE_STATE, ...readStorage(storageKey, {}) }));
+  const [page, setPage] = useState(0);
+  const [chooserOpen, setChooserOpen] = useState(false);
+
+  useEffect(() => {
+    writeStorage(storageKey, state);
+  }, [storageKey, state]);
+
+  const update = (patch) => setState((prev) => ({ ...prev, ...patch }));
+  const activeSort = sort === undefined ? state.sort : sort;
+
+  const visibleColumns = columns.filter((c) => !state.hiddenColumns.includes(c.key));
+  const favourites = useMemo(() => new Set(state.favourites), [state.favourites]);
+
+  const sortedRows = useMemo(() => {
+    const query = state.search.trim().toLowerCase();
+    const matching = query ? rows.filter((row) => searchText(row).toLowerCase().includes(query)) : rows;
+    const sortColumn = activeSort && columns.find((c) => c.key === activeSort.key && c.sortValue);
+    const sorted = sortColumn
+      ? [...matching].sort((a, b) => compareValues(sortColumn.sortValue(a), sortColumn.sortValue(b), activeSort.direction))
+      : matching;
+    // Favourites are pinned above everything else, keeping the sort order within each group
+    return [...sorted.filter((row) => favourites.has(rowKey(row))), ...sorted.filter((row) => !favourites.has(rowKey(row)))];
+  }, [rows, columns, state.search, activeSort, favourites, rowKey, searchText]);
+
+  const pageCount = state.pageSize ? Math.max(1, Math.ceil(sortedRows.length / state.pageSize)) : 1;
+  const currentPage = Math.min(page, pageCount - 1); // Rows can shrink under a later page while scanning
+  const pageRows = state.pageSize
+    ? sortedRows.slice(currentPage * state.pageSize, (currentPage + 1) * state.pageSize)
+    : sortedRows;
+
+  // Cycles a column through descending, ascending and unsorted (arrival order)
+  const toggleSort = (key) => {
+    let next = null;
+    if (!activeSort || activeSort.key !== key) next = { key, direction: 'desc' };
+    else if (activeSort.direction === 'desc') next = { key, direction: 'asc' };
+    update({ sort: next }); // Still stored when controlled, so it's the default next session
+    onSortChange?.(next);
+  };
+
+  const toggleFavourite = (key) => {
+    update({
+      favourites: favourites.has(key) ? state.favourites.filter((k) => k !== key) : [...state.favourites, key],
+    });
+  };
+
+  const toggleColumn = (key, visible) => {
+    update({ hiddenColumns: visible ? state.hiddenColumns.filter((k) => k !== key) : [...state.hiddenColumns, key] });
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-3 text-sm text-gray-400">
+        <input
+          type="text"
+          placeholder="Search symbol..."
+          value={state.search}
+          onChange={(e) => {
+            update({ search: e.target.value });
+            setPage(0);
+          }}
+          className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+        />
+        <div className="flex items-center gap-3">
+          <label>
+            Rows
+            <select
+              value={state.pageSize}
+              onChange={(e) => {
+                update({ pageSize: parseInt(e.target.value, 10) });
+                setPage(0);
+              }}
+              className="ml-2 px-2 py-1 rounded bg-gray-700 text-gray-100"
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size} value={size}>{size || 'All'}</option>
+              ))}
+            </select>
+          </label>
+          <div className="relative">
+            <button
+              onClick={() => setChooserOpen((open) => !open)}
+              className="px-3 py-1 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600"
+            >
+              Columns
+            </button>
+            {chooserOpen && (
+              <div className="absolute right-0 z-10 mt-1 w-48 p-2 rounded-lg bg-gray-700 shadow-xl text-xs text-gray-200">
+                {columns.filter((c) => c.hideable !== false).map((c) => (
+                  <label key={c.key} className="block py-0.5">
+                    <input
+                      type="checkbox"
+                      checked={!state.hiddenColumns.includes(c.key)}
+                      onChange={(e) => toggleColumn(c.key, e.target.checked)}
+                      className="mr-1"
+                    />
+                    {c.label}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-700">
+          <thead className="bg-gray-700">
+            <tr>
+              <th className="px-2 py-3 rounded-tl-lg" />
+              {visibleColumns.map((c, i) => (
+                <th
+                  key={c.key}
+                  onClick={c.sortValue ? () => toggleSort(c.key) : undefined}
+                  className={`px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider
+                    ${c.sortValue ? 'cursor-pointer select-none hover:text-white' : ''}
+                    ${i === visibleColumns.length - 1 ? 'rounded-tr-lg' : ''}`}
+                >
+                  {c.label}
+                  {activeSort?.key === c.key && (activeSort.direction === 'desc' ? ' ▼' : ' ▲')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {pageRows.map((row) => {
+              const key = rowKey(row);
+              return (
+                <tr
+                  key={key}
+                  onClick={onRowClick ? () => onRowClick(row) : undefined}
+                  className={`hover:bg-gray-750 transition-colors duration-150 ${onRowClick ? 'cursor-pointer' : ''}`}
+                >
+                  <td className="px-2 py-4 text-sm">
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation(); // Don't open the row
+                        toggleFavourite(key);
+                      }}
+                      title={favourites.has(key) ? 'Unpin' : 'Pin to top'}
+                      className={favourites.has(key) ? 'text-yellow-400' : 'text-gray-600 hover:text-gray-400'}
+                    >
+                      ★
+                    </button>
+                  </td>
+                  {visibleColumns.map((c, i) => (
+                    <td key={c.key} className={`px-4 py-4 whitespace-nowrap text-sm ${c.cellClassName ? c.cellClassName(row) : 'text-gray-300'}`}>
+                      {c.render(row)}
+                      {i === 0 && rowBadge && rowBadge(row)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-3 text-sm text-gray-400">
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="px-3 py-1 rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+          >
+            Prev
+          </button>
+          <span>Page {currentPage + 1} of {pageCount} ({sortedRows.length} rows)</span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage === pageCount - 1}
+            className="px-3 py-1 rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { ZONES } from "../engine/signals";
+
+const formatPercent = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : 'N/A');
+const formatNumber = (value) => (Number.isFinite(value) ? value.toFixed(1) : 'N/A');
+const coverageText = (sample, universeTotal) => `${sample}${universeTotal !== null ? ` of ${universeTotal}` : ''} scanned`;
+const zoneClass = (zone) => (zone.endsWith('PUMP') ? 'bg-green-500' : zone.endsWith('DUMP') ? 'bg-red-500' : 'bg-gray-500');
+
+/**
+ * One figure of the overview. While the scan is running, it shows how many of the universe's symbols
+ * the figure is based on so far.
+ * @param label - The figure's name.
+ * @param value - The formatted value.
+ * @param valueClass - Text colour class for the value.
+ * @param sample - Number of symbols the figure covers.
+ * @param coverage - `{ complete, universeTotal }`; see MarketBreadthPanel.
+ * @param detail - Optional extra line under the value.
+ */
+function Stat({ label, value, valueClass = 'text-gray-100', sample, coverage, detail }) {
+  return (
+    <div className="p-3 bg-gray-700 rounded-lg">
+      <p className="text-sm text-gray-400">{label}</p>
+      <p className={`text-lg font-semibold ${valueClass}`}>{value}</p>
+      {detail && <p className="text-xs text-gray-400">{detail}</p>}
+      {!coverage.complete && (
+        <p className="text-xs text-yellow-300">{coverageText(sample, coverage.universeTotal)}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Market Overview: price and volume direction counts, zone distribution, EMA and RSI breadth, saved
+ * screen counts and a histogram of 24h changes across the scanned symbols.
+ * @param breadth - Figures from calculateBreadth.
+ * @param complete - Whether the scan has finished; until then every figure shows its coverage.
+ * @param universeTotal - Number of symbols in the scan's universe, or null before the symbol list has loaded.
+ * @param screenCounts - `[{ name, count }]`, the number of scanned symbols passing each saved screen.
+ */
+export default function MarketBreadthPanel({ breadth, complete, universeTotal, screenCounts = [] }) {
+  const coverage = { complete, universeTotal };
+  const { priceChange, volume, aboveEma200, rsi, trend, zones, changeHistogram } = breadth;
+  const maxBucket = Math.max(1, ...changeHistogram.map((bucket) => bucket.count));
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-blue-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-blue-300 mb-4 text-center">
+        Market Overview
+      </h2>
+      {!complete && (
+        <p className="text-center text-sm text-yellow-300 mb-4">
+          Scan in progress: {coverageText(breadth.total, universeTotal)} so far.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 text-center mb-4">
+        <Stat label="Green Price Change" value={priceChange.green} valueClass="text-green-400" sample={priceChange.sample} coverage={coverage} />
+        <Stat label="Red Price Change" value={priceChange.red} valueClass="text-red-400" sample={priceChange.sample} coverage={coverage} />
+        <Stat label="Green Volume (Prev Session)" value={volume.green} valueClass="text-green-400" sample={volume.sample} coverage={coverage} />
+        <Stat label="Red Volume (Prev Session)" value={volume.red} valueClass="text-red-400" sample={volume.sample} coverage={coverage} />
+        <Stat
+          label="Above EMA200"
+          value={formatPercent(aboveEma200.count, aboveEma200.sample)}
+          detail={`${aboveEma200.count} of ${aboveEma200.sample} with enough history`}
+          sample={aboveEma200.sample}
+          coverage={coverage}
+        />
+        <Stat label="Average RSI" value={formatNumber(rsi.average)} sample={rsi.sample} coverage={coverage} />
+        <Stat label="Median RSI" value={formatNumber(rsi.median)} sample={rsi.sample} coverage={coverage} />
+        <Stat
+          label="EMA70/200 Bullish : Bearish"
+          value={trend.bearish > 0 ? (trend.bullish / trend.bearish).toFixed(2) : 'N/A'}
+          valueClass={trend.bullish >= trend.bearish ? 'text-green-400' : 'text-red-400'}
+          detail={`${trend.bullish} bullish / ${trend.bearish} bearish`}
+          sample={trend.sample}
+          coverage={coverage}
+        />
+      </div>
+
+      {screenCounts.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4 text-center mb-4">
+          {screenCounts.map(({ name, count }) => (
+            <Stat key={name} label={`Screen: ${name}`} value={count} valueClass="text-teal-300" sample={breadth.total} coverage={coverage} />
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Zone Distribution */}
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-2">
+            Zone Distribution
+            {!complete && <span className="ml-2 text-xs font-normal text-yellow-300">{coverageText(breadth.total, universeTotal)}</span>}
+          </h3>
+          {ZONES.map((zone) => (
+            <div key={zone} className="flex items-center text-xs text-gray-300 mb-1">
+              <span className="w-40 shrink-0">{zone}</span>
+              <div className="flex-1 h-3 bg-gray-700 rounded mr-2">
+                <div className={`h-3 rounded ${zoneClass(zone)}`} style={{ width: `${breadth.total > 0 ? (zones[zone] / breadth.total) * 100 : 0}%` }} />
+              </div>
+              <span className="w-20 text-right">{zones[zone]} ({formatPercent(zones[zone], breadth.total)})</span>
+            </div>
+          ))}
+        </div>
+
+        {/* 24h Change Histogram */}
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-2">
+            24h Change Distribution
+            {!complete && <span className="ml-2 text-xs font-normal text-yellow-300">{coverageText(priceChange.sample, universeTotal)}</span>}
+          </h3>
+          <div className="flex items-end h-32 gap-1">
+            {changeHistogram.map((bucket) => (
+              <div key={bucket.label} className="flex-1 flex flex-col justify-end items-center h-full" title={`${bucket.label}: ${bucket.count}`}>
+                <span className="text-xs text-gray-400">{bucket.count}</span>
+                <div
+                  className={`w-full rounded-t ${bucket.max <= 0 ? 'bg-red-500' : 'bg-green-500'}`}
+                  style={{ height: `${(bucket.count / maxBucket) * 100}%` }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-1 mt-1">
+            {changeHistogram.map((bucket) => (
+              <span key={bucket.label} className="flex-1 text-center text-xs text-gray-400">{bucket.label}</span>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+import DataTable from "./DataTable";
+import { formatInterval } from "../engine/sessions";
+import { calculatePaperStats, CLOSE_REASONS, getEquity, getPositionPnl } from "../paperTrading";
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 160;
+const AXIS_WIDTH = 70; // Left-hand space for equity labels
+const JOURNAL_STORAGE_KEY = 'paperJournalTable';
+
+const SETTING_FIELDS = [
+  { key: 'startingBalance', label: 'Starting Balance (on reset)', min: 1 },
+  { key: 'margin', label: 'Margin / Position', min: 1 },
+  { key: 'leverage', label: 'Leverage (x)', min: 1 },
+  { key: 'stopLossPercent', label: 'Stop-Loss (%, 0 = off)', min: 0 },
+  { key: 'takeProfitPercent', label: 'Take-Profit (%, 0 = off)', min: 0 },
+];
+
+const formatTime = (time) => new Date(time).toLocaleString();
+const formatMoney = (value) => (Number.isFinite(value) ? value.toFixed(2) : 'N/A');
+const formatPrice = (value) => (Number.isFinite(value) ? Number(value.toPrecision(6)) : '—');
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-300');
+const sideClass = (side) => (side === 'long' ? 'text-green-400' : 'text-red-400');
+const tradeKey = (trade) => trade.id;
+const getTradeSymbol = (trade) => trade.symbol;
+
+const JOURNAL_COLUMNS = [
+  {
+    key: 'symbol',
+    label: 'Symbol',
+    hideable: false,
+    sortValue: (t) => t.symbol,
+    render: (t) => t.symbol,
+    cellClassName: () => 'font-medium text-purple-200',
+  },
+  {
+    key: 'side',
+    label: 'Side',
+    sortValue: (t) => t.side,
+    render: (t) => `${t.side.toUpperCase()} ${t.leverage}x`,
+    cellClassName: (t) => sideClass(t.side),
+  },
+  {
+    key: 'entry',
+    label: 'Entry',
+    sortValue: (t) => t.entryTime,
+    render: (t) => `${formatPrice(t.entryPrice)} (${formatTime(t.entryTime)})`,
+  },
+  {
+    key: 'exit',
+    label: 'Exit',
+    sortValue: (t) => t.exitTime,
+    render: (t) => `${formatPrice(t.exitPrice)} (${formatTime(t.exitTime)})`,
+  },
+  {
+    key: 'source',
+    label: 'Opened By',
+    sortValue: (t) => t.source,
+    render: (t) => `${t.source === 'auto' ? 'Auto' : 'Manual'}, ${t.zone} ${formatInterval(t.timeframe)}`,
+  },
+  {
+    key: 'reason',
+    label: 'Closed By',
+    sortValue: (t) => t.reason,
+    render: (t) => CLOSE_REASONS[t.reason],
+  },
+  {
+    key: 'pnl',
+    label: 'P&L',
+    sortValue: (t) => t.pnl,
+    render: (t) => `${formatMoney(t.pnl)} (${t.pnlPercent.toFixed(1)}%)`,
+    cellClassName: (t) => pnlClass(t.pnl),
+  },
+];
+
+/**
+ * Zone table column with buttons that open a paper long or short from the row.
+ * @param onOpen - Called with the row's signal object and 'long' or 'short'.
+ * @returns A column definition for DataTable.
+ */
+export const buildTradeColumn = (onOpen) => ({
+  key: 'paperTrade',
+  label: 'Paper Trade',
+  render: (s) => (
+    <span className="space-x-1">
+      {['long', 'short'].map((side) => (
+        <button
+          key={side}
+          onClick={(e) => {
+            e.stopPropagation(); // Don't open the detail drawer
+            onOpen(s, side);
+          }}
+          className={`px-2 py-0.5 rounded text-xs font-semibold bg-gray-700 hover:bg-gray-600 ${sideClass(side)}`}
+        >
+          {side === 'long' ? 'Long' : 'Short'}
+        </button>
+      ))}
+    </span>
+  ),
+});
+
+/**
+ * Paper trading: position settings and auto-entry, account figures, the equity curve, open positions and
+ * the journal of closed trades.
+ * @param settings - Paper trading settings.
+ * @param onChangeSettings - Called with the updated settings.
+ * @param account - The paper account (see paperTrading.js).
+ * @param onClosePosition - Called with a position id to close it at its last price.
+ * @param onReset - Called to start a new account with the starting balance.
+ * @param error - Why the last order couldn't be placed, or null.
+ * @param timeframes - The timeframes auto-entry can follow.
+ */
+export default function PaperTradingPanel({ settings, onChangeSettings, account, onClosePosition, onReset, error, timeframes }) {
+  const update = (patch) => onChangeSettings({ ...settings, ...patch });
+  const stats = calculatePaperStats(account);
+  const equity = getEquity(account);
+
+  const curve = account.equityCurve;
+  const firstTime = curve[0].time;
+  const timeRange = (curve.at(-1).time - firstTime) || 1;
+  const values = curve.map((p) => p.equity);
+  const maxEquity = Math.max(...values, account.startingBalance);
+  const minEquity = Math.min(...values, account.startingBalance);
+  const equityRange = maxEquity - minEquity || 1;
+  const plotWidth = CHART_WIDTH - AXIS_WIDTH;
+  const x = (time) => AXIS_WIDTH + (curve.length > 1 ? ((time - firstTime) / timeRange) * plotWidth : plotWidth / 2);
+  const y = (value) => ((maxEquity - value) / equityRange) * CHART_HEIGHT;
+
+  const figures = [
+    { label: 'Equity', value: formatMoney(equity), valueClass: pnlClass(equity - account.startingBalance) },
+    { label: 'Cash', value: formatMoney(account.balance) },
+    { label: 'Realized P&L', value: formatMoney(stats.realizedPnl), valueClass: pnlClass(stats.realizedPnl) },
+    { label: 'Win Rate', value: stats.winRate === null ? 'N/A' : `${stats.winRate.toFixed(1)}%`, detail: `${stats.wins}W / ${stats.losses}L` },
+    { label: 'Avg Trade', value: formatMoney(stats.averagePnl), valueClass: pnlClass(stats.averagePnl) },
+    { label: 'Best / Worst', value: `${formatMoney(stats.best)} / ${formatMoney(stats.worst)}` },
+    { label: 'Max Drawdown', value: `${stats.maxDrawdownPercent.toFixed(1)}%`, valueClass: 'text-red-300' },
+  ];
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-cyan-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-cyan-300 mb-4 text-center">
+        Paper Trading
+      </h2>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-4">
+        {SETTING_FIELDS.map(({ key, label, min }) => (
+          <label key={key} className="text-xs text-gray-400">
+            {label}
+            <input
+              type="number"
+              min={min}
+              value={settings[key]}
+              onChange={(e) => update({ [key]: Math.max(min, parseFloat(e.target.value) || 0) })}
+              className="mt-1 w-full px-2 py-1 rounded bg-gray-700 text-gray-100"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-center items-center gap-4 mb-4 text-sm text-gray-300">
+        <label>
+          <input type="checkbox" checked={settings.autoEnter} onChange={(e) => update({ autoEnter: e.target.checked })} className="mr-1" />
+          Auto-enter on MAX ZONE PUMP (long) / DUMP (short)
+        </label>
+        <select
+          value={settings.autoTimeframe}
+          onChange={(e) => update({ autoTimeframe: e.target.value })}
+          disabled={!settings.autoEnter}
+          className="px-2 py-1 rounded bg-gray-700 text-gray-100 disabled:opacity-50"
+        >
+          {timeframes.map((tf) => (
+            <option key={tf} value={tf}>{formatInterval(tf)}</option>
+          ))}
+        </select>
+        <button onClick={onReset} className="px-3 py-1 rounded-lg text-xs font-semibold bg-gray-700 text-red-300 hover:bg-gray-600">
+          Reset Account
+        </button>
+      </div>
+
+      {error && <p className="text-center text-sm text-red-400 mb-3">{error}</p>}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3 mb-4">
+        {figures.map(({ label, value, valueClass = 'text-gray-100', detail }) => (
+          <div key={label} className="p-3 bg-gray-700 rounded-lg">
+            <p className="text-sm text-gray-400">{label}</p>
+            <p className={`text-lg font-semibold ${valueClass}`}>{value}</p>
+            {detail && <p className="text-xs text-gray-400">{detail}</p>}
+          </div>
+        ))}
+      </div>
+
+      {/* Equity Curve */}
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`} className="w-full mb-6">
+        {[0, 0.5, 1].map((f) => {
+          const value = minEquity + equityRange * f;
+          return (
+            <g key={f}>
+              <line x1={AXIS_WIDTH} x2={CHART_WIDTH} y1={y(value)} y2={y(value)} stroke="#374151" strokeWidth="1" />
+              <text x={AXIS_WIDTH - 6} y={y(value) + 4} textAnchor="end" fontSize="11" fill="#9ca3af">{value.toFixed(0)}</text>
+            </g>
+          );
+        })}
+        <line
+          x1={AXIS_WIDTH}
+          x2={CHART_WIDTH}
+          y1={y(account.startingBalance)}
+          y2={y(account.startingBalance)}
+          stroke="#6b7280"
+          strokeDasharray="4 4"
+        />
+        <polyline
+          points={curve.map((p) => `${x(p.time).toFixed(1)},${y(p.equity).toFixed(1)}`).join(' ')}
+          fill="none"
+          stroke="#22d3ee"
+          strokeWidth="1.5"
+        />
+        <text x={AXIS_WIDTH} y={CHART_HEIGHT + 16} fontSize="11" fill="#9ca3af">{formatTime(firstTime)}</text>
+        <text x={CHART_WIDTH} y={CHART_HEIGHT + 16} textAnchor="end" fontSize="11" fill="#9ca3af">{formatTime(curve.at(-1).time)}</text>
+      </svg>
+
+      {/* Open Positions */}
+      <h3 className="text-sm font-semibold text-gray-300 mb-2">Open Positions ({account.positions.length})</h3>
+      {account.positions.length === 0 ? (
+        <p className="text-center text-sm text-gray-400 mb-6">
+          Open a position with the Long/Short buttons in the zone table{settings.autoEnter ? ', or wait for a symbol to enter a MAX zone' : ''}.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mb-6">
+          <table className="min-w-full divide-y divide-gray-700">
+            <thead className="bg-gray-700">
+              <tr>
+                {['Symbol', 'Side', 'Entry', 'Last', 'Stop-Loss', 'Take-Profit', 'Margin', 'Unrealized P&L', ''].map((heading) => (
+                  <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {account.positions.map((p) => {
+                const { pnl, pnlPercent } = getPositionPnl(p, p.lastPrice);
+                return (
+                  <tr key={p.id}>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-purple-200">
+                      {p.symbol} <span className="text-gray-500">{formatInterval(p.timeframe)}{p.source === 'auto' && ', auto'}</span>
+                    </td>
+                    <td className={`px-4 py-2 whitespace-nowrap text-sm ${sideClass(p.side)}`}>{p.side.toUpperCase()} {p.leverage}x</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{formatPrice(p.entryPrice)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{formatPrice(p.lastPrice)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{formatPrice(p.stopLoss)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{formatPrice(p.takeProfit)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-300">{formatMoney(p.margin)}</td>
+                    <td className={`px-4 py-2 whitespace-nowrap text-sm ${pnlClass(pnl)}`}>{formatMoney(pnl)} ({pnlPercent.toFixed(1)}%)</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm">
+                      <button
+                        onClick={() => onClosePosition(p.id)}
+                        className="px-2 py-0.5 rounded text-xs font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600"
+                      >
+                        Close
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Trade Journal */}
+      <h3 className="text-sm font-semibold text-gray-300 mb-2">Trade Journal ({account.trades.length})</h3>
+      {account.trades.length === 0 ? (
+        <p className="text-center text-sm text-gray-400">Closed trades are listed here.</p>
+      ) : (
+        <DataTable
+          columns={JOURNAL_COLUMNS}
+          rows={account.trades}
+          rowKey={tradeKey}
+          searchText={getTradeSymbol}
+          storageKey={JOURNAL_STORAGE_KEY}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState } from "react";
+import { DEFAULT_SIGNAL_RULES } from "../engine/signals";
+import { loadPresets, savePresets, validateRules } from "../rulePresets";
+
+const RULE_FIELDS = [
+  { key: 'rsiPeriod', label: 'RSI Period' },
+  { key: 'rsiLookback', label: 'RSI Lookback' },
+  { key: 'maxZoneMin', label: 'MAX Zone ≥' },
+  { key: 'balanceZoneMin', label: 'Balance Zone Min' },
+  { key: 'balanceZoneMax', label: 'Balance Zone Max' },
+  { key: 'lowestZoneMin', label: 'Lowest Zone Min' },
+  { key: 'lowestZoneMax', label: 'Lowest Zone Max' },
+  { key: 'emaFast', label: 'EMA Fast (chart only)' },
+  { key: 'emaMid', label: 'EMA Mid' },
+  { key: 'emaSlow', label: 'EMA Slow' },
+  { key: 'breakoutLookback', label: 'Breakout Lookback' },
+  { key: 'nearCrossoverPercent', label: 'Near Crossover (%)' },
+  { key: 'pivotBars', label: 'Swing Bars (each side)' },
+  { key: 'divergenceLookback', label: 'Divergence Lookback' },
+];
+
+/**
+ * Settings panel for the signal rules with named presets saved to localStorage.
+ * Edits are kept as a draft until applied so the signals aren't re-evaluated on every keystroke.
+ * @param rules - The rules currently in use.
+ * @param onApply - Called with a validated rule set to put into use.
+ */
+export default function RulesPanel({ rules, onApply }) {
+  const [draft, setDraft] = useState(rules);
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState('');
+  const [error, setError] = useState(null);
+
+  const apply = (next) => {
+    const validationError = validateRules(next);
+    setError(validationError);
+    if (!validationError) onApply(next);
+  };
+
+  const selectPreset = (name) => {
+    const preset = name === '' ? DEFAULT_SIGNAL_RULES : presets[name];
+    setPresetName(name);
+    setDraft(preset);
+    apply(preset);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) {
+      setError('Enter a preset name to save.');
+      return;
+    }
+    const validationError = validateRules(draft);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    const next = { ...presets, [name]: draft };
+    setPresets(next);
+    savePresets(next);
+    apply(draft);
+  };
+
+  const deletePreset = () => {
+    const { [presetName]: _removed, ...rest } = presets;
+    setPresets(rest);
+    savePresets(rest);
+    setPresetName('');
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-gray-600">
+      <h2 className="text-xl sm:text-2xl font-bold text-gray-200 mb-4 text-center">
+        Signal Rules
+      </h2>
+
+      <div className="flex flex-wrap justify-center items-center gap-3 mb-4">
+        <select
+          value={presets[presetName] ? presetName : ''}
+          onChange={(e) => selectPreset(e.target.value)}
+          className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+        >
+          <option value="">Default rules</option>
+          {Object.keys(presets).map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+        />
+        <button onClick={savePreset} className="px-3 py-1 rounded-lg font-semibold bg-purple-600 text-white hover:bg-purple-500">
+          Save Preset
+        </button>
+        {presets[presetName] && (
+          <button onClick={deletePreset} className="px-3 py-1 rounded-lg font-semibold bg-gray-700 text-red-300 hover:bg-gray-600">
+            Delete
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-4">
+        {RULE_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-xs text-gray-400">
+            {label}
+            <input
+              type="number"
+              value={draft[key]}
+              onChange={(e) => setDraft((prev) => ({ ...prev, [key]: parseFloat(e.target.value) }))}
+              className="mt-1 w-full px-2 py-1 rounded bg-gray-700 text-gray-100"
+            />
+          </label>
+        ))}
+      </div>
+
+      {error && <p className="text-center text-sm text-red-400 mb-3">{error}</p>}
+
+      <div className="flex justify-center">
+        <button onClick={() => apply(draft)} className="px-4 py-2 rounded-lg font-semibold bg-purple-600 text-white hover:bg-purple-500">
+          Apply Rules
+        </button>
+      </div>
+    </div>
+  );
+}
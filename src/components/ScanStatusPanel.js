@@ -0,0 +1,91 @@
+import { estimateRemainingMs, FAILURE_REASONS } from "../engine/scanStatus";
+import { formatDuration } from "../signalHistory";
+
+/**
+ * Formats a short duration, showing seconds below a minute.
+ * @param ms - The duration in milliseconds.
+ * @returns The formatted duration.
+ */
+const formatShortDuration = (ms) => (ms < 60000 ? `${Math.ceil(ms / 1000)}s` : formatDuration(ms));
+
+/**
+ * Progress of the current timeframe's scan and the symbols it couldn't load, with retry buttons.
+ * @param status - The scan status (see createScanStatus), or null before the symbol list has loaded.
+ * @param now - The current time in milliseconds, for the ETA.
+ * @param onRetry - Called with the symbols to retry.
+ * @param onRescan - Called to run the whole scan again.
+ */
+export default function ScanStatusPanel({ status, now, onRetry, onRescan }) {
+  if (!status) return null;
+
+  const running = status.finishedAt === null;
+  const failed = Object.entries(status.failures);
+  const retryable = failed.filter(([, failure]) => !failure.retrying).map(([symbol]) => symbol);
+  const remainingMs = estimateRemainingMs(status, now);
+  const percent = status.total > 0 ? (status.done / status.total) * 100 : 100;
+
+  if (status.error) {
+    return (
+      <div className="max-w-3xl mx-auto mb-6 p-4 rounded-xl bg-gray-800 border border-red-700 text-center">
+        <p className="text-red-400 mb-3">{status.error}</p>
+        <button onClick={onRescan} className="px-4 py-2 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+          Retry Scan
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto mb-6 text-sm text-gray-400">
+      <div className="flex justify-between mb-1">
+        <span>
+          {running ? 'Scanning' : 'Scanned'} {status.done} / {status.total} symbols
+          {failed.length > 0 && <span className="text-red-400"> · {failed.length} failed</span>}
+        </span>
+        <span>
+          {running
+            ? (remainingMs !== null ? `ETA ${formatShortDuration(remainingMs)}` : 'Estimating...')
+            : `Took ${formatShortDuration(status.finishedAt - status.startedAt)}`}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-700 rounded mb-3">
+        <div className={`h-2 rounded ${running ? 'bg-purple-500' : 'bg-green-500'}`} style={{ width: `${percent}%` }} />
+      </div>
+
+      {failed.length > 0 && (
+        <details className="bg-gray-800 rounded-lg p-3">
+          <summary className="cursor-pointer text-gray-300">
+            Failed or skipped symbols ({failed.length})
+          </summary>
+          <div className="flex justify-end my-2">
+            <button
+              onClick={() => onRetry(retryable)}
+              disabled={running || retryable.length === 0}
+              className="px-3 py-1 rounded-lg text-xs font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Retry All Failed
+            </button>
+          </div>
+          <ul className="max-h-60 overflow-y-auto space-y-1">
+            {failed.map(([symbol, failure]) => (
+              <li key={symbol} className="flex items-center justify-between gap-3">
+                <span>
+                  <span className="font-medium text-purple-200">{symbol}</span>
+                  <span className="ml-2 text-red-400">{FAILURE_REASONS[failure.reason]}</span>
+                  <span className="ml-2 text-gray-500">{failure.message}</span>
+                </span>
+                <button
+                  onClick={() => onRetry([symbol])}
+                  disabled={running || failure.retrying}
+                  className="shrink-0 px-2 py-0.5 rounded text-xs font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {failure.retrying ? 'Retrying...' : 'Retry'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+import { useMemo, useState } from "react";
+import {
+  createCondition,
+  createScreen,
+  describeScreen,
+  matchesScreen,
+  OPERATORS,
+  SCREEN_FIELDS,
+  validateScreen,
+} from "../screener";
+import DataTable from "./DataTable";
+import { buildZoneColumns } from "./zoneColumns";
+
+const SCREEN_TABLE_STORAGE_KEY = 'screenTableState';
+
+const getSymbol = (s) => s.symbol;
+
+/**
+ * Builder for custom screens combining the zone and other signal fields with AND/OR conditions, with
+ * named screens saved to localStorage and a result table for the screen being viewed. Edits to a saved
+ * screen show their results right away but are only kept once saved.
+ * @param screens - Saved screens, an object mapping name to screen.
+ * @param onChange - Called with the new screen collection when a screen is saved or deleted.
+ * @param matches - Object mapping each saved screen's name to the signals that pass it, for the tab counts.
+ * @param signals - The current timeframe's signal objects.
+ * @param rules - The rules zones are evaluated with.
+ * @param onRowClick - Called with a result row's signal object.
+ * @param rowBadge - Extra content for a result row's first cell (see DataTable).
+ */
+export default function ScreenerPanel({ screens, onChange, matches, signals, rules, onRowClick, rowBadge }) {
+  const [selectedName, setSelectedName] = useState(() => Object.keys(screens)[0] ?? null);
+  const [name, setName] = useState(selectedName ?? '');
+  const [draft, setDraft] = useState(() => (selectedName ? screens[selectedName] : createScreen()));
+  const [error, setError] = useState(null);
+
+  const draftError = validateScreen(draft);
+  const results = useMemo(
+    () => (draftError ? [] : signals.filter((s) => matchesScreen(draft, s, rules))),
+    [draft, draftError, signals, rules]
+  );
+  // Results come from every zone, so how long a symbol has been in one doesn't apply
+  const columns = useMemo(() => buildZoneColumns(false, rules).filter((c) => c.key !== 'inZoneFor'), [rules]);
+  const unsaved = selectedName !== null && JSON.stringify(draft) !== JSON.stringify(screens[selectedName]);
+
+  const selectScreen = (screenName) => {
+    setSelectedName(screenName);
+    setName(screenName ?? '');
+    setDraft(screenName ? screens[screenName] : createScreen());
+    setError(null);
+  };
+
+  const updateGroups = (update) => setDraft((prev) => ({ ...prev, groups: update(prev.groups.map((group) => [...group])) }));
+
+  const updateCondition = (groupIndex, conditionIndex, patch) => updateGroups((groups) => {
+    const condition = groups[groupIndex][conditionIndex];
+    // A new field needs an operator and value of its own type
+    groups[groupIndex][conditionIndex] = patch.field ? createCondition(patch.field) : { ...condition, ...patch };
+    return groups;
+  });
+
+  const removeCondition = (groupIndex, conditionIndex) => updateGroups((groups) => {
+    groups[groupIndex].splice(conditionIndex, 1);
+    return groups.filter((group) => group.length > 0);
+  });
+
+  const saveScreen = () => {
+    const screenName = name.trim();
+    if (!screenName) {
+      setError('Enter a screen name to save.');
+      return;
+    }
+    if (draftError) {
+      setError(draftError);
+      return;
+    }
+    // Saving under a new name keeps the original, like the rule presets
+    onChange({ ...screens, [screenName]: draft });
+    setSelectedName(screenName);
+    setName(screenName);
+    setError(null);
+  };
+
+  const deleteScreen = () => {
+    const { [selectedName]: _removed, ...rest } = screens;
+    onChange(rest);
+    selectScreen(null);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-teal-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-teal-300 mb-4 text-center">
+        Screener
+      </h2>
+
+      {/* Saved Screen Tabs */}
+      <div className="flex flex-wrap justify-center gap-2 mb-4">
+        {Object.keys(screens).map((screenName) => (
+          <button
+            key={screenName}
+            onClick={() => selectScreen(screenName)}
+            className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all duration-200
+              ${selectedName === screenName
+                ? 'bg-teal-600 text-white shadow-lg'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+          >
+            {screenName}
+            <span className="ml-2 text-teal-200">{matches[screenName]?.length ?? 0}</span>
+          </button>
+        ))}
+        <button
+          onClick={() => selectScreen(null)}
+          className={`px-3 py-2 rounded-lg text-sm font-semibold ${selectedName === null ? 'bg-teal-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+        >
+          + New Screen
+        </button>
+      </div>
+
+      {/* Condition Builder */}
+      <div className="space-y-2 mb-4">
+        {draft.groups.map((group, groupIndex) => (
+          <div key={groupIndex}>
+            {groupIndex > 0 && <p className="text-center text-xs font-bold text-teal-300 my-2">OR</p>}
+            <div className="bg-gray-700 rounded-lg p-3 space-y-2">
+              {group.map((condition, conditionIndex) => {
+                const definition = SCREEN_FIELDS[condition.field];
+                return (
+                  <div key={conditionIndex} className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="w-10 text-xs font-bold text-gray-400">{conditionIndex > 0 ? 'AND' : ''}</span>
+                    <select
+                      value={condition.field}
+                      onChange={(e) => updateCondition(groupIndex, conditionIndex, { field: e.target.value })}
+                      className="px-2 py-1 rounded bg-gray-800 text-gray-100"
+                    >
+                      {Object.entries(SCREEN_FIELDS).map(([field, { label }]) => (
+                        <option key={field} value={field}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(groupIndex, conditionIndex, { operator: e.target.value })}
+                      className="px-2 py-1 rounded bg-gray-800 text-gray-100"
+                    >
+                      {OPERATORS[definition.type].map((operator) => (
+                        <option key={operator} value={operator}>{operator}</option>
+                      ))}
+                    </select>
+                    {definition.type === 'choice' ? (
+                      <select
+                        value={condition.value}
+                        onChange={(e) => updateCondition(groupIndex, conditionIndex, { value: e.target.value })}
+                        className="px-2 py-1 rounded bg-gray-800 text-gray-100"
+                      >
+                        {definition.options.map((option) => (
+                          <option key={option} value={option}>{option.toUpperCase()}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="number"
+                        value={Number.isFinite(condition.value) ? condition.value : ''}
+                        onChange={(e) => updateCondition(groupIndex, conditionIndex, { value: parseFloat(e.target.value) })}
+                        className="w-24 px-2 py-1 rounded bg-gray-800 text-gray-100"
+                      />
+                    )}
+                    <button
+                      onClick={() => removeCondition(groupIndex, conditionIndex)}
+                      className="px-2 py-0.5 rounded text-xs font-semibold bg-gray-800 text-red-300 hover:bg-gray-600"
+                      title="Remove condition"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                onClick={() => updateGroups((groups) => {
+                  groups[groupIndex].push(createCondition('priceChangePercent'));
+                  return groups;
+                })}
+                className="px-2 py-0.5 rounded text-xs font-semibold bg-gray-800 text-gray-300 hover:bg-gray-600"
+              >
+                + AND condition
+              </button>
+            </div>
+          </div>
+        ))}
+        <div className="flex justify-center">
+          <button
+            onClick={() => updateGroups((groups) => [...groups, [createCondition()]])}
+            className="px-3 py-1 rounded-lg text-xs font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600"
+          >
+            + OR group
+          </button>
+        </div>
+      </div>
+
+      <p className="text-center text-sm text-gray-400 mb-3">
+        {draftError || describeScreen(draft)}
+      </p>
+
+      <div className="flex flex-wrap justify-center items-center gap-3 mb-4">
+        <input
+          type="text"
+          placeholder="Screen name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+        />
+        <button onClick={saveScreen} className="px-3 py-1 rounded-lg font-semibold bg-teal-600 text-white hover:bg-teal-500">
+          Save Screen
+        </button>
+        {selectedName !== null && (
+          <button onClick={deleteScreen} className="px-3 py-1 rounded-lg font-semibold bg-gray-700 text-red-300 hover:bg-gray-600">
+            Delete
+          </button>
+        )}
+        {unsaved && <span className="text-xs text-yellow-300">Unsaved changes</span>}
+      </div>
+
+      {error && <p className="text-center text-sm text-red-400 mb-3">{error}</p>}
+
+      {/* Results */}
+      <h3 className="text-lg font-semibold text-teal-200 mb-3 text-center">
+        {selectedName ?? 'New Screen'} ({results.length})
+      </h3>
+      {results.length === 0 ? (
+        <p className="text-center text-sm text-gray-400">No symbols pass this screen on the selected timeframe.</p>
+      ) : (
+        <DataTable
+          columns={columns}
+          rows={results}
+          rowKey={getSymbol}
+          searchText={getSymbol}
+          storageKey={SCREEN_TABLE_STORAGE_KEY}
+          onRowClick={onRowClick}
+          rowBadge={rowBadge}
+        />
+      )}
+    </div>
+  );
+}
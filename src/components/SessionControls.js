@@ -0,0 +1,42 @@
+import { useMemo } from "react";
+import { getTimeZones } from "../engine/sessions";
+
+/**
+ * Session start time and timezone for the daily, weekly and monthly sessions.
+ * @param settings - The session settings in use.
+ * @param onChange - Called with the updated settings.
+ */
+export default function SessionControls({ settings, onChange }) {
+  const timeZones = useMemo(() => {
+    const zones = getTimeZones();
+    // A stored zone may be missing from the fallback list
+    return zones.includes(settings.timeZone) ? zones : [settings.timeZone, ...zones];
+  }, [settings.timeZone]);
+
+  return (
+    <div className="flex flex-wrap justify-center items-center gap-3 mb-6 text-sm text-gray-400">
+      <label>
+        Session starts at
+        <input
+          type="time"
+          value={settings.anchorTime}
+          // Cleared inputs report '', which would leave no valid session
+          onChange={(e) => e.target.value && onChange({ ...settings, anchorTime: e.target.value })}
+          className="ml-2 px-2 py-1 rounded bg-gray-700 text-gray-100"
+        />
+      </label>
+      <label>
+        in
+        <select
+          value={settings.timeZone}
+          onChange={(e) => onChange({ ...settings, timeZone: e.target.value })}
+          className="ml-2 px-2 py-1 rounded bg-gray-700 text-gray-100"
+        >
+          {timeZones.map((zone) => (
+            <option key={zone} value={zone}>{zone}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
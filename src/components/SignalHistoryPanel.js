@@ -0,0 +1,187 @@
+import { useMemo, useState } from "react";
+import DataTable from "./DataTable";
+import { ZONES } from "../engine/signals";
+import { buildZoneStays, countZonesOverTime, formatDuration } from "../signalHistory";
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 180;
+const AXIS_WIDTH = 40; // Left-hand space for count labels
+const TABLE_STORAGE_KEY = 'zoneHistoryTable';
+
+// The six actionable zones; NO STRONG SIGNAL and NO DATA would dwarf them on the chart
+const CHART_ZONES = ZONES.slice(0, 6);
+const ZONE_COLORS = {
+  'MAX ZONE PUMP': '#4ade80',
+  'BALANCE ZONE PUMP': '#22d3ee',
+  'LOWEST ZONE PUMP': '#a3e635',
+  'MAX ZONE DUMP': '#f87171',
+  'BALANCE ZONE DUMP': '#fb923c',
+  'LOWEST ZONE DUMP': '#f472b6',
+};
+
+const formatTime = (time) => new Date(time).toLocaleString();
+const stayKey = (stay) => `${stay.symbol}-${stay.zone}-${stay.enteredAt}`;
+const getStaySymbol = (stay) => stay.symbol;
+
+const STAY_COLUMNS = [
+  {
+    key: 'symbol',
+    label: 'Symbol',
+    hideable: false,
+    sortValue: (stay) => stay.symbol,
+    render: (stay) => stay.symbol,
+    cellClassName: () => 'font-medium text-purple-200',
+  },
+  {
+    key: 'zone',
+    label: 'Zone',
+    sortValue: (stay) => ZONES.indexOf(stay.zone),
+    render: (stay) => stay.zone,
+    cellClassName: (stay) => (stay.zone.endsWith('PUMP') ? 'text-green-400' : stay.zone.endsWith('DUMP') ? 'text-red-400' : 'text-gray-400'),
+  },
+  {
+    key: 'enteredAt',
+    label: 'Entered',
+    sortValue: (stay) => stay.enteredAt,
+    render: (stay) => formatTime(stay.enteredAt),
+  },
+  {
+    key: 'leftAt',
+    label: 'Left',
+    sortValue: (stay) => stay.leftAt,
+    render: (stay) => (stay.leftAt === null ? 'Still in zone' : formatTime(stay.leftAt)),
+    cellClassName: (stay) => (stay.leftAt === null ? 'text-yellow-300' : ''),
+  },
+  {
+    key: 'duration',
+    label: 'Duration',
+    sortValue: (stay) => stay.durationMs,
+    render: (stay) => formatDuration(stay.durationMs),
+  },
+  {
+    key: 'priceChange',
+    label: 'Price Change (%)',
+    sortValue: (stay) => stay.priceChangePercent,
+    render: (stay) => stay.priceChangePercent.toFixed(2),
+    cellClassName: (stay) => (stay.priceChangePercent > 0 ? 'text-green-400' : stay.priceChangePercent < 0 ? 'text-red-400' : ''),
+  },
+];
+
+/**
+ * Zone history for the current exchange and timeframe: a chart of how many symbols were in each zone at
+ * every completed scan, and a table of each symbol's zone stays.
+ * @param snapshots - The recorded scan snapshots, oldest first.
+ * @param timeframeLabel - Display label of the timeframe the snapshots belong to.
+ * @param saveFailed - Whether the browser refused to store the history.
+ * @param onClear - Called to delete the snapshots.
+ */
+export default function SignalHistoryPanel({ snapshots, timeframeLabel, saveFailed, onClear }) {
+  const [zoneFilter, setZoneFilter] = useState('');
+
+  const counts = useMemo(() => countZonesOverTime(snapshots), [snapshots]);
+  const stays = useMemo(() => buildZoneStays(snapshots), [snapshots]);
+  const filteredStays = useMemo(
+    () => (zoneFilter ? stays.filter((stay) => stay.zone === zoneFilter) : stays),
+    [stays, zoneFilter]
+  );
+
+  const firstTime = counts[0]?.time;
+  const timeRange = (counts.at(-1)?.time - firstTime) || 1;
+  const maxCount = Math.max(1, ...counts.flatMap(({ counts: c }) => CHART_ZONES.map((zone) => c[zone])));
+  const plotWidth = CHART_WIDTH - AXIS_WIDTH;
+  // A single snapshot is drawn in the middle rather than on the axis
+  const x = (time) => AXIS_WIDTH + (counts.length > 1 ? ((time - firstTime) / timeRange) * plotWidth : plotWidth / 2);
+  const y = (count) => CHART_HEIGHT - (count / maxCount) * CHART_HEIGHT;
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-indigo-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-indigo-300 mb-4 text-center">
+        Signal History ({timeframeLabel})
+      </h2>
+
+      {saveFailed && (
+        <p className="text-center text-sm text-red-400 mb-3">
+          The history could not be saved (browser storage is full) and will be lost on reload. Clearing history frees space.
+        </p>
+      )}
+
+      {snapshots.length === 0 ? (
+        <p className="text-center text-sm text-gray-400">
+          Every completed scan is recorded here. Run a scan to start the history.
+        </p>
+      ) : (
+        <>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold text-gray-300">
+              Zone Counts ({snapshots.length} scans since {formatTime(firstTime)})
+            </h3>
+            <button onClick={onClear} className="px-3 py-1 rounded-lg text-xs font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+              Clear History
+            </button>
+          </div>
+
+          {/* Legend */}
+          <div className="flex flex-wrap gap-4 mb-3 text-xs text-gray-400">
+            {CHART_ZONES.map((zone) => (
+              <span key={zone}>
+                <span className="inline-block w-3 h-0.5 mr-1 align-middle" style={{ backgroundColor: ZONE_COLORS[zone] }} />
+                {zone} ({counts.at(-1).counts[zone]})
+              </span>
+            ))}
+          </div>
+
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`} className="w-full mb-6">
+            {[0, 0.5, 1].map((f) => (
+              <g key={f}>
+                <line x1={AXIS_WIDTH} x2={CHART_WIDTH} y1={y(maxCount * f)} y2={y(maxCount * f)} stroke="#374151" strokeWidth="1" />
+                <text x={AXIS_WIDTH - 6} y={y(maxCount * f) + 4} textAnchor="end" fontSize="11" fill="#9ca3af">
+                  {Math.round(maxCount * f)}
+                </text>
+              </g>
+            ))}
+            {CHART_ZONES.map((zone) => (
+              <g key={zone}>
+                <polyline
+                  points={counts.map(({ time, counts: c }) => `${x(time).toFixed(1)},${y(c[zone]).toFixed(1)}`).join(' ')}
+                  fill="none"
+                  stroke={ZONE_COLORS[zone]}
+                  strokeWidth="1.5"
+                />
+                {counts.map(({ time, counts: c }) => (
+                  <circle key={time} cx={x(time)} cy={y(c[zone])} r="2.5" fill={ZONE_COLORS[zone]}>
+                    <title>{`${zone}: ${c[zone]} at ${formatTime(time)}`}</title>
+                  </circle>
+                ))}
+              </g>
+            ))}
+            <text x={AXIS_WIDTH} y={CHART_HEIGHT + 16} fontSize="11" fill="#9ca3af">{formatTime(firstTime)}</text>
+            <text x={CHART_WIDTH} y={CHART_HEIGHT + 16} textAnchor="end" fontSize="11" fill="#9ca3af">
+              {formatTime(counts.at(-1).time)}
+            </text>
+          </svg>
+
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold text-gray-300">Zone Stays ({filteredStays.length})</h3>
+            <select
+              value={zoneFilter}
+              onChange={(e) => setZoneFilter(e.target.value)}
+              className="px-2 py-1 rounded bg-gray-700 text-gray-100 text-sm"
+            >
+              <option value="">All zones</option>
+              {ZONES.map((zone) => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </div>
+          <DataTable
+            columns={STAY_COLUMNS}
+            rows={filteredStays}
+            rowKey={stayKey}
+            searchText={getStaySymbol}
+            storageKey={TABLE_STORAGE_KEY}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import { useMemo, useState } from "react";
+import { calculateEMA } from "../engine/indicators";
+import { findDivergences } from "../engine/divergence";
+import { replayZones } from "../backtest";
+import { divergenceClass, formatDivergence } from "./zoneColumns";
+import { formatInterval } from "../engine/sessions";
+
+const CHART_WIDTH = 1000;
+const PRICE_HEIGHT = 360;
+const RSI_HEIGHT = 120;
+const PANE_GAP = 16;
+const AXIS_WIDTH = 70; // Right-hand space for price labels
+const BAR_COUNTS = [100, 200, 500];
+
+const EMA_COLORS = ['#facc15', '#38bdf8', '#f472b6'];
+const DIVERGENCE_COLORS = { bullish: '#4ade80', bearish: '#f87171' };
+
+// Zone shading: PUMP zones green, DUMP zones red, stronger zones more opaque
+const ZONE_FILLS = {
+  'MAX ZONE PUMP': 'rgba(74, 222, 128, 0.28)',
+  'BALANCE ZONE PUMP': 'rgba(74, 222, 128, 0.16)',
+  'LOWEST ZONE PUMP': 'rgba(74, 222, 128, 0.07)',
+  'MAX ZONE DUMP': 'rgba(248, 113, 113, 0.28)',
+  'BALANCE ZONE DUMP': 'rgba(248, 113, 113, 0.16)',
+  'LOWEST ZONE DUMP': 'rgba(248, 113, 113, 0.07)',
+};
+
+/**
+ * Builds an SVG path through a series, skipping NaN gaps.
+ * @param values - The series values, aligned with the visible candles.
+ * @param x - Maps a bar index to an x coordinate.
+ * @param y - Maps a value to a y coordinate.
+ * @returns The path `d` attribute.
+ */
+const linePath = (values, x, y) => {
+  let d = '';
+  let drawing = false;
+  values.forEach((v, i) => {
+    if (!Number.isFinite(v)) {
+      drawing = false;
+      return;
+    }
+    d += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+    drawing = true;
+  });
+  return d;
+};
+
+/**
+ * Drawer with a candlestick chart for one symbol: EMA overlays, an RSI sub-pane, background shading for
+ * the zone getSignal reported at each bar, RSI/price divergence lines on both panes (dashed when hidden) and
+ * a marker on the previous session's highest-volume candle.
+ * @param signal - The symbol's signal object (must carry `candles` and `rsi14`).
+ * @param rules - Signal rules, for the EMA periods, bar-by-bar zone replay and divergence swings.
+ * @param onClose - Called when the drawer is dismissed.
+ */
+export default function SymbolDetail({ signal, rules, onClose }) {
+  const [barCount, setBarCount] = useState(BAR_COUNTS[0]);
+
+  const series = useMemo(() => {
+    const closes = signal.candles.map((c) => c.close);
+    return {
+      emas: [rules.emaFast, rules.emaMid, rules.emaSlow].map((period) => calculateEMA(closes, period)),
+      zones: replayZones(signal.candles, rules),
+      divergences: findDivergences(closes, signal.rsi14, rules),
+    };
+  }, [signal.candles, signal.rsi14, rules]);
+
+  const start = Math.max(0, signal.candles.length - barCount);
+  const candles = signal.candles.slice(start);
+  const emas = series.emas.map((ema) => ema.slice(start));
+  const zones = series.zones.slice(start);
+  const rsi = signal.rsi14.slice(start);
+  // Divergences that start inside the view, with bar indices relative to it
+  const divergences = series.divergences
+    .filter((d) => d.from.index >= start)
+    .map((d) => ({ ...d, from: { ...d.from, index: d.from.index - start }, to: { ...d.to, index: d.to.index - start } }));
+
+  const plotWidth = CHART_WIDTH - AXIS_WIDTH;
+  const step = plotWidth / Math.max(candles.length, 1);
+  const x = (i) => i * step + step / 2;
+
+  const visibleValues = [
+    ...candles.flatMap((c) => [c.high, c.low]),
+    ...emas.flat().filter(Number.isFinite),
+  ];
+  const maxPrice = Math.max(...visibleValues);
+  const minPrice = Math.min(...visibleValues);
+  const priceRange = maxPrice - minPrice || 1;
+  const yPrice = (v) => ((maxPrice - v) / priceRange) * PRICE_HEIGHT;
+
+  const rsiTop = PRICE_HEIGHT + PANE_GAP;
+  const yRsi = (v) => rsiTop + ((100 - v) / 100) * RSI_HEIGHT;
+
+  const priceTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => minPrice + priceRange * f);
+  const markerIndex = candles.findIndex((c) => c.timestamp === signal.highestVolumeTimestampPrev);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-60" onClick={onClose}>
+      <div
+        className="w-full max-w-5xl h-full overflow-y-auto bg-gray-900 border-l border-purple-700 p-4 sm:p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-purple-300">
+            {signal.symbol} <span className="text-gray-400 text-lg">{signal.interval && formatInterval(signal.interval)}</span>
+          </h2>
+          <div className="flex items-center space-x-3">
+            <select
+              value={barCount}
+              onChange={(e) => setBarCount(parseInt(e.target.value, 10))}
+              className="px-2 py-1 rounded bg-gray-700 text-gray-100"
+            >
+              {BAR_COUNTS.map((n) => (
+                <option key={n} value={n}>{n} bars</option>
+              ))}
+            </select>
+            <button onClick={onClose} className="px-3 py-1 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+              Close
+            </button>
+          </div>
+        </div>
+
+        <p className="mb-3 text-sm text-gray-400">
+          Divergence:{' '}
+          <span className={`font-semibold ${divergenceClass(signal.divergence)}`}>{formatDivergence(signal.divergence)}</span>
+          {signal.divergence && <span> ({signal.divergence.barsAgo} bars ago)</span>}
+        </p>
+
+        {/* Legend */}
+        <div className="flex flex-wrap gap-4 mb-3 text-xs text-gray-400">
+          {/* Keyed by position: the fast, mid and slow periods may be equal */}
+          {[rules.emaFast, rules.emaMid, rules.emaSlow].map((period, i) => (
+            <span key={i}>
+              <span className="inline-block w-3 h-0.5 mr-1 align-middle" style={{ backgroundColor: EMA_COLORS[i] }} />
+              EMA{period}
+            </span>
+          ))}
+          <span><span className="inline-block w-3 h-3 mr-1 align-middle" style={{ backgroundColor: ZONE_FILLS['MAX ZONE PUMP'] }} />PUMP zones</span>
+          <span><span className="inline-block w-3 h-3 mr-1 align-middle" style={{ backgroundColor: ZONE_FILLS['MAX ZONE DUMP'] }} />DUMP zones</span>
+          <span><span className="inline-block w-3 h-0.5 mr-1 align-middle bg-green-400" />Regular divergence</span>
+          <span><span className="inline-block w-3 mr-1 align-middle border-t border-dashed border-green-400" />Hidden divergence</span>
+          <span className="text-yellow-300">▼ Prev session highest volume</span>
+        </div>
+
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${rsiTop + RSI_HEIGHT}`} className="w-full bg-gray-800 rounded-lg">
+          {/* Zone shading across both panes */}
+          {zones.map((zone, i) => ZONE_FILLS[zone] && (
+            <rect key={`zone-${i}`} x={i * step} y={0} width={step} height={rsiTop + RSI_HEIGHT} fill={ZONE_FILLS[zone]}>
+              <title>{zone}</title>
+            </rect>
+          ))}
+
+          {/* Price axis */}
+          {priceTicks.map((tick) => (
+            <g key={tick}>
+              <line x1={0} x2={plotWidth} y1={yPrice(tick)} y2={yPrice(tick)} stroke="#374151" strokeDasharray="4 4" />
+              <text x={plotWidth + 6} y={yPrice(tick) + 4} fontSize="12" fill="#9ca3af">{tick.toPrecision(5)}</text>
+            </g>
+          ))}
+
+          {/* Candles */}
+          {candles.map((c, i) => {
+            const color = c.close >= c.open ? '#4ade80' : '#f87171';
+            const bodyTop = yPrice(Math.max(c.open, c.close));
+            const bodyHeight = Math.max(1, Math.abs(yPrice(c.open) - yPrice(c.close)));
+            return (
+              <g key={c.timestamp}>
+                <line x1={x(i)} x2={x(i)} y1={yPrice(c.high)} y2={yPrice(c.low)} stroke={color} />
+                <rect x={x(i) - step * 0.35} y={bodyTop} width={step * 0.7} height={bodyHeight} fill={color} />
+              </g>
+            );
+          })}
+
+          {/* EMA overlays */}
+          {emas.map((ema, i) => (
+            <path key={i} d={linePath(ema, x, yPrice)} fill="none" stroke={EMA_COLORS[i]} strokeWidth="1.5" />
+          ))}
+
+          {/* Divergence lines between the two swings on the price and RSI panes */}
+          {divergences.map((d) => {
+            const stroke = DIVERGENCE_COLORS[d.type.endsWith('bullish') ? 'bullish' : 'bearish'];
+            const dash = d.type.startsWith('hidden') ? '6 4' : undefined;
+            return (
+              <g key={`divergence-${d.type}-${d.to.index}`}>
+                <title>{`${d.type} divergence, strength ${d.strength.toFixed(1)}`}</title>
+                <line x1={x(d.from.index)} x2={x(d.to.index)} y1={yPrice(d.from.price)} y2={yPrice(d.to.price)} stroke={stroke} strokeWidth="2" strokeDasharray={dash} />
+                <line x1={x(d.from.index)} x2={x(d.to.index)} y1={yRsi(d.from.rsi)} y2={yRsi(d.to.rsi)} stroke={stroke} strokeWidth="2" strokeDasharray={dash} />
+              </g>
+            );
+          })}
+
+          {/* Previous-session highest-volume candle marker */}
+          {markerIndex !== -1 && (
+            <text x={x(markerIndex)} y={Math.max(12, yPrice(candles[markerIndex].high) - 6)} fontSize="14" fill="#fde047" textAnchor="middle">
+              ▼<title>Prev session highest volume ({signal.highestVolumeColorPrev})</title>
+            </text>
+          )}
+
+          {/* RSI pane */}
+          <rect x={0} y={rsiTop} width={plotWidth} height={RSI_HEIGHT} fill="none" stroke="#4b5563" />
+          {[30, 50, 70].map((level) => (
+            <g key={level}>
+              <line x1={0} x2={plotWidth} y1={yRsi(level)} y2={yRsi(level)} stroke="#4b5563" strokeDasharray="4 4" />
+              <text x={plotWidth + 6} y={yRsi(level) + 4} fontSize="12" fill="#9ca3af">{level}</text>
+            </g>
+          ))}
+          <text x={6} y={rsiTop + 14} fontSize="12" fill="#c4b5fd">RSI{rules.rsiPeriod}</text>
+          <path d={linePath(rsi, x, yRsi)} fill="none" stroke="#a78bfa" strokeWidth="1.5" />
+        </svg>
+      </div>
+    </div>
+  );
+}
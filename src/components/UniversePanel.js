@@ -0,0 +1,154 @@
+import { useState } from "react";
+import {
+  CONTRACT_TYPE_OPTIONS,
+  DEFAULT_UNIVERSE_SETTINGS,
+  parseSymbolList,
+  QUOTE_ASSET_OPTIONS,
+  STATUS_OPTIONS,
+  validateUniverseSettings,
+} from "../engine/universe";
+
+/**
+ * Settings for which symbols a scan covers. Like the rules panel, edits stay a draft until applied,
+ * because applying starts a new scan.
+ * @param settings - The universe settings in use.
+ * @param onApply - Called with validated settings to put into use.
+ * @param universeSize - `{ eligible, total }` from the last scan, or null before the symbol list has loaded.
+ */
+export default function UniversePanel({ settings, onApply, universeSize }) {
+  const [draft, setDraft] = useState(settings);
+  // Lists are edited as text and parsed on apply, so typing a separator doesn't get swallowed
+  const [includeText, setIncludeText] = useState(settings.include.join(', '));
+  const [excludeText, setExcludeText] = useState(settings.exclude.join(', '));
+  const [error, setError] = useState(null);
+
+  const toggle = (key, value, checked) => {
+    setDraft((prev) => ({
+      ...prev,
+      [key]: checked ? [...prev[key], value] : prev[key].filter((v) => v !== value),
+    }));
+  };
+
+  const apply = () => {
+    const next = { ...draft, include: parseSymbolList(includeText), exclude: parseSymbolList(excludeText) };
+    const validationError = validateUniverseSettings(next);
+    setError(validationError);
+    if (!validationError) onApply(next);
+  };
+
+  const reset = () => {
+    setDraft(DEFAULT_UNIVERSE_SETTINGS);
+    setIncludeText('');
+    setExcludeText('');
+    setError(null);
+    onApply(DEFAULT_UNIVERSE_SETTINGS);
+  };
+
+  const checkboxGroup = (key, options) => (
+    <div className="flex flex-wrap gap-3">
+      {options.map((option) => (
+        <label key={option}>
+          <input
+            type="checkbox"
+            checked={draft[key].includes(option)}
+            onChange={(e) => toggle(key, option, e.target.checked)}
+            className="mr-1"
+          />
+          {option}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="bg-gray-800 rounded-xl shadow-xl p-4 sm:p-6 mb-8 border border-teal-700">
+      <h2 className="text-xl sm:text-2xl font-bold text-teal-300 mb-1 text-center">
+        Symbol Universe
+      </h2>
+      <p className="text-center text-xs text-gray-400 mb-4">
+        {universeSize ? `Scanning ${universeSize.eligible} of ${universeSize.total} listed symbols` : 'Waiting for the symbol list...'}
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4 text-xs text-gray-300">
+        <div>
+          <p className="text-gray-400 mb-1">Status</p>
+          {checkboxGroup('statuses', STATUS_OPTIONS)}
+        </div>
+        <div>
+          <p className="text-gray-400 mb-1">Contract Type</p>
+          {checkboxGroup('contractTypes', CONTRACT_TYPE_OPTIONS)}
+        </div>
+        <div>
+          <p className="text-gray-400 mb-1">Quote Asset</p>
+          {checkboxGroup('quoteAssets', QUOTE_ASSET_OPTIONS)}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4 text-xs text-gray-400">
+        <label className="flex items-center text-gray-300">
+          <input
+            type="checkbox"
+            checked={draft.excludeDelisting}
+            onChange={(e) => setDraft((prev) => ({ ...prev, excludeDelisting: e.target.checked }))}
+            className="mr-1"
+          />
+          Exclude scheduled delistings
+        </label>
+        <label>
+          Listed at least (days)
+          <input
+            type="number"
+            min="0"
+            value={draft.minListingAgeDays}
+            onChange={(e) => setDraft((prev) => ({ ...prev, minListingAgeDays: parseFloat(e.target.value) }))}
+            className="mt-1 w-full px-2 py-1 rounded bg-gray-700 text-gray-100"
+          />
+        </label>
+        <label>
+          Min 24h Quote Volume
+          <input
+            type="number"
+            min="0"
+            value={draft.minQuoteVolume}
+            onChange={(e) => setDraft((prev) => ({ ...prev, minQuoteVolume: parseFloat(e.target.value) }))}
+            className="mt-1 w-full px-2 py-1 rounded bg-gray-700 text-gray-100"
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 text-xs text-gray-400">
+        <label>
+          Always include
+          <input
+            type="text"
+            placeholder="BTCUSDT, ETHUSDT"
+            value={includeText}
+            onChange={(e) => setIncludeText(e.target.value)}
+            className="mt-1 w-full px-2 py-1 rounded bg-gray-700 text-gray-100"
+          />
+        </label>
+        <label>
+          Always exclude
+          <input
+            type="text"
+            placeholder="USDCUSDT"
+            value={excludeText}
+            onChange={(e) => setExcludeText(e.target.value)}
+            className="mt-1 w-full px-2 py-1 rounded bg-gray-700 text-gray-100"
+          />
+        </label>
+      </div>
+
+      {error && <p className="text-center text-sm text-red-400 mb-3">{error}</p>}
+
+      <div className="flex justify-center gap-3">
+        <button onClick={apply} className="px-4 py-2 rounded-lg font-semibold bg-teal-600 text-white hover:bg-teal-500">
+          Apply &amp; Rescan
+        </button>
+        <button onClick={reset} className="px-4 py-2 rounded-lg font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600">
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import { getRecentRSIDiff, getSignal, ZONES } from "../engine/signals";
+import { formatDuration } from "../signalHistory";
+
+// --- Zone Table Columns ---
+// Column definitions for the zone signals table, in the shape DataTable expects.
+
+// Formats an indicator value for the table, showing N/A while there isn't enough history
+export const formatIndicator = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : 'N/A');
+
+/**
+ * Formats a large quantity (e.g. quote volume) with a K/M/B suffix.
+ * @param value - The number to format.
+ * @returns The formatted string, or 'N/A' when the value is missing.
+ */
+export const formatCompact = (value) => {
+  if (!Number.isFinite(value)) return 'N/A';
+  if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return value.toFixed(0);
+};
+
+/**
+ * Formats a divergence for display, e.g. "REGULAR BULLISH 12.4".
+ * @param divergence - The signal's divergence (see detectDivergence), or null.
+ * @returns The label with its strength, or '—' when there is none.
+ */
+export const formatDivergence = (divergence) => (
+  divergence ? `${divergence.type.toUpperCase()} ${divergence.strength.toFixed(1)}` : '—'
+);
+
+// Text colour for a divergence: green when bullish, red when bearish
+export const divergenceClass = (divergence) => (
+  !divergence ? 'text-gray-400' : divergence.type.endsWith('bullish') ? 'text-green-400' : 'text-red-400'
+);
+
+const VOLUME_COLOR_ORDER = { green: 1, red: -1 };
+
+const signClass = (value) => (value > 0 ? 'text-green-400' : 'text-red-400');
+const trendClass = (trend) => (trend === 'bullish' ? 'text-green-400' : trend === 'bearish' ? 'text-red-400' : 'text-gray-400');
+const zoneClass = (zone) => (zone.endsWith('PUMP') ? 'text-green-400' : zone.endsWith('DUMP') ? 'text-red-400' : 'text-gray-400');
+
+/**
+ * Builds the zone table columns.
+ * @param isDumpZone - Whether the table shows a DUMP zone, which switches the RSI column to dump strength.
+ * @param rules - The rules zones are evaluated with; `rsiLookback` also sets the RSI pump/dump strength window.
+ * @param zoneStays - Map of symbol -> the symbol's ongoing stay in the table's zone, from the signal history.
+ * @returns An array of DataTable column definitions.
+ */
+export function buildZoneColumns(isDumpZone, rules, zoneStays = new Map()) {
+  const strengthOf = (s) => {
+    const pumpDump = getRecentRSIDiff(s.rsi14, rules.rsiLookback);
+    return isDumpZone ? pumpDump?.dumpStrength : pumpDump?.pumpStrength;
+  };
+
+  return [
+    {
+      key: 'symbol',
+      label: 'Symbol',
+      hideable: false,
+      sortValue: (s) => s.symbol,
+      render: (s) => s.symbol,
+      cellClassName: () => 'font-medium text-purple-200',
+    },
+    {
+      key: 'zone',
+      label: 'Zone',
+      // By zone, then by divergence strength within a zone; RSI gaps never reach 1000 points
+      sortValue: (s) => ZONES.indexOf(getSignal(s, rules)) * 1000 + (s.divergence?.strength ?? 0),
+      render: (s) => (
+        <>
+          {getSignal(s, rules)}
+          {s.divergence && <span className={`ml-2 text-xs ${divergenceClass(s.divergence)}`}>{formatDivergence(s.divergence)}</span>}
+        </>
+      ),
+      cellClassName: (s) => `font-semibold ${zoneClass(getSignal(s, rules))}`,
+    },
+    {
+      key: 'price',
+      label: 'Current Price',
+      sortValue: (s) => s.closes?.at(-1),
+      render: (s) => `$${s.closes?.at(-1)?.toFixed(2) ?? 'N/A'}`,
+    },
+    {
+      key: 'priceChangePercent',
+      label: '24h Change (%)',
+      sortValue: (s) => s.priceChangePercent,
+      // NaN on OKX listings whose 24h open is 0
+      render: (s) => (Number.isFinite(s.priceChangePercent) ? `${s.priceChangePercent.toFixed(2)}%` : 'N/A'),
+      cellClassName: (s) => `font-semibold ${signClass(s.priceChangePercent)}`,
+    },
+    {
+      key: 'inZoneFor',
+      label: 'In Zone For',
+      sortValue: (s) => zoneStays.get(s.symbol)?.durationMs,
+      // A zero duration means the latest scan was the first to see the symbol in this zone
+      render: (s) => {
+        const stay = zoneStays.get(s.symbol);
+        if (!stay) return 'N/A';
+        return stay.durationMs === 0 ? 'NEW' : formatDuration(stay.durationMs);
+      },
+      cellClassName: (s) => (zoneStays.get(s.symbol)?.durationMs === 0 ? 'font-semibold text-yellow-300' : ''),
+    },
+    {
+      key: 'rsiStrength',
+      label: isDumpZone ? 'RSI Dump Strength' : 'RSI Pump Strength',
+      sortValue: strengthOf,
+      render: (s) => strengthOf(s)?.toFixed(2) || 'N/A',
+    },
+    {
+      key: 'volumeColor',
+      label: 'Prev Session Volume',
+      sortValue: (s) => VOLUME_COLOR_ORDER[s.highestVolumeColorPrev],
+      render: (s) => (s.highestVolumeColorPrev ? s.highestVolumeColorPrev.toUpperCase() : 'N/A'),
+      cellClassName: (s) =>
+        `font-semibold ${s.highestVolumeColorPrev === 'green' ? 'text-green-400' : s.highestVolumeColorPrev === 'red' ? 'text-red-400' : 'text-gray-400'}`,
+    },
+    {
+      key: 'quoteVolume',
+      label: '24h Quote Vol',
+      sortValue: (s) => s.market?.quoteVolume,
+      render: (s) => formatCompact(s.market?.quoteVolume),
+    },
+    {
+      key: 'fundingRate',
+      label: 'Funding (%)',
+      sortValue: (s) => s.market?.fundingRate,
+      render: (s) => formatIndicator(s.market?.fundingRate, 4),
+      cellClassName: (s) => (s.market?.fundingRate > 0 ? 'text-green-400' : s.market?.fundingRate < 0 ? 'text-red-400' : 'text-gray-300'),
+    },
+    {
+      key: 'markLastSpread',
+      label: 'Mark/Last (%)',
+      sortValue: (s) => s.market?.markLastSpreadPercent,
+      render: (s) => formatIndicator(s.market?.markLastSpreadPercent, 3),
+    },
+    {
+      key: 'macdHistogram',
+      label: 'MACD Hist',
+      sortValue: (s) => s.indicators?.macdHistogram,
+      render: (s) => formatIndicator(s.indicators?.macdHistogram, 4),
+      cellClassName: (s) => signClass(s.indicators?.macdHistogram),
+    },
+    {
+      key: 'bollingerPercentB',
+      label: 'BB %B',
+      sortValue: (s) => s.indicators?.bollingerPercentB,
+      render: (s) => formatIndicator(s.indicators?.bollingerPercentB, 1),
+    },
+    {
+      key: 'atrPercent',
+      label: 'ATR %',
+      sortValue: (s) => s.indicators?.atrPercent,
+      render: (s) => formatIndicator(s.indicators?.atrPercent),
+    },
+    {
+      key: 'stochRsi',
+      label: 'Stoch RSI K/D',
+      sortValue: (s) => s.indicators?.stochRsiK,
+      render: (s) => `${formatIndicator(s.indicators?.stochRsiK, 1)} / ${formatIndicator(s.indicators?.stochRsiD, 1)}`,
+    },
+    {
+      key: 'vwapDistance',
+      label: 'VWAP Dist (%)',
+      sortValue: (s) => s.indicators?.vwapDistancePercent,
+      render: (s) => formatIndicator(s.indicators?.vwapDistancePercent),
+      cellClassName: (s) => signClass(s.indicators?.vwapDistancePercent),
+    },
+    {
+      key: 'trend',
+      label: 'Trend',
+      sortValue: (s) => s.mainTrend.trend,
+      render: (s) => (s.mainTrend.trend ? s.mainTrend.trend.toUpperCase() : 'N/A'),
+      cellClassName: (s) => `font-semibold ${trendClass(s.mainTrend.trend)}`,
+    },
+    {
+      key: 'crossover',
+      label: 'Crossover',
+      sortValue: (s) => s.mainTrend.barsSinceCrossover,
+      render: (s) =>
+        s.mainTrend.crossoverPrice !== null
+          ? `$${s.mainTrend.crossoverPrice.toFixed(4)} (${s.mainTrend.barsSinceCrossover} bars ago)`
+          : 'N/A',
+    },
+    {
+      key: 'breakout',
+      label: 'Breakout',
+      sortValue: (s) => s.mainTrend.breakout?.barsAgo,
+      render: (s) => (s.mainTrend.breakout ? `${s.mainTrend.breakout.direction} (${s.mainTrend.breakout.barsAgo} bars ago)` : '—'),
+      cellClassName: (s) =>
+        s.mainTrend.breakout?.direction === 'above resistance' ? 'text-green-400' : s.mainTrend.breakout ? 'text-red-400' : 'text-gray-400',
+    },
+    {
+      key: 'near',
+      label: 'Near',
+      sortValue: (s) => (s.mainTrend.isNear ? 1 : 0),
+      render: (s) => (s.mainTrend.isNear ? 'YES' : '—'),
+    },
+    {
+      key: 'doji',
+      label: 'Doji',
+      sortValue: (s) => (s.mainTrend.isDojiAfterBreakout ? 1 : 0),
+      render: (s) => (s.mainTrend.isDojiAfterBreakout ? 'YES' : '—'),
+    },
+  ];
+}
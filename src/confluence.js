@@ -0,0 +1,56 @@
+import { getSignal, DEFAULT_SIGNAL_RULES } from "./engine/signals";
+
+// --- Multi-Timeframe Confluence ---
+
+// Directional weight of each zone: PUMP zones count up, DUMP zones count down, stronger zones weigh more
+export const ZONE_WEIGHTS = {
+  'MAX ZONE PUMP': 3,
+  'BALANCE ZONE PUMP': 2,
+  'LOWEST ZONE PUMP': 1,
+  'MAX ZONE DUMP': -3,
+  'BALANCE ZONE DUMP': -2,
+  'LOWEST ZONE DUMP': -1,
+  'NO STRONG SIGNAL': 0,
+  'NO DATA': 0,
+};
+
+/**
+ * Scores how strongly a symbol's zones agree across timeframes.
+ * @param zonesByTimeframe - An object mapping timeframe to zone label (missing timeframes are skipped).
+ * @returns The sum of zone weights; positive means pump confluence, negative means dump confluence.
+ */
+export function getConfluenceScore(zonesByTimeframe) {
+  return Object.values(zonesByTimeframe).reduce((score, zone) => score + (ZONE_WEIGHTS[zone] || 0), 0);
+}
+
+/**
+ * Builds one row per symbol with its zone on every scanned timeframe.
+ * @param signalsByTimeframe - An object mapping timeframe to that timeframe's signal array.
+ * @param timeframes - The timeframes to include, in column order.
+ * @param rules - Signal rules passed to getSignal.
+ * @returns Rows of `{ symbol, zones, score }`, sorted by absolute confluence score (strongest first).
+ */
+export function buildConfluenceRows(signalsByTimeframe, timeframes, rules = DEFAULT_SIGNAL_RULES) {
+  const rows = new Map();
+
+  for (const tf of timeframes) {
+    for (const s of signalsByTimeframe[tf] || []) {
+      if (!rows.has(s.symbol)) rows.set(s.symbol, { symbol: s.symbol, zones: {} });
+      rows.get(s.symbol).zones[tf] = getSignal(s, rules);
+    }
+  }
+
+  return [...rows.values()]
+    .map((row) => ({ ...row, score: getConfluenceScore(row.zones) }))
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score) || a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Checks a confluence row against per-timeframe zone filters.
+ * @param row - A row from buildConfluenceRows.
+ * @param filters - An object mapping timeframe to a required zone label; empty values match anything.
+ * @returns True when the row's zone matches every set filter.
+ */
+export function matchesConfluenceFilters(row, filters) {
+  return Object.entries(filters).every(([tf, zone]) => !zone || row.zones[tf] === zone);
+}
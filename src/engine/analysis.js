@@ -0,0 +1,109 @@
+import {
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands,
+  calculateATR,
+  calculateStochRSI,
+  calculateVWAP,
+} from "./indicators.js";
+import { detectMainTrend } from "./trend.js";
+import { detectDivergence } from "./divergence.js";
+import { getSessions } from "./sessions.js";
+
+// --- Analysis Helpers ---
+/**
+ * Runs the indicator and signal analysis over a symbol's candles.
+ * Shared by the scan worker, the live kline stream and rules re-evaluation so all of them produce
+ * identical signal objects.
+ * @param symbol - The cryptocurrency symbol (e.g., "BTCUSDT").
+ * @param candles - The candle array, oldest first.
+ * @param interval - The candlestick interval (e.g., "15m", "4h", "1d").
+ * @param market - The symbol's entry from the bulk ticker/premium index snapshot (see marketData.js).
+ * @param rules - Signal rules supplying the RSI and EMA periods and the divergence swing settings.
+ * @param sessionSettings - Session anchor time and timezone for the previous session and the VWAP anchor.
+ * @returns An object containing analyzed signal data for the symbol.
+ */
+export const analyzeCandles = (symbol, candles, interval, market, rules, sessionSettings) => {
+  const closes = candles.map((c) => c.close);
+
+  const ema70 = calculateEMA(closes, rules.emaMid);
+  const ema200 = calculateEMA(closes, rules.emaSlow);
+  const rsi14 = calculateRSI(closes, rules.rsiPeriod);
+
+  // EMA70/EMA200 crossover, breakouts beyond the recent range and doji confirmation
+  const mainTrend = detectMainTrend(candles, ema70, ema200, rules);
+  // RSI/price divergence at the latest swings, scored separately from the zone
+  const divergence = detectDivergence(closes, rsi14, rules);
+
+  // Calculate previous session candles and highest volume color
+  const { prevSessionStart, prevSessionEnd } = getSessions(interval, sessionSettings);
+  const candlesPrev = candles.filter(c => c.timestamp >= prevSessionStart && c.timestamp <= prevSessionEnd);
+
+  let highestVolumeColorPrev = null;
+  let highestVolumeTimestampPrev = null;
+  if (candlesPrev.length > 0) {
+      let maxVolume = -1;
+      let highestVolumeCandle = null;
+      for (const candle of candlesPrev) {
+          if (candle.volume > maxVolume) {
+              maxVolume = candle.volume;
+              highestVolumeCandle = candle;
+          }
+      }
+      if (highestVolumeCandle) {
+          // Determine color based on close vs open of the highest volume candle
+          highestVolumeColorPrev = highestVolumeCandle.close > highestVolumeCandle.open ? 'green' : 'red';
+          highestVolumeTimestampPrev = highestVolumeCandle.timestamp;
+      }
+  }
+
+  // Simulate prevClosedGreen/Red (simplified)
+  let prevClosedGreen = null;
+  let prevClosedRed = null;
+  if (candles.length >= 2) {
+      const prevCandle = candles[candles.length - 2];
+      prevClosedGreen = prevCandle.close > prevCandle.open;
+      prevClosedRed = prevCandle.close < prevCandle.open;
+  }
+
+  // Confirmation oscillators; only the latest values are kept for the table
+  const lastClose = closes.at(-1);
+  const macd = calculateMACD(closes);
+  const bollinger = calculateBollingerBands(closes);
+  const atr = calculateATR(candles);
+  const stochRsi = calculateStochRSI(closes, rules.rsiPeriod);
+  // VWAP is anchored to the daily session on every timeframe, so on 1d it covers just the current bar
+  const vwap = calculateVWAP(candles, getSessions('1d', sessionSettings).sessionStart);
+  const bandWidth = bollinger.upper.at(-1) - bollinger.lower.at(-1);
+  const indicators = {
+    macd: macd.macd.at(-1),
+    macdSignal: macd.signal.at(-1),
+    macdHistogram: macd.histogram.at(-1),
+    bollingerPercentB: bandWidth > 0 ? ((lastClose - bollinger.lower.at(-1)) / bandWidth) * 100 : NaN,
+    atrPercent: (atr.at(-1) / lastClose) * 100,
+    stochRsiK: stochRsi.k.at(-1),
+    stochRsiD: stochRsi.d.at(-1),
+    vwap: vwap.at(-1),
+    vwapDistancePercent: ((lastClose - vwap.at(-1)) / vwap.at(-1)) * 100,
+    ema200: ema200.at(-1), // For the market breadth
+  };
+
+  return {
+    symbol,
+    interval,
+    candles, // Kept so streamed klines can be merged and re-analyzed
+    closes,
+    rsi14, // Keep rsi14 for getSignal calculation
+    priceChangePercent: market.priceChangePercent,
+    market, // Funding rate, quote volume and mark/last spread, passed through unchanged on re-analysis
+    mainTrend,
+    divergence,
+    prevClosedGreen,
+    prevClosedRed,
+    highestVolumeColorPrev, // Add the calculated highest volume color
+    highestVolumeTimestampPrev, // Lets the chart mark that candle
+    rules, // Rules this object was analyzed with, so consumers can tell stale objects apart
+    indicators,
+  };
+};
@@ -0,0 +1,122 @@
+// --- RSI/Price Divergence ---
+// Swing highs and lows are found on the closes and on the RSI separately. Two consecutive price swings
+// are compared with the RSI swings at the same bars (within `pivotBars`):
+//
+//   regular bullish - price makes a lower low, RSI a higher low   (selling is losing momentum)
+//   hidden bullish  - price makes a higher low, RSI a lower low   (uptrend pullback with momentum reset)
+//   regular bearish - price makes a higher high, RSI a lower high (buying is losing momentum)
+//   hidden bearish  - price makes a lower high, RSI a higher high (downtrend bounce with momentum reset)
+//
+// A swing needs `pivotBars` bars on either side, so the newest swing is always at least that many bars old.
+
+export const DIVERGENCE_TYPES = ['regular bullish', 'hidden bullish', 'regular bearish', 'hidden bearish'];
+
+/**
+ * Finds swing highs and lows: bars that are above (or below) the `pivotBars` bars on either side.
+ * On a flat top or bottom, the first bar of the plateau is the swing.
+ * @param values - The series; NaN bars are never swings and break the comparison windows they fall in.
+ * @param pivotBars - Bars required on each side.
+ * @returns `{ highs, lows }`, arrays of bar indices in ascending order.
+ */
+export function findSwings(values, pivotBars) {
+  const highs = [];
+  const lows = [];
+  for (let i = pivotBars; i < values.length - pivotBars; i++) {
+    const window = values.slice(i - pivotBars, i + pivotBars + 1);
+    if (window.some((v) => !Number.isFinite(v))) continue;
+    const before = window.slice(0, pivotBars);
+    const after = window.slice(pivotBars + 1);
+    const value = values[i];
+    if (before.every((v) => v < value) && after.every((v) => v <= value)) highs.push(i);
+    if (before.every((v) => v > value) && after.every((v) => v >= value)) lows.push(i);
+  }
+  return { highs, lows };
+}
+
+// Nearest RSI swing to a price swing, if there is one within `tolerance` bars
+const nearestSwing = (swings, index, tolerance) => {
+  let best = -1;
+  for (const swing of swings) {
+    if (Math.abs(swing - index) <= tolerance && (best === -1 || Math.abs(swing - index) < Math.abs(best - index))) best = swing;
+  }
+  return best;
+};
+
+/**
+ * Classifies a pair of swings of the same side.
+ * @param side - 'high' or 'low'.
+ * @param priceDelta - Later swing price minus earlier swing price.
+ * @param rsiDelta - Later swing RSI minus earlier swing RSI.
+ * @returns One of DIVERGENCE_TYPES, or null when price and RSI agree.
+ */
+const classify = (side, priceDelta, rsiDelta) => {
+  if (side === 'low') {
+    if (priceDelta < 0 && rsiDelta > 0) return 'regular bullish';
+    if (priceDelta > 0 && rsiDelta < 0) return 'hidden bullish';
+  } else {
+    if (priceDelta > 0 && rsiDelta < 0) return 'regular bearish';
+    if (priceDelta < 0 && rsiDelta > 0) return 'hidden bearish';
+  }
+  return null;
+};
+
+/**
+ * Finds every divergence between consecutive price swings of the same side.
+ * @param closes - Closing prices, oldest first.
+ * @param rsi - The RSI series aligned with `closes`.
+ * @param rules - Signal rules supplying `pivotBars` and `divergenceLookback`, the most bars two swings may be apart.
+ * @returns Divergences in order of their later swing: `{ type, strength, from, to }`, where `from` and `to` are
+ * `{ index, price, rsi }` of the two swings (`index` is the price swing's bar) and `strength` is the RSI gap
+ * between them in points.
+ */
+export function findDivergences(closes, rsi, rules) {
+  const priceSwings = findSwings(closes, rules.pivotBars);
+  const rsiSwings = findSwings(rsi, rules.pivotBars);
+  const divergences = [];
+
+  for (const side of ['low', 'high']) {
+    const prices = side === 'low' ? priceSwings.lows : priceSwings.highs;
+    const rsis = side === 'low' ? rsiSwings.lows : rsiSwings.highs;
+    for (let k = 1; k < prices.length; k++) {
+      const [a, b] = [prices[k - 1], prices[k]];
+      if (b - a > rules.divergenceLookback) continue;
+      const [rsiA, rsiB] = [nearestSwing(rsis, a, rules.pivotBars), nearestSwing(rsis, b, rules.pivotBars)];
+      if (rsiA === -1 || rsiB === -1 || rsiA === rsiB) continue;
+
+      const type = classify(side, closes[b] - closes[a], rsi[rsiB] - rsi[rsiA]);
+      if (!type) continue;
+      divergences.push({
+        type,
+        strength: Math.abs(rsi[rsiB] - rsi[rsiA]),
+        from: { index: a, price: closes[a], rsi: rsi[rsiA] },
+        to: { index: b, price: closes[b], rsi: rsi[rsiB] },
+      });
+    }
+  }
+  return divergences.sort((x, y) => x.to.index - y.to.index);
+}
+
+/**
+ * Returns the divergence that is still current: the newest one whose later swing is no more than
+ * `divergenceLookback` bars old and hasn't been followed by another swing on the same side.
+ * @param closes - Closing prices, oldest first.
+ * @param rsi - The RSI series aligned with `closes`.
+ * @param rules - Signal rules supplying `pivotBars` and `divergenceLookback`.
+ * @returns `{ type, strength, from, to, barsAgo }`, or null if there is no current divergence.
+ */
+export function detectDivergence(closes, rsi, rules) {
+  const last = closes.length - 1;
+  const { highs, lows } = findSwings(closes, rules.pivotBars);
+  const latestSwing = { low: lows.at(-1), high: highs.at(-1) };
+
+  const current = findDivergences(closes, rsi, rules).filter((d) => {
+    const side = d.type.endsWith('bullish') ? 'low' : 'high';
+    return d.to.index === latestSwing[side] && last - d.to.index <= rules.divergenceLookback;
+  });
+  if (current.length === 0) return null;
+  // A bullish and a bearish divergence can both be current; the newer one wins, then the stronger
+  const divergence = current.reduce((best, d) => (
+    d.to.index > best.to.index || (d.to.index === best.to.index && d.strength > best.strength) ? d : best
+  ));
+  return { ...divergence, barsAgo: last - divergence.to.index };
+}
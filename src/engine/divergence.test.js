@@ -0,0 +1,107 @@
+import { detectDivergence, findDivergences, findSwings } from "./divergence.js";
+import { DEFAULT_SIGNAL_RULES } from "./signals.js";
+
+// One bar either side keeps the hand-built series short
+const RULES = { ...DEFAULT_SIGNAL_RULES, pivotBars: 1, divergenceLookback: 10 };
+
+// Price and RSI swing at the same bars: lows at 2 and 6 (or highs, for the bearish cases)
+const SERIES = {
+  'regular bullish': {
+    closes: [10, 8, 5, 8, 10, 7, 4, 7, 9],
+    rsi: [50, 40, 30, 40, 50, 40, 35, 45, 55],
+  },
+  'hidden bullish': {
+    closes: [10, 8, 5, 8, 10, 7, 6, 7, 9],
+    rsi: [50, 40, 30, 40, 50, 40, 25, 45, 55],
+  },
+  'regular bearish': {
+    closes: [5, 7, 10, 7, 5, 8, 11, 8, 6],
+    rsi: [50, 60, 70, 60, 50, 60, 65, 55, 45],
+  },
+  'hidden bearish': {
+    closes: [5, 7, 10, 7, 5, 8, 9, 8, 6],
+    rsi: [50, 60, 70, 60, 50, 60, 75, 55, 45],
+  },
+};
+
+describe('findSwings', () => {
+  test.each([
+    ['a single peak', [1, 3, 2], { highs: [1], lows: [] }],
+    ['a single trough', [3, 1, 3], { highs: [], lows: [1] }],
+    ['a flat top, at its first bar', [1, 3, 3, 2], { highs: [1], lows: [] }],
+    ['a flat bottom, at its first bar', [3, 1, 1, 2], { highs: [], lows: [1] }],
+    ['a steady climb', [1, 2, 3, 4], { highs: [], lows: [] }],
+    ['a warm-up of NaN bars', [NaN, 1, 3, 2, 4], { highs: [2], lows: [3] }],
+    ['a NaN bar beside a peak', [1, 3, NaN, 2], { highs: [], lows: [] }],
+  ])('finds %s', (_, values, swings) => {
+    expect(findSwings(values, 1)).toEqual(swings);
+  });
+
+  test('needs pivotBars bars on either side', () => {
+    expect(findSwings([1, 2, 3, 2, 1], 2)).toEqual({ highs: [2], lows: [] });
+    expect(findSwings([1, 2, 3, 2], 2)).toEqual({ highs: [], lows: [] });
+  });
+});
+
+describe('findDivergences', () => {
+  test.each([
+    ['regular bullish', { index: 2, price: 5, rsi: 30 }, { index: 6, price: 4, rsi: 35 }, 5],
+    ['hidden bullish', { index: 2, price: 5, rsi: 30 }, { index: 6, price: 6, rsi: 25 }, 5],
+    ['regular bearish', { index: 2, price: 10, rsi: 70 }, { index: 6, price: 11, rsi: 65 }, 5],
+    ['hidden bearish', { index: 2, price: 10, rsi: 70 }, { index: 6, price: 9, rsi: 75 }, 5],
+  ])('finds %s divergence', (type, from, to, strength) => {
+    const { closes, rsi } = SERIES[type];
+    expect(findDivergences(closes, rsi, RULES)).toEqual([{ type, strength, from, to }]);
+  });
+
+  test('finds nothing when price and RSI agree', () => {
+    const closes = [10, 8, 5, 8, 10, 7, 4, 7, 9];
+    const rsi = [50, 40, 35, 40, 50, 40, 30, 45, 55]; // Lower low on both
+    expect(findDivergences(closes, rsi, RULES)).toEqual([]);
+  });
+
+  test('skips swings further apart than the lookback', () => {
+    const { closes, rsi } = SERIES['regular bullish'];
+    expect(findDivergences(closes, rsi, { ...RULES, divergenceLookback: 3 })).toEqual([]);
+  });
+
+  test('skips price swings without an RSI swing while the RSI warms up', () => {
+    const { closes, rsi } = SERIES['regular bullish'];
+    expect(findDivergences(closes, [NaN, NaN, ...rsi.slice(2)], RULES)).toEqual([]);
+  });
+
+  test('rejects two price swings matched to the same RSI swing', () => {
+    // Price lows at bars 2 and 4 are both one bar from the only RSI low, at bar 3
+    const closes = [10, 8, 5, 7, 4, 7, 9];
+    const rsi = [50, 40, 35, 30, 35, 40, 45];
+    expect(findSwings(rsi, 1).lows).toEqual([3]);
+    expect(findDivergences(closes, rsi, RULES)).toEqual([]);
+  });
+});
+
+describe('detectDivergence', () => {
+  test.each(Object.keys(SERIES))('reports a current %s divergence with its age', (type) => {
+    const { closes, rsi } = SERIES[type];
+    expect(detectDivergence(closes, rsi, RULES)).toMatchObject({ type, strength: 5, barsAgo: 2 });
+  });
+
+  test('returns null without a divergence', () => {
+    expect(detectDivergence([10, 8, 5, 8, 10, 7, 4, 7, 9], [50, 40, 35, 40, 50, 40, 30, 45, 55], RULES)).toBeNull();
+  });
+
+  test('drops a divergence once a newer swing forms on the same side', () => {
+    // A third low at bar 9 agrees with the RSI; the highs at 4 and 8 agree too
+    const closes = [10, 8, 5, 8, 10, 7, 4, 7, 9, 3, 8];
+    const rsi = [50, 40, 30, 40, 50, 40, 35, 45, 48, 20, 40];
+    expect(findDivergences(closes, rsi, RULES).map((d) => d.type)).toEqual(['regular bullish']);
+    expect(detectDivergence(closes, rsi, RULES)).toBeNull();
+  });
+
+  test('drops a divergence older than the lookback', () => {
+    const { closes, rsi } = SERIES['regular bullish'];
+    // A steady climb afterwards forms no swings
+    const climb = (from, bars) => Array.from({ length: bars }, (_, i) => from + i);
+    expect(detectDivergence([...closes, ...climb(10, 10)], [...rsi, ...climb(56, 10)], RULES)).toBeNull();
+    expect(detectDivergence([...closes, ...climb(10, 8)], [...rsi, ...climb(56, 8)], RULES)).toMatchObject({ barsAgo: 10 });
+  });
+});
@@ -0,0 +1,82 @@
+import { createMarketEntry } from "../marketData.js";
+import { BINANCE_FUTURES_WEIGHT_LIMIT, getEndpointWeight } from "../requestScheduler.js";
+import { KLINE_INTERVALS } from "../sessions.js";
+
+// --- Binance USDⓈ-M Futures Adapter ---
+
+const BASE_URL = 'https://fapi.binance.com';
+
+/**
+ * Converts a Binance REST kline array into the candle shape used by the app.
+ * Shared with the spot adapter, which returns the same format.
+ * @param c - A kline array as returned by /fapi/v1/klines or /api/v3/klines.
+ * @returns A candle object with numeric OHLCV values.
+ */
+export const parseBinanceKline = (c) => ({
+  timestamp: c[0],
+  open: +c[1],
+  high: +c[2],
+  low: +c[3],
+  close: +c[4],
+  volume: +c[5],
+});
+
+/**
+ * Fetches klines from a Binance klines endpoint.
+ * @param request - Fetches a URL and resolves to its JSON, or null on failure.
+ * @param url - The klines endpoint URL without query string.
+ * @param symbol - The symbol.
+ * @param interval - The kline interval.
+ * @param options - `{ limit, startTime }` as passed to the adapter's fetchKlines.
+ * @returns A promise for the candles, oldest first, or null on failure.
+ */
+export const fetchBinanceKlines = async (request, url, symbol, interval, { limit, startTime }) => {
+  const start = startTime !== undefined ? `&startTime=${startTime}` : '';
+  const raw = await request(`${url}?symbol=${symbol}&interval=${interval}&limit=${limit}${start}`);
+  return Array.isArray(raw) ? raw.map(parseBinanceKline) : null;
+};
+
+const binanceFutures = {
+  id: 'binance-futures',
+  label: 'Binance USDⓈ-M Futures',
+  baseUrl: BASE_URL,
+  intervals: KLINE_INTERVALS,
+  streamUrl: 'wss://fstream.binance.com/stream',
+  weightLimit: BINANCE_FUTURES_WEIGHT_LIMIT,
+  getWeight: getEndpointWeight,
+
+  async listSymbols(request) {
+    const exchangeInfo = await request(`${this.baseUrl}/fapi/v1/exchangeInfo`);
+    // exchangeInfo already has the fields the universe filters use
+    return Array.isArray(exchangeInfo?.symbols) ? exchangeInfo.symbols : null;
+  },
+
+  async fetchMarket(request) {
+    const [tickers, premiumIndex] = await Promise.all([
+      request(`${this.baseUrl}/fapi/v1/ticker/24hr`),
+      request(`${this.baseUrl}/fapi/v1/premiumIndex`),
+    ]);
+    // Without tickers there is no 24h change to show; the premium index only adds columns
+    if (!Array.isArray(tickers)) return null;
+    if (!Array.isArray(premiumIndex)) console.warn('Premium index unavailable; funding and spread columns will be empty.');
+
+    const premiumBySymbol = new Map((Array.isArray(premiumIndex) ? premiumIndex : []).map((p) => [p.symbol, p]));
+    return new Map(tickers.map((t) => {
+      const premium = premiumBySymbol.get(t.symbol);
+      return [t.symbol, createMarketEntry({
+        priceChangePercent: parseFloat(t.priceChangePercent),
+        lastPrice: parseFloat(t.lastPrice),
+        quoteVolume: parseFloat(t.quoteVolume),
+        markPrice: premium ? parseFloat(premium.markPrice) : NaN,
+        fundingRate: premium ? parseFloat(premium.lastFundingRate) : NaN,
+        nextFundingTime: premium?.nextFundingTime || null,
+      })];
+    }));
+  },
+
+  fetchKlines(request, symbol, interval, options) {
+    return fetchBinanceKlines(request, `${this.baseUrl}/fapi/v1/klines`, symbol, interval, options);
+  },
+};
+
+export default binanceFutures;
@@ -0,0 +1,60 @@
+import { createMarketEntry } from "../marketData.js";
+import { KLINE_INTERVALS } from "../sessions.js";
+import { fetchBinanceKlines } from "./binanceFutures.js";
+
+// --- Binance Spot Adapter ---
+// Spot has no mark price or funding, so those columns stay empty, and no contract metadata, so the
+// contract type, listing age and delisting filters don't apply.
+
+const BASE_URL = 'https://api.binance.com';
+
+/**
+ * Request weights of the spot endpoints used here.
+ * @param url - The full request URL.
+ * @returns The endpoint weight.
+ */
+const getSpotWeight = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  if (pathname === '/api/v3/exchangeInfo') return 20;
+  if (pathname === '/api/v3/ticker/24hr') return searchParams.has('symbol') ? 2 : 80;
+  return 2; // klines, for any limit up to 1000
+};
+
+const binanceSpot = {
+  id: 'binance-spot',
+  label: 'Binance Spot',
+  baseUrl: BASE_URL,
+  intervals: KLINE_INTERVALS,
+  streamUrl: 'wss://stream.binance.com:9443/stream', // Same combined-stream protocol as futures
+  weightLimit: 6000,
+  getWeight: getSpotWeight,
+
+  async listSymbols(request) {
+    const exchangeInfo = await request(`${this.baseUrl}/api/v3/exchangeInfo`);
+    if (!Array.isArray(exchangeInfo?.symbols)) return null;
+    return exchangeInfo.symbols.map((s) => ({
+      symbol: s.symbol,
+      status: s.status,
+      contractType: null,
+      quoteAsset: s.quoteAsset,
+      onboardDate: null,
+      deliveryDate: null,
+    }));
+  },
+
+  async fetchMarket(request) {
+    const tickers = await request(`${this.baseUrl}/api/v3/ticker/24hr`);
+    if (!Array.isArray(tickers)) return null;
+    return new Map(tickers.map((t) => [t.symbol, createMarketEntry({
+      priceChangePercent: parseFloat(t.priceChangePercent),
+      lastPrice: parseFloat(t.lastPrice),
+      quoteVolume: parseFloat(t.quoteVolume),
+    })]));
+  },
+
+  fetchKlines(request, symbol, interval, options) {
+    return fetchBinanceKlines(request, `${this.baseUrl}/api/v3/klines`, symbol, interval, options);
+  },
+};
+
+export default binanceSpot;
@@ -0,0 +1,93 @@
+import { createMarketEntry } from "../marketData.js";
+
+// --- Bybit Linear Perpetuals Adapter ---
+// Uses the v5 market endpoints with category=linear. Only perpetuals are listed; Bybit's dated linear
+// futures have no equivalent in the universe filters.
+
+const BASE_URL = 'https://api.bybit.com';
+const MAX_KLINE_LIMIT = 1000;
+
+// Bybit has no 8h or 3d klines
+const INTERVALS = {
+  '1m': '1',
+  '3m': '3',
+  '5m': '5',
+  '15m': '15',
+  '30m': '30',
+  '1h': '60',
+  '2h': '120',
+  '4h': '240',
+  '6h': '360',
+  '12h': '720',
+  '1d': 'D',
+  '1w': 'W',
+  '1M': 'M',
+};
+
+const STATUSES = { Trading: 'TRADING', PreLaunch: 'PENDING_TRADING', Settling: 'SETTLING' };
+
+// Bybit answers errors with HTTP 200 and a non-zero retCode
+const resultOf = (response) => (response?.retCode === 0 ? response.result : null);
+
+const bybit = {
+  id: 'bybit',
+  label: 'Bybit Linear Perpetuals',
+  baseUrl: BASE_URL,
+  intervals: Object.keys(INTERVALS),
+  streamUrl: null,
+  weightLimit: 600, // Requests per 5 seconds per IP
+  weightWindowMs: 5000,
+  getWeight: () => 1,
+
+  async listSymbols(request) {
+    const symbols = [];
+    let cursor = '';
+    do {
+      const result = resultOf(await request(
+        `${this.baseUrl}/v5/market/instruments-info?category=linear&limit=1000${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`
+      ));
+      if (!result) return null;
+      symbols.push(...result.list);
+      cursor = result.nextPageCursor;
+    } while (cursor);
+
+    return symbols
+      .filter((s) => s.contractType === 'LinearPerpetual')
+      .map((s) => ({
+        symbol: s.symbol,
+        status: STATUSES[s.status] || s.status,
+        contractType: 'PERPETUAL',
+        quoteAsset: s.quoteCoin,
+        onboardDate: parseInt(s.launchTime, 10),
+        // Perpetuals report 0 until a delisting is scheduled
+        deliveryDate: parseInt(s.deliveryTime, 10) || null,
+      }));
+  },
+
+  async fetchMarket(request) {
+    const result = resultOf(await request(`${this.baseUrl}/v5/market/tickers?category=linear`));
+    if (!result) return null;
+    return new Map(result.list.map((t) => [t.symbol, createMarketEntry({
+      priceChangePercent: parseFloat(t.price24hPcnt) * 100,
+      lastPrice: parseFloat(t.lastPrice),
+      quoteVolume: parseFloat(t.turnover24h),
+      markPrice: parseFloat(t.markPrice),
+      fundingRate: t.fundingRate ? parseFloat(t.fundingRate) : NaN,
+      nextFundingTime: parseInt(t.nextFundingTime, 10) || null,
+    })]));
+  },
+
+  async fetchKlines(request, symbol, interval, { limit, startTime }) {
+    const start = startTime !== undefined ? `&start=${startTime}` : '';
+    const result = resultOf(await request(
+      `${this.baseUrl}/v5/market/kline?category=linear&symbol=${symbol}&interval=${INTERVALS[interval]}&limit=${Math.min(limit, MAX_KLINE_LIMIT)}${start}`
+    ));
+    if (!result) return null;
+    // Rows are [startTime, open, high, low, close, volume, turnover], newest first
+    return result.list
+      .map((c) => ({ timestamp: parseInt(c[0], 10), open: +c[1], high: +c[2], low: +c[3], close: +c[4], volume: +c[5] }))
+      .reverse();
+  },
+};
+
+export default bybit;
@@ -0,0 +1,18 @@
+// Symbols served by the mock adapter; see mock.js for how the fields drive the generated candles
+const mockMarket = {
+  symbols: [
+    { symbol: 'BTCUSDT', basePrice: 64000, volatility: 0.006, drift: 0.0004, baseVolume: 9000, fundingRate: 0.0001, listedDaysAgo: 2000 },
+    { symbol: 'ETHUSDT', basePrice: 3100, volatility: 0.008, drift: 0.0002, baseVolume: 120000, fundingRate: 0.0001, listedDaysAgo: 2000 },
+    { symbol: 'SOLUSDT', basePrice: 145, volatility: 0.012, drift: 0.0015, baseVolume: 900000, fundingRate: 0.00025, listedDaysAgo: 1500 },
+    { symbol: 'BNBUSDT', basePrice: 580, volatility: 0.007, drift: -0.0003, baseVolume: 60000, fundingRate: 0.00005, listedDaysAgo: 2000 },
+    { symbol: 'XRPUSDT', basePrice: 0.52, volatility: 0.01, drift: -0.0012, baseVolume: 80000000, fundingRate: -0.00008, listedDaysAgo: 1900 },
+    { symbol: 'DOGEUSDT', basePrice: 0.12, volatility: 0.015, drift: 0.002, baseVolume: 300000000, fundingRate: 0.0003, listedDaysAgo: 1800 },
+    { symbol: 'ADAUSDT', basePrice: 0.45, volatility: 0.011, drift: -0.002, baseVolume: 90000000, fundingRate: -0.0002, listedDaysAgo: 1900 },
+    { symbol: 'AVAXUSDT', basePrice: 28, volatility: 0.013, drift: 0, baseVolume: 2000000, fundingRate: 0.0001, listedDaysAgo: 1400 },
+    { symbol: 'LINKUSDT', basePrice: 14, volatility: 0.012, drift: 0.0008, baseVolume: 4000000, fundingRate: 0.0001, listedDaysAgo: 1900 },
+    { symbol: 'NEWCOINUSDT', basePrice: 1.8, volatility: 0.03, drift: 0.004, baseVolume: 5000000, fundingRate: 0.0008, listedDaysAgo: 3 },
+    { symbol: 'THINUSDT', basePrice: 0.03, volatility: 0.02, drift: -0.003, baseVolume: 100000, fundingRate: -0.0005, listedDaysAgo: 600 },
+  ],
+};
+
+export default mockMarket;
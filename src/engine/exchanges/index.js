@@ -0,0 +1,41 @@
+import binanceFutures from "./binanceFutures.js";
+import binanceSpot from "./binanceSpot.js";
+import bybit from "./bybit.js";
+import okx from "./okx.js";
+import mock from "./mock.js";
+
+// --- Exchange Data Sources ---
+// Every adapter implements the same interface, so the scan, analysis and signal logic never see an
+// exchange's URLs or response formats:
+//
+//   id, label          - Identifier (stored and used in cache keys) and display name.
+//   baseUrl            - REST API origin the methods request from (null for the mock). getExchange can
+//                        override it, e.g. to point the CLI at a local mock of the API.
+//   intervals          - The KLINE_INTERVALS the exchange offers.
+//   streamUrl          - Binance-style combined kline stream URL, or null if live mode isn't supported.
+//   weightLimit        - Request budget per window for the request scheduler.
+//   weightWindowMs     - Optional window length for weightLimit; one minute when omitted.
+//   getWeight(url)     - Weight of one request.
+//   listSymbols(request)                                 -> symbol metadata for the universe filters
+//   fetchMarket(request)                                 -> Map of symbol -> createMarketEntry(...)
+//   fetchKlines(request, symbol, interval, { limit, startTime }) -> candles, oldest first
+//
+// `request(url)` is supplied by the caller and resolves to the parsed JSON, or null on failure; retries and
+// rate limiting happen there. Adapter methods resolve to null when the data couldn't be loaded.
+// fetchKlines returns at most `limit` candles, from `startTime` onwards when it is given.
+
+export const EXCHANGES = [binanceFutures, binanceSpot, bybit, okx, mock];
+
+// REACT_APP_EXCHANGE=mock starts the dashboard on the offline fixtures
+export const DEFAULT_EXCHANGE_ID = process.env.REACT_APP_EXCHANGE || binanceFutures.id;
+
+/**
+ * Looks up an adapter by id.
+ * @param id - The adapter id.
+ * @param baseUrl - Optional REST API origin to use instead of the exchange's own.
+ * @returns The adapter, or the Binance futures adapter for unknown ids.
+ */
+export function getExchange(id, baseUrl = null) {
+  const adapter = EXCHANGES.find((exchange) => exchange.id === id) || binanceFutures;
+  return baseUrl ? { ...adapter, baseUrl: baseUrl.replace(/\/+$/, '') } : adapter;
+}
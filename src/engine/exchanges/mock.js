@@ -0,0 +1,106 @@
+import { createMarketEntry } from "../marketData.js";
+import { getIntervalMs, KLINE_INTERVALS } from "../sessions.js";
+import fixture from "./fixtures/mockMarket.js";
+
+// --- Mock Adapter ---
+// Serves the symbols in fixtures/mockMarket.js without any network access, so the dashboard can run
+// offline. Candles are a seeded random walk per symbol and interval: the same inputs always produce the
+// same series, aligned so the newest candle is the one open now.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Small deterministic PRNG (mulberry32)
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const hashString = (text) => [...text].reduce((hash, ch) => (Math.imul(hash, 31) + ch.charCodeAt(0)) | 0, 7);
+
+/**
+ * Generates a fixture symbol's candles for an interval. The walk runs backwards from the newest candle,
+ * which closes at the fixture's base price, so a shorter series is always the tail of a longer one.
+ * @param entry - The fixture entry.
+ * @param interval - The kline interval.
+ * @param count - Number of candles.
+ * @param now - The current time in milliseconds.
+ * @returns Candles, oldest first, the last one open at `now`.
+ */
+const generateCandles = (entry, interval, count, now) => {
+  const intervalMs = getIntervalMs(interval);
+  const random = createRandom(hashString(`${entry.symbol}:${interval}`));
+  // Per-bar moves scale with the square root of the bar length, relative to the fixture's hourly figures
+  const scale = Math.sqrt(intervalMs / HOUR_MS);
+  const lastOpen = Math.floor(now / intervalMs) * intervalMs;
+
+  const candles = [];
+  let close = entry.basePrice;
+  for (let barsAgo = 0; barsAgo < count; barsAgo++) {
+    const gaussian = (random() + random() + random() - 1.5) * 2; // Roughly normal, sd ≈ 1
+    // Clamped so long bars of volatile fixtures can't produce a zero or negative price
+    const open = close / Math.max(0.2, 1 + entry.drift * scale + entry.volatility * scale * gaussian);
+    const wick = entry.volatility * scale * random();
+    candles.push({
+      timestamp: lastOpen - barsAgo * intervalMs,
+      open,
+      high: Math.max(open, close) * (1 + wick),
+      low: Math.min(open, close) * (1 - wick),
+      close,
+      volume: entry.baseVolume * scale * scale * (0.5 + random()),
+    });
+    close = open;
+  }
+  return candles.reverse();
+};
+
+const mock = {
+  id: 'mock',
+  label: 'Mock (offline fixtures)',
+  baseUrl: null,
+  intervals: KLINE_INTERVALS,
+  streamUrl: null,
+  weightLimit: Infinity,
+  getWeight: () => 0,
+
+  async listSymbols() {
+    const now = Date.now();
+    return fixture.symbols.map((s) => ({
+      symbol: s.symbol,
+      status: 'TRADING',
+      contractType: 'PERPETUAL',
+      quoteAsset: 'USDT',
+      onboardDate: now - s.listedDaysAgo * DAY_MS,
+      deliveryDate: null,
+    }));
+  },
+
+  async fetchMarket() {
+    const now = Date.now();
+    return new Map(fixture.symbols.map((s) => {
+      // The ticker agrees with the hourly candles: last price and change over the last 24 of them
+      const hourly = generateCandles(s, '1h', 25, now);
+      const lastPrice = hourly.at(-1).close;
+      const dayAgo = hourly[0].close;
+      return [s.symbol, createMarketEntry({
+        priceChangePercent: ((lastPrice - dayAgo) / dayAgo) * 100,
+        lastPrice,
+        quoteVolume: hourly.slice(1).reduce((sum, c) => sum + c.volume * c.close, 0),
+        markPrice: lastPrice * (1 + s.fundingRate), // A premium in line with the funding rate
+        fundingRate: s.fundingRate,
+        nextFundingTime: Math.ceil(now / (8 * HOUR_MS)) * 8 * HOUR_MS,
+      })];
+    }));
+  },
+
+  async fetchKlines(request, symbol, interval, { limit, startTime }) {
+    const entry = fixture.symbols.find((s) => s.symbol === symbol);
+    if (!entry) return null;
+    const candles = generateCandles(entry, interval, limit, Date.now());
+    return startTime === undefined ? candles : candles.filter((c) => c.timestamp >= startTime);
+  },
+};
+
+export default mock;
@@ -0,0 +1,147 @@
+import mock from "./mock.js";
+import { getExchange } from "./index.js";
+import fixture from "./fixtures/mockMarket.js";
+import { runScan, scanSymbols } from "../scanner.js";
+import { DEFAULT_UNIVERSE_SETTINGS, filterUniverse } from "../universe.js";
+import { DEFAULT_SIGNAL_RULES, getSignal, ZONES } from "../signals.js";
+import { DEFAULT_SESSION_SETTINGS, getIntervalMs } from "../sessions.js";
+
+const FIXTURE_SYMBOLS = fixture.symbols.map((s) => s.symbol);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The mock never touches the network, so the request function must never be called
+const createContext = () => ({
+  exchange: mock,
+  fetchWithRetry: jest.fn(() => Promise.reject(new Error('The mock adapter made a request'))),
+  getSettings: () => ({ rules: DEFAULT_SIGNAL_RULES, sessionSettings: DEFAULT_SESSION_SETTINGS }),
+});
+
+describe('mock adapter', () => {
+  test('is registered and keeps its null base URL', () => {
+    expect(getExchange('mock')).toBe(mock);
+    expect(mock.baseUrl).toBeNull();
+  });
+
+  test('lists every fixture symbol as a tradable USDT perpetual', async () => {
+    const now = Date.now();
+    const symbols = await mock.listSymbols();
+    expect(symbols.map((s) => s.symbol)).toEqual(FIXTURE_SYMBOLS);
+    symbols.forEach((s) => expect(s).toMatchObject({ status: 'TRADING', contractType: 'PERPETUAL', quoteAsset: 'USDT', deliveryDate: null }));
+    const newcoin = symbols.find((s) => s.symbol === 'NEWCOINUSDT');
+    expect(Math.round((now - newcoin.onboardDate) / DAY_MS)).toBe(3);
+  });
+
+  test('builds the universe from the listing and the market snapshot', async () => {
+    const [listed, market] = await Promise.all([mock.listSymbols(), mock.fetchMarket()]);
+    expect([...market.keys()]).toEqual(FIXTURE_SYMBOLS);
+    expect(filterUniverse(listed, market, DEFAULT_UNIVERSE_SETTINGS)).toEqual(FIXTURE_SYMBOLS);
+    // The listing age filter drops the three-day-old fixture
+    expect(filterUniverse(listed, market, { ...DEFAULT_UNIVERSE_SETTINGS, minListingAgeDays: 30 })).not.toContain('NEWCOINUSDT');
+  });
+
+  test('reports ticker figures consistent with the fixture', async () => {
+    const market = await mock.fetchMarket();
+    const btc = market.get('BTCUSDT');
+    expect(btc.lastPrice).toBe(64000);
+    expect(btc.fundingRate).toBeCloseTo(0.01, 10); // Stored as a percentage
+    expect(btc.markPrice).toBeCloseTo(64000 * 1.0001, 6);
+    expect(Number.isFinite(btc.priceChangePercent)).toBe(true);
+    expect(btc.quoteVolume).toBeGreaterThan(0);
+  });
+
+  test('generates valid candles ending with the one open now', async () => {
+    const candles = await mock.fetchKlines(null, 'ETHUSDT', '4h', { limit: 100 });
+    const intervalMs = getIntervalMs('4h');
+    expect(candles).toHaveLength(100);
+    expect(candles.at(-1).timestamp).toBe(Math.floor(Date.now() / intervalMs) * intervalMs);
+    expect(candles.at(-1).close).toBe(3100);
+    expect(candles.slice(1).every((c, i) => c.timestamp - candles[i].timestamp === intervalMs)).toBe(true);
+    candles.forEach((c) => {
+      expect(c.low).toBeGreaterThan(0);
+      expect(c.high).toBeGreaterThanOrEqual(Math.max(c.open, c.close));
+      expect(c.low).toBeLessThanOrEqual(Math.min(c.open, c.close));
+    });
+  });
+
+  test('is deterministic, with a shorter series the tail of a longer one', async () => {
+    const long = await mock.fetchKlines(null, 'SOLUSDT', '1h', { limit: 200 });
+    const short = await mock.fetchKlines(null, 'SOLUSDT', '1h', { limit: 50 });
+    expect(short).toEqual(long.slice(-50));
+  });
+
+  test('returns candles from startTime onwards and null for unknown symbols', async () => {
+    const candles = await mock.fetchKlines(null, 'BTCUSDT', '1d', { limit: 30 });
+    const since = await mock.fetchKlines(null, 'BTCUSDT', '1d', { limit: 30, startTime: candles[27].timestamp });
+    expect(since).toEqual(candles.slice(27));
+    expect(await mock.fetchKlines(null, 'NOPEUSDT', '1d', { limit: 30 })).toBeNull();
+  });
+});
+
+describe('scanning the mock adapter', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scanSymbols analyzes each symbol and reports unknown ones as failures', async () => {
+    const context = createContext();
+    const market = await mock.fetchMarket();
+    const results = [];
+    const failures = {};
+
+    await scanSymbols(context, ['BTCUSDT', 'ETHUSDT', 'NOPEUSDT'], { interval: '1h', market, priority: () => 0 }, {
+      onResult: (s) => results.push(s),
+      onFailure: (symbol, failure) => { failures[symbol] = failure; },
+    });
+
+    expect(results.map((s) => s.symbol).sort()).toEqual(['BTCUSDT', 'ETHUSDT']);
+    results.forEach((s) => {
+      expect(s.interval).toBe('1h');
+      expect(s.candles).toHaveLength(500);
+      expect(s.closes.at(-1)).toBe(fixture.symbols.find((f) => f.symbol === s.symbol).basePrice);
+      expect(ZONES).toContain(getSignal(s, DEFAULT_SIGNAL_RULES));
+      expect(typeof s.updatedAt).toBe('number');
+    });
+    expect(Object.keys(failures)).toEqual(['NOPEUSDT']);
+    expect(context.fetchWithRetry).not.toHaveBeenCalled();
+  });
+
+  test('scanSymbols drops results once the scan is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const onResult = jest.fn();
+    const onFailure = jest.fn();
+    await scanSymbols(createContext(), ['BTCUSDT'], {
+      interval: '1h',
+      market: await mock.fetchMarket(),
+      priority: () => 0,
+      signal: controller.signal,
+    }, { onResult, onFailure });
+    expect(onResult).not.toHaveBeenCalled();
+    expect(onFailure).not.toHaveBeenCalled();
+  });
+
+  test('runScan covers the filtered universe offline', async () => {
+    const context = createContext();
+    const onStart = jest.fn();
+    const results = [];
+    const universe = { ...DEFAULT_UNIVERSE_SETTINGS, exclude: ['THINUSDT'] };
+
+    const market = await runScan(context, { interval: '15m', universe, prioritySymbols: ['ETHUSDT'] }, {
+      onStart,
+      onResult: (s) => results.push(s),
+      onFailure: (symbol) => { throw new Error(`${symbol} failed`); },
+    });
+
+    expect(onStart).toHaveBeenCalledWith({
+      total: FIXTURE_SYMBOLS.length - 1,
+      universeSize: { eligible: FIXTURE_SYMBOLS.length - 1, total: FIXTURE_SYMBOLS.length },
+    });
+    expect(results.map((s) => s.symbol).sort()).toEqual(FIXTURE_SYMBOLS.filter((s) => s !== 'THINUSDT').sort());
+    expect(market.get('BTCUSDT').lastPrice).toBe(64000);
+    expect(context.fetchWithRetry).not.toHaveBeenCalled();
+  });
+});
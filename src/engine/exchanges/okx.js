@@ -0,0 +1,102 @@
+import { createMarketEntry } from "../marketData.js";
+
+// --- OKX USDT/USDC Swaps Adapter ---
+// Symbols are OKX instrument IDs (e.g. "BTC-USDT-SWAP"). Funding rates are only available per
+// instrument, so the funding column stays empty rather than costing a request per symbol.
+
+const BASE_URL = 'https://www.okx.com';
+const PAGE_LIMIT = 300; // Maximum candles per request
+
+// OKX has no 8h or 3d bars; the "utc" bars open at 00:00 UTC like Binance's instead of Hong Kong time
+const BARS = {
+  '1m': '1m',
+  '3m': '3m',
+  '5m': '5m',
+  '15m': '15m',
+  '30m': '30m',
+  '1h': '1H',
+  '2h': '2H',
+  '4h': '4H',
+  '6h': '6Hutc',
+  '12h': '12Hutc',
+  '1d': '1Dutc',
+  '1w': '1Wutc',
+  '1M': '1Mutc',
+};
+
+const STATES = { live: 'TRADING', preopen: 'PENDING_TRADING' };
+
+// OKX answers errors with HTTP 200 and a non-zero code
+const dataOf = (response) => (response?.code === '0' ? response.data : null);
+
+const okx = {
+  id: 'okx',
+  label: 'OKX Swaps',
+  baseUrl: BASE_URL,
+  intervals: Object.keys(BARS),
+  streamUrl: null,
+  weightLimit: 20, // Requests per 2 seconds on the most limited endpoint used
+  weightWindowMs: 2000,
+  getWeight: () => 1,
+
+  async listSymbols(request) {
+    const instruments = dataOf(await request(`${this.baseUrl}/api/v5/public/instruments?instType=SWAP`));
+    if (!instruments) return null;
+    return instruments
+      .filter((i) => i.ctType === 'linear') // Inverse swaps are margined in the base coin
+      .map((i) => ({
+        symbol: i.instId,
+        status: STATES[i.state] || i.state.toUpperCase(),
+        contractType: 'PERPETUAL',
+        quoteAsset: i.settleCcy,
+        onboardDate: parseInt(i.listTime, 10) || null,
+        deliveryDate: parseInt(i.expTime, 10) || null,
+      }));
+  },
+
+  async fetchMarket(request) {
+    const [tickers, markPrices] = await Promise.all([
+      request(`${this.baseUrl}/api/v5/market/tickers?instType=SWAP`),
+      request(`${this.baseUrl}/api/v5/public/mark-price?instType=SWAP`),
+    ]);
+    const tickerData = dataOf(tickers);
+    if (!tickerData) return null;
+
+    const markBySymbol = new Map((dataOf(markPrices) || []).map((m) => [m.instId, parseFloat(m.markPx)]));
+    return new Map(tickerData.map((t) => {
+      const last = parseFloat(t.last);
+      const open = parseFloat(t.open24h);
+      return [t.instId, createMarketEntry({
+        priceChangePercent: open > 0 ? ((last - open) / open) * 100 : NaN,
+        lastPrice: last,
+        quoteVolume: parseFloat(t.volCcy24h) * last, // volCcy24h is in the base currency for swaps
+        markPrice: markBySymbol.get(t.instId) ?? NaN,
+      })];
+    }));
+  },
+
+  // OKX pages backwards from the newest candle, so keep paging until startTime or the limit is reached
+  async fetchKlines(request, symbol, interval, { limit, startTime }) {
+    const rows = [];
+    let after = '';
+    while (rows.length < limit) {
+      const page = dataOf(await request(
+        `${this.baseUrl}/api/v5/market/candles?instId=${symbol}&bar=${BARS[interval]}&limit=${PAGE_LIMIT}${after ? `&after=${after}` : ''}`
+      ));
+      if (!page) return null;
+      rows.push(...page);
+      if (page.length < PAGE_LIMIT) break;
+      after = page.at(-1)[0];
+      if (startTime !== undefined && parseInt(after, 10) <= startTime) break;
+    }
+
+    // Rows are [ts, open, high, low, close, vol (contracts), volCcy (base), ...], newest first
+    return rows
+      .map((c) => ({ timestamp: parseInt(c[0], 10), open: +c[1], high: +c[2], low: +c[3], close: +c[4], volume: +c[6] }))
+      .filter((c) => startTime === undefined || c.timestamp >= startTime)
+      .slice(0, limit)
+      .reverse();
+  },
+};
+
+export default okx;
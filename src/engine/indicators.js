@@ -0,0 +1,231 @@
+// --- Indicator Functions ---
+// Pure functions over plain arrays. Every series has the same length as its input,
+// with NaN where there isn't enough data yet.
+
+/**
+ * Calculates the Simple Moving Average (SMA) for a given dataset.
+ * A window containing NaN yields NaN, so this can be chained onto other indicator series.
+ * @param data - The array of numbers to average.
+ * @param period - The period (number of data points) for the SMA calculation.
+ * @returns An array containing the SMA values, with NaN for initial periods.
+ */
+export function calculateSMA(data, period) {
+  const sma = [];
+  let sum = 0;
+  let nanCount = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    if (isNaN(data[i])) nanCount++;
+    else sum += data[i];
+
+    if (i >= period) {
+      const dropped = data[i - period];
+      if (isNaN(dropped)) nanCount--;
+      else sum -= dropped;
+    }
+
+    sma.push(i < period - 1 || nanCount > 0 ? NaN : sum / period);
+  }
+  return sma;
+}
+
+/**
+ * Calculates the Exponential Moving Average (EMA) for a given dataset.
+ * @param data - The array of numbers (e.g., closing prices) to calculate EMA for.
+ * @param period - The period (number of data points) for the EMA calculation.
+ * @returns An array containing the EMA values, with NaN for initial periods.
+ */
+export function calculateEMA(data, period) {
+  const k = 2 / (period + 1); // Smoothing constant
+  const ema = [];
+  let previousEma = null;
+
+  for (let i = 0; i < data.length; i++) {
+    // For the initial periods before enough data for SMA, push NaN
+    if (i < period - 1) {
+      ema.push(NaN);
+      continue;
+    }
+    // Calculate initial Simple Moving Average (SMA) for the first EMA point
+    if (i === period - 1) {
+      const sma = data.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
+      previousEma = sma;
+    }
+    // Calculate EMA using the formula: CurrentPrice * K + PreviousEMA * (1 - K)
+    if (previousEma !== null) {
+      const currentEma = data[i] * k + previousEma * (1 - k);
+      ema.push(currentEma);
+      previousEma = currentEma;
+    }
+  }
+  return ema;
+}
+
+/**
+ * Calculates the Relative Strength Index (RSI) for a given set of closing prices.
+ * @param closes - An array of closing prices.
+ * @param period - The period (number of data points) for the RSI calculation.
+ * @returns An array containing the RSI values, with NaN for initial periods.
+ */
+export function calculateRSI(closes, period = 3) {
+  if (!Array.isArray(closes) || closes.length <= period) {
+    return [];
+  }
+
+  const rsi = [];
+  let gains = 0;
+  let losses = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const diff = closes[i] - closes[i - 1];
+    if (diff > 0) {
+      gains += diff;
+    } else {
+      losses -= diff;
+    }
+  }
+
+  let avgGain = gains / period;
+  let avgLoss = losses / period;
+  let rs = avgLoss === 0 ? Number.POSITIVE_INFINITY : avgGain / avgLoss;
+  rsi[period] = 100 - 100 / (1 + rs);
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const diff = closes[i] - closes[i - 1];
+    const gain = diff > 0 ? diff : 0;
+    const loss = diff < 0 ? -diff : 0;
+
+    avgGain = (avgGain * (period - 1) + gain) / period;
+    avgLoss = (avgLoss * (period - 1) + loss) / period;
+
+    rs = avgLoss === 0 ? Number.POSITIVE_INFINITY : avgGain / avgLoss;
+    rsi[i] = 100 - 100 / (1 + rs);
+  }
+
+  for (let i = 0; i < period; i++) {
+    rsi[i] = NaN;
+  }
+
+  return rsi;
+}
+
+/**
+ * Calculates MACD (Moving Average Convergence Divergence).
+ * @param closes - An array of closing prices.
+ * @param fastPeriod - The fast EMA period.
+ * @param slowPeriod - The slow EMA period.
+ * @param signalPeriod - The EMA period of the signal line.
+ * @returns An object with `macd`, `signal` and `histogram` arrays.
+ */
+export function calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = calculateEMA(closes, fastPeriod);
+  const slow = calculateEMA(closes, slowPeriod);
+  const macd = closes.map((_, i) => fast[i] - slow[i]);
+
+  // calculateEMA seeds from the first `period` values, so run it on the defined part of the MACD line only
+  const firstValid = macd.findIndex((v) => !isNaN(v));
+  const signal = firstValid === -1
+    ? macd.map(() => NaN)
+    : [...macd.slice(0, firstValid), ...calculateEMA(macd.slice(firstValid), signalPeriod)];
+  const histogram = macd.map((v, i) => v - signal[i]);
+
+  return { macd, signal, histogram };
+}
+
+/**
+ * Calculates Bollinger Bands using the population standard deviation.
+ * @param closes - An array of closing prices.
+ * @param period - The moving average period.
+ * @param multiplier - The number of standard deviations for the outer bands.
+ * @returns An object with `middle`, `upper` and `lower` arrays.
+ */
+export function calculateBollingerBands(closes, period = 20, multiplier = 2) {
+  const middle = calculateSMA(closes, period);
+  const upper = [];
+  const lower = [];
+
+  for (let i = 0; i < closes.length; i++) {
+    if (isNaN(middle[i])) {
+      upper.push(NaN);
+      lower.push(NaN);
+      continue;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, val) => sum + (val - middle[i]) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper.push(middle[i] + deviation);
+    lower.push(middle[i] - deviation);
+  }
+
+  return { middle, upper, lower };
+}
+
+/**
+ * Calculates the Average True Range (ATR) with Wilder's smoothing.
+ * @param candles - An array of candles with `high`, `low` and `close`.
+ * @param period - The ATR period.
+ * @returns An array containing the ATR values, with NaN for initial periods.
+ */
+export function calculateATR(candles, period = 14) {
+  const trueRanges = candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+
+  const atr = [];
+  for (let i = 0; i < trueRanges.length; i++) {
+    if (i < period - 1) {
+      atr.push(NaN);
+    } else if (i === period - 1) {
+      atr.push(trueRanges.slice(0, period).reduce((sum, val) => sum + val, 0) / period);
+    } else {
+      atr.push((atr[i - 1] * (period - 1) + trueRanges[i]) / period);
+    }
+  }
+  return atr;
+}
+
+/**
+ * Calculates the Stochastic RSI.
+ * @param closes - An array of closing prices.
+ * @param rsiPeriod - The RSI period.
+ * @param stochPeriod - The lookback for the RSI high/low range.
+ * @param kPeriod - The SMA smoothing of %K.
+ * @param dPeriod - The SMA smoothing of %D (applied to %K).
+ * @returns An object with `k` and `d` arrays on a 0-100 scale.
+ */
+export function calculateStochRSI(closes, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+  const rsi = calculateRSI(closes, rsiPeriod);
+  const stoch = rsi.map((value, i) => {
+    if (i < stochPeriod - 1) return NaN;
+    const window = rsi.slice(i - stochPeriod + 1, i + 1);
+    if (window.some((v) => isNaN(v))) return NaN;
+    const low = Math.min(...window);
+    const high = Math.max(...window);
+    return high === low ? 0 : ((value - low) / (high - low)) * 100;
+  });
+
+  const k = calculateSMA(stoch, kPeriod);
+  const d = calculateSMA(k, dPeriod);
+  return { k, d };
+}
+
+/**
+ * Calculates the Volume Weighted Average Price anchored at a session start.
+ * @param candles - An array of candles with `timestamp`, `high`, `low`, `close` and `volume`.
+ * @param sessionStart - Timestamp (ms) from which volume starts accumulating.
+ * @returns An array containing the VWAP values, with NaN for candles before the session.
+ */
+export function calculateVWAP(candles, sessionStart) {
+  let cumulativePV = 0;
+  let cumulativeVolume = 0;
+
+  return candles.map((c) => {
+    if (c.timestamp < sessionStart) return NaN;
+    const typicalPrice = (c.high + c.low + c.close) / 3;
+    cumulativePV += typicalPrice * c.volume;
+    cumulativeVolume += c.volume;
+    return cumulativeVolume === 0 ? NaN : cumulativePV / cumulativeVolume;
+  });
+}
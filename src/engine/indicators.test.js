@@ -0,0 +1,183 @@
+import {
+  calculateATR,
+  calculateBollingerBands,
+  calculateEMA,
+  calculateMACD,
+  calculateRSI,
+  calculateSMA,
+  calculateStochRSI,
+  calculateVWAP,
+} from "./indicators.js";
+
+// Reference series from the StockCharts ChartSchool worked examples for EMA(10) and RSI(14)
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+];
+const EMA_REFERENCE = [
+  22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54, 23.47, 23.40,
+  23.39, 23.26, 23.23, 23.08, 22.92,
+]; // From the 11th close on
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13,
+];
+// Unrounded Wilder RSI (as TA-Lib computes it); StockCharts' table rounds intermediate averages
+const RSI_REFERENCE = [
+  70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90,
+  45.50, 37.32, 33.09, 37.79,
+]; // From the 15th close on
+
+const expectSeries = (actual, expected, digits = 2) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => {
+    if (Number.isNaN(expected[i])) expect(value).toBeNaN();
+    else expect(value).toBeCloseTo(expected[i], digits);
+  });
+};
+
+const warmUp = (series) => series.findIndex((v) => !Number.isNaN(v));
+
+describe('calculateSMA', () => {
+  test('averages each window and pads the warm-up with NaN', () => {
+    expectSeries(calculateSMA([1, 2, 3, 4, 5], 3), [NaN, NaN, 2, 3, 4]);
+  });
+
+  test('yields NaN for any window containing NaN', () => {
+    expectSeries(calculateSMA([1, NaN, 3, 4, 5, 6], 2), [NaN, NaN, NaN, 3.5, 4.5, 5.5]);
+  });
+});
+
+describe('calculateEMA', () => {
+  test('has period - 1 NaN values before the first EMA', () => {
+    const ema = calculateEMA(EMA_CLOSES, 10);
+    expect(ema).toHaveLength(EMA_CLOSES.length);
+    expect(warmUp(ema)).toBe(9);
+  });
+
+  test('seeds from the SMA of the first period values and applies the seed bar on top of it', () => {
+    const k = 2 / 11;
+    const sma = EMA_CLOSES.slice(0, 10).reduce((sum, v) => sum + v, 0) / 10;
+    expect(sma).toBeCloseTo(22.22, 2);
+    expect(calculateEMA(EMA_CLOSES, 10)[9]).toBeCloseTo(EMA_CLOSES[9] * k + sma * (1 - k), 10);
+  });
+
+  test('tracks the StockCharts reference after the seed', () => {
+    expectSeries(calculateEMA(EMA_CLOSES, 10).slice(10), EMA_REFERENCE, 1);
+  });
+});
+
+describe('calculateRSI', () => {
+  test('matches the Wilder reference with period NaN values before it', () => {
+    const rsi = calculateRSI(RSI_CLOSES, 14);
+    expect(rsi).toHaveLength(RSI_CLOSES.length);
+    expect(warmUp(rsi)).toBe(14);
+    expectSeries(rsi.slice(14), RSI_REFERENCE);
+  });
+
+  test('seeds with the simple average gain and loss of the first period changes', () => {
+    // Gains 2 and 1, loss 1 over the first three changes: RS = 1 / (1/3) = 3
+    expect(calculateRSI([10, 12, 11, 12], 3)[3]).toBeCloseTo(75, 10);
+  });
+
+  test('is 100 without losses and empty without enough data', () => {
+    expect(calculateRSI([1, 2, 3, 4], 3)[3]).toBe(100);
+    expect(calculateRSI([1, 2, 3], 3)).toEqual([]);
+  });
+});
+
+describe('calculateMACD', () => {
+  const closes = Array.from({ length: 40 }, (_, i) => 100 + Math.sin(i / 3) * 5 + i * 0.2);
+
+  test('is the fast EMA minus the slow EMA', () => {
+    const { macd } = calculateMACD(closes);
+    const fast = calculateEMA(closes, 12);
+    const slow = calculateEMA(closes, 26);
+    expect(warmUp(macd)).toBe(25);
+    macd.slice(25).forEach((v, i) => expect(v).toBeCloseTo(fast[i + 25] - slow[i + 25], 10));
+  });
+
+  test('seeds the signal line from the defined part of the MACD line', () => {
+    const { macd, signal, histogram } = calculateMACD(closes);
+    expect(warmUp(signal)).toBe(25 + 8);
+    expectSeries(signal.slice(25), calculateEMA(macd.slice(25), 9), 10);
+    histogram.slice(33).forEach((v, i) => expect(v).toBeCloseTo(macd[i + 33] - signal[i + 33], 10));
+  });
+
+  test('matches hand-computed values on a short series', () => {
+    const { macd, signal } = calculateMACD([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 2, 4, 3);
+    expect(macd[3]).toBeCloseTo(0.437037, 6);
+    expect(signal[5]).toBeCloseTo(0.706974, 6);
+    expect(signal[9]).toBeCloseTo(0.938411, 6);
+  });
+
+  test('is all NaN without enough data for the slow EMA', () => {
+    const { macd, signal, histogram } = calculateMACD([1, 2, 3], 2, 4, 3);
+    [macd, signal, histogram].forEach((series) => expect(series.every(Number.isNaN)).toBe(true));
+  });
+});
+
+describe('calculateBollingerBands', () => {
+  test('uses the population standard deviation', () => {
+    // Mean 5, population standard deviation 2
+    const { middle, upper, lower } = calculateBollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+    expect(warmUp(middle)).toBe(7);
+    expect(middle[7]).toBe(5);
+    expect(upper[7]).toBe(9);
+    expect(lower[7]).toBe(1);
+    expect(warmUp(upper)).toBe(7);
+    expect(warmUp(lower)).toBe(7);
+  });
+});
+
+describe('calculateATR', () => {
+  const candles = [
+    { high: 10, low: 8, close: 9 },
+    { high: 11, low: 9, close: 10 },
+    { high: 12, low: 9, close: 11 },
+    { high: 11, low: 10, close: 10.5 },
+  ];
+
+  test('seeds with the average true range and applies Wilder smoothing', () => {
+    // True ranges 2, 2, 3, 1
+    expectSeries(calculateATR(candles, 2), [NaN, 2, 2.5, 1.75]);
+  });
+
+  test('uses gaps from the previous close in the true range', () => {
+    const gapped = [{ high: 10, low: 9, close: 10 }, { high: 15, low: 14, close: 14.5 }];
+    expect(calculateATR(gapped, 1)).toEqual([1, 5]);
+  });
+});
+
+describe('calculateStochRSI', () => {
+  test('scales RSI within its lookback range and smooths %K and %D', () => {
+    // RSI(2): NaN, NaN, 100, 50, 25, 62.5, 81.25, 90.6, 95.3, 47.7
+    const { k, d } = calculateStochRSI([1, 2, 3, 2, 1, 2, 3, 4, 5, 4], 2, 3, 2, 2);
+    expectSeries(k, [NaN, NaN, NaN, NaN, NaN, 50, 100, 100, 100, 50]);
+    expectSeries(d, [NaN, NaN, NaN, NaN, NaN, NaN, 75, 100, 100, 75]);
+  });
+
+  test('is 0 for a flat RSI range', () => {
+    const { k } = calculateStochRSI([1, 2, 3, 4, 5, 6, 7, 8], 2, 3, 1, 1);
+    expect(k.slice(4).every((v) => v === 0)).toBe(true);
+  });
+});
+
+describe('calculateVWAP', () => {
+  const candles = [
+    { timestamp: 0, high: 100, low: 100, close: 100, volume: 5 },
+    { timestamp: 1, high: 3, low: 1, close: 2, volume: 10 },
+    { timestamp: 2, high: 6, low: 3, close: 3, volume: 30 },
+  ];
+
+  test('accumulates typical price times volume from the session start', () => {
+    // Typical prices 2 and 4: (2 * 10 + 4 * 30) / 40
+    expectSeries(calculateVWAP(candles, 1), [NaN, 2, 3.5]);
+  });
+
+  test('is NaN until the session has volume', () => {
+    const quiet = [{ timestamp: 1, high: 2, low: 1, close: 1.5, volume: 0 }, { ...candles[1], timestamp: 2 }];
+    expectSeries(calculateVWAP(quiet, 1), [NaN, 2]);
+  });
+});
@@ -0,0 +1,126 @@
+// --- IndexedDB Kline Cache ---
+// Candles are cached per exchange, symbol and interval so reloads and timeframe switches only need the bars
+// newer than the last cached one. Every function resolves to an empty result when IndexedDB is
+// unavailable, so callers can treat the cache as optional.
+
+const DB_NAME = 'klineCache';
+const DB_VERSION = 2; // Version 2 added the exchange to the key
+const STORE = 'klines';
+export const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Entries untouched for a week are evicted
+
+let dbPromise = null;
+
+// Wraps an IDBRequest in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDB = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Version 1 entries don't say which exchange they came from, so they are dropped
+      if (db.objectStoreNames.contains(STORE)) db.deleteObjectStore(STORE);
+      const store = db.createObjectStore(STORE, { keyPath: ['exchange', 'symbol', 'interval'] });
+      store.createIndex('exchangeInterval', ['exchange', 'interval']);
+    };
+    dbPromise = promisify(request).catch((error) => {
+      console.warn('Kline cache unavailable:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a callback against the kline store inside a transaction.
+ * @param mode - 'readonly' or 'readwrite'.
+ * @param callback - Receives the object store and returns an IDBRequest.
+ * @param fallback - Resolved when the cache is unavailable or the request fails.
+ * @returns The request result, or the fallback.
+ */
+const withStore = async (mode, callback, fallback) => {
+  const db = await openDB();
+  if (!db) return fallback;
+  try {
+    return await promisify(callback(db.transaction(STORE, mode).objectStore(STORE)));
+  } catch (error) {
+    console.warn('Kline cache request failed:', error);
+    return fallback;
+  }
+};
+
+/**
+ * Reads the cached entry for one symbol and interval.
+ * @param exchange - The exchange adapter id.
+ * @param symbol - The symbol (e.g., "BTCUSDT").
+ * @param interval - The kline interval (e.g., "4h").
+ * @returns `{ exchange, symbol, interval, candles, market, updatedAt }` or null if nothing is cached.
+ */
+export function getCachedKlines(exchange, symbol, interval) {
+  return withStore('readonly', (store) => store.get([exchange, symbol, interval]), null).then((entry) => entry || null);
+}
+
+/**
+ * Reads every cached entry for an exchange and interval, for showing the previous results on a cold start.
+ * @param exchange - The exchange adapter id.
+ * @param interval - The kline interval.
+ * @returns An array of cached entries.
+ */
+export function getCachedInterval(exchange, interval) {
+  return withStore('readonly', (store) => store.index('exchangeInterval').getAll([exchange, interval]), []);
+}
+
+/**
+ * Stores candles (and the market data they were shown with) for one symbol and interval.
+ * @param exchange - The exchange adapter id.
+ * @param symbol - The symbol.
+ * @param interval - The kline interval.
+ * @param candles - The candle array, oldest first.
+ * @param market - The symbol's market snapshot entry at the time of the fetch.
+ */
+export function putCachedKlines(exchange, symbol, interval, candles, market) {
+  return withStore(
+    'readwrite',
+    (store) => store.put({ exchange, symbol, interval, candles, market, updatedAt: Date.now() }),
+    null
+  );
+}
+
+/**
+ * Deletes entries that haven't been updated within `maxAgeMs`.
+ * @param maxAgeMs - Maximum age in milliseconds.
+ * @returns The number of evicted entries.
+ */
+export async function evictStaleKlines(maxAgeMs = CACHE_MAX_AGE_MS) {
+  const entries = await withStore('readonly', (store) => store.getAll(), []);
+  const cutoff = Date.now() - maxAgeMs;
+  const stale = entries.filter((entry) => entry.updatedAt < cutoff);
+  await Promise.all(stale.map((entry) => withStore('readwrite', (store) => store.delete([entry.exchange, entry.symbol, entry.interval]), null)));
+  return stale.length;
+}
+
+/**
+ * Removes every cached entry.
+ */
+export function clearKlineCache() {
+  return withStore('readwrite', (store) => store.clear(), null);
+}
+
+/**
+ * Appends freshly fetched candles to cached ones. The fetch starts at the last cached candle's open
+ * time, so that (possibly still open) candle is replaced by its updated version.
+ * @param cached - Cached candles, oldest first.
+ * @param fresh - Candles fetched from the last cached timestamp onwards.
+ * @param limit - Maximum number of candles to keep.
+ * @returns The merged candle array, trimmed to the newest `limit` candles.
+ */
+export function mergeCandles(cached, fresh, limit) {
+  if (fresh.length === 0) return cached.slice(-limit);
+  const firstFresh = fresh[0].timestamp;
+  return [...cached.filter((c) => c.timestamp < firstFresh), ...fresh].slice(-limit);
+}
@@ -0,0 +1,35 @@
+// --- Market-Wide Snapshot ---
+// The 24h tickers (and, where the exchange has them, funding rates and mark prices) are fetched once per
+// scan for every symbol and joined to each symbol's candle analysis. Exchange adapters build the
+// snapshot; this module defines the entry shape they share.
+
+/**
+ * Builds the market entry kept on each signal object.
+ * @param fields.priceChangePercent - 24h price change in percent.
+ * @param fields.lastPrice - Last traded price.
+ * @param fields.quoteVolume - 24h volume in the quote asset.
+ * @param fields.markPrice - Mark price, or NaN on markets without one (e.g. spot).
+ * @param fields.fundingRate - Current funding rate as a fraction, or NaN.
+ * @param fields.nextFundingTime - Next funding time in milliseconds, or null.
+ * @returns `{ priceChangePercent, lastPrice, quoteVolume, markPrice, fundingRate, nextFundingTime, markLastSpreadPercent }`,
+ * with the funding rate converted to a percentage.
+ */
+export function createMarketEntry({
+  priceChangePercent,
+  lastPrice,
+  quoteVolume,
+  markPrice = NaN,
+  fundingRate = NaN,
+  nextFundingTime = null,
+}) {
+  return {
+    priceChangePercent,
+    lastPrice,
+    quoteVolume,
+    markPrice,
+    fundingRate: fundingRate * 100, // As a percentage
+    nextFundingTime,
+    // Positive when the mark price trades above the last traded price
+    markLastSpreadPercent: lastPrice > 0 ? ((markPrice - lastPrice) / lastPrice) * 100 : NaN,
+  };
+}
@@ -0,0 +1,163 @@
+// --- Weight-Aware Request Scheduler ---
+// Binance limits each IP to a request weight per minute and reports the running total in the
+// X-MBX-USED-WEIGHT-1M response header. The scheduler keeps its own estimate (the header may not be
+// exposed to the browser), runs requests concurrently while there is budget left, and holds the
+// queue until the next window once the budget is spent. Other exchanges limit request counts over shorter
+// windows (e.g. 20 requests per 2 seconds), so the window length is configurable.
+
+export const BINANCE_FUTURES_WEIGHT_LIMIT = 2400;
+export const DEFAULT_WEIGHT_WINDOW_MS = 60 * 1000;
+const USED_WEIGHT_HEADER = 'X-MBX-USED-WEIGHT-1M';
+
+/**
+ * Returns the request weight of a Binance USDⓈ-M futures REST endpoint.
+ * @param url - The full request URL.
+ * @returns The endpoint weight (defaults to 1 for endpoints not listed).
+ */
+export function getEndpointWeight(url) {
+  const { pathname, searchParams } = new URL(url);
+  const hasSymbol = searchParams.has('symbol');
+
+  switch (pathname) {
+    case '/fapi/v1/klines': {
+      const limit = parseInt(searchParams.get('limit') || '500', 10);
+      if (limit < 100) return 1;
+      if (limit < 500) return 2;
+      if (limit <= 1000) return 5;
+      return 10;
+    }
+    case '/fapi/v1/ticker/24hr':
+      return hasSymbol ? 1 : 40;
+    case '/fapi/v1/premiumIndex':
+      return hasSymbol ? 1 : 10;
+    default:
+      return 1;
+  }
+}
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+/**
+ * Creates a request scheduler.
+ * @param options.weightLimit - The exchange's weight limit per window.
+ * @param options.windowMs - Length of the window the limit applies to.
+ * @param options.headroom - Fraction of the limit the scheduler is allowed to use.
+ * @param options.maxConcurrent - Maximum number of requests in flight at once.
+ * @param options.getWeight - Maps a URL to its request weight.
+ * @param options.fetchImpl - The fetch function to use.
+ * @returns An object with `fetch(url, { priority, signal })`, `pauseFor(ms)` and `getUsage()`.
+ */
+export function createRequestScheduler({
+  weightLimit = BINANCE_FUTURES_WEIGHT_LIMIT,
+  windowMs = DEFAULT_WEIGHT_WINDOW_MS,
+  headroom = 0.8,
+  maxConcurrent = 8,
+  getWeight = getEndpointWeight,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  const budget = weightLimit * headroom;
+  let queue = [];
+  let active = 0;
+  let windowStart = 0;
+  let usedWeight = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  // Weight is counted in fixed windows (one minute for Binance)
+  const rollWindow = () => {
+    const currentWindow = Math.floor(Date.now() / windowMs) * windowMs;
+    if (currentWindow !== windowStart) {
+      windowStart = currentWindow;
+      usedWeight = 0;
+    }
+  };
+
+  const wakeAt = (time) => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(0, time - Date.now()));
+  };
+
+  const run = async (task) => {
+    try {
+      const response = await fetchImpl(task.url, { signal: task.signal });
+      const reported = parseInt(response.headers.get(USED_WEIGHT_HEADER), 10);
+      if (!isNaN(reported)) {
+        rollWindow();
+        // The estimate also counts requests still in flight, so never lower it
+        usedWeight = Math.max(usedWeight, reported);
+      }
+      task.resolve(response);
+    } catch (error) {
+      task.reject(error);
+    } finally {
+      active--;
+      pump();
+    }
+  };
+
+  const pump = () => {
+    rollWindow();
+    while (queue.length > 0 && active < maxConcurrent) {
+      const task = queue[0];
+      const overBudget = usedWeight + task.weight > budget;
+      const waitUntil = Math.max(pausedUntil, overBudget ? windowStart + windowMs : 0);
+      if (waitUntil > Date.now()) {
+        wakeAt(waitUntil);
+        return;
+      }
+      queue.shift();
+      // Once sent, fetch itself cancels the request on abort
+      task.signal?.removeEventListener('abort', task.onAbort);
+      active++;
+      usedWeight += task.weight;
+      run(task);
+    }
+  };
+
+  /**
+   * Queues a request.
+   * @param url - The request URL.
+   * @param options.priority - Higher values are sent first; equal priorities keep FIFO order.
+   * @param options.signal - An AbortSignal; aborting drops the request from the queue or cancels it in flight.
+   * @returns A promise for the fetch Response.
+   */
+  const scheduledFetch = (url, { priority = 0, signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      const task = { url, priority, signal, weight: getWeight(url), resolve, reject };
+      task.onAbort = () => {
+        queue = queue.filter((t) => t !== task);
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', task.onAbort, { once: true });
+
+      const index = queue.findIndex((t) => t.priority < priority);
+      if (index === -1) queue.push(task);
+      else queue.splice(index, 0, task);
+      pump();
+    });
+
+  /**
+   * Holds the queue for a while, e.g. after a 429 with Retry-After.
+   * @param ms - How long to wait before sending more requests.
+   */
+  const pauseFor = (ms) => {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  };
+
+  /**
+   * @returns The current `{ usedWeight, weightLimit, windowMs, queued, active }`.
+   */
+  const getUsage = () => {
+    rollWindow();
+    return { usedWeight, weightLimit, windowMs, queued: queue.length, active };
+  };
+
+  return { fetch: scheduledFetch, pauseFor, getUsage };
+}
@@ -0,0 +1,61 @@
+import { createRequestScheduler } from "./requestScheduler.js";
+
+const okResponse = () => ({ ok: true, headers: new Headers() });
+
+describe('createRequestScheduler', () => {
+  test('removes the abort listener once a queued request is sent', async () => {
+    const scheduler = createRequestScheduler({ weightLimit: Infinity, getWeight: () => 1, fetchImpl: async () => okResponse() });
+    const controller = new AbortController();
+    const add = jest.spyOn(controller.signal, 'addEventListener');
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await scheduler.fetch('https://example.test/a', { signal: controller.signal });
+    await scheduler.fetch('https://example.test/b', { signal: controller.signal });
+
+    expect(add).toHaveBeenCalledTimes(2);
+    expect(remove).toHaveBeenCalledTimes(2);
+    add.mock.calls.forEach(([type, listener, options], i) => {
+      expect(type).toBe('abort');
+      expect(options).toEqual({ once: true });
+      expect(remove.mock.calls[i]).toEqual(['abort', listener]);
+    });
+  });
+
+  test('drops a request from the queue when it is aborted before being sent', async () => {
+    const fetchImpl = jest.fn(() => new Promise(() => {})); // Never settles, keeping the only slot busy
+    const scheduler = createRequestScheduler({ weightLimit: Infinity, maxConcurrent: 1, getWeight: () => 1, fetchImpl });
+    scheduler.fetch('https://example.test/busy');
+
+    const controller = new AbortController();
+    const queued = scheduler.fetch('https://example.test/queued', { signal: controller.signal });
+    expect(scheduler.getUsage().queued).toBe(1);
+
+    controller.abort();
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.getUsage().queued).toBe(0);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('holds requests over the budget until the next window', async () => {
+    jest.useFakeTimers();
+    try {
+      jest.setSystemTime(0);
+      const fetchImpl = jest.fn(async () => okResponse());
+      // OKX-style limit: 20 requests per 2 seconds
+      const scheduler = createRequestScheduler({ weightLimit: 20, windowMs: 2000, headroom: 1, maxConcurrent: 25, getWeight: () => 1, fetchImpl });
+      const requests = Array.from({ length: 25 }, (_, i) => scheduler.fetch(`https://example.test/${i}`));
+      await Promise.resolve();
+
+      expect(fetchImpl).toHaveBeenCalledTimes(20);
+      expect(scheduler.getUsage()).toMatchObject({ usedWeight: 20, weightLimit: 20, windowMs: 2000, queued: 5 });
+
+      jest.advanceTimersByTime(1999);
+      expect(fetchImpl).toHaveBeenCalledTimes(20);
+      jest.advanceTimersByTime(1);
+      expect(fetchImpl).toHaveBeenCalledTimes(25);
+      await Promise.all(requests);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
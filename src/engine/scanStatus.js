@@ -0,0 +1,72 @@
+import { getIntervalMs } from "./sessions.js";
+
+// --- Scan Status ---
+// Progress and failure bookkeeping for a scan, so skipped symbols and failed requests are visible in the
+// dashboard instead of only in the console.
+
+// Why a symbol is missing from the results
+export const FAILURE_REASONS = {
+  'invalid-symbol': 'Invalid symbol or no data',
+  'rate-limited': 'Rate limited',
+  'http-error': 'HTTP error',
+  'network-error': 'Network error',
+};
+
+const MAX_FRESH_AGE_MS = 60 * 60 * 1000; // Rows older than this are stale even on long intervals
+
+/**
+ * A request failure with one of the FAILURE_REASONS keys attached.
+ */
+export class ScanError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ScanError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Describes why a symbol failed to load.
+ * @param error - The error thrown while loading the symbol, or null when the exchange returned no data.
+ * @returns `{ reason, message }`, with `reason` one of the FAILURE_REASONS keys.
+ */
+export function describeFailure(error) {
+  if (error === null) return { reason: 'invalid-symbol', message: 'The exchange returned no data for this symbol.' };
+  if (error instanceof ScanError) return { reason: error.reason, message: error.message };
+  return { reason: 'network-error', message: error.message };
+}
+
+/**
+ * Creates the status of a scan that is about to start.
+ * @param total - Number of symbols to scan.
+ * @param startedAt - Start time in milliseconds.
+ * @returns `{ total, done, failures, startedAt, finishedAt, error }`. `failures` maps symbols to
+ * `{ reason, message, retrying }`; `error` is set when the scan couldn't start at all.
+ */
+export function createScanStatus(total, startedAt = Date.now()) {
+  return { total, done: 0, failures: {}, startedAt, finishedAt: null, error: null };
+}
+
+/**
+ * Estimates the time left in a running scan from the average time per symbol so far.
+ * @param status - The scan status.
+ * @param now - The current time in milliseconds.
+ * @returns Milliseconds remaining, or null if the scan has finished or nothing has completed yet.
+ */
+export function estimateRemainingMs(status, now = Date.now()) {
+  if (status.finishedAt !== null || status.done === 0) return null;
+  return ((now - status.startedAt) / status.done) * (status.total - status.done);
+}
+
+/**
+ * Works out how old a row's data is. Rows count as stale once they're older than one bar of their
+ * interval, capped at an hour.
+ * @param updatedAt - When the row's candles were fetched, in milliseconds.
+ * @param interval - The row's kline interval.
+ * @param now - The current time in milliseconds.
+ * @returns `{ ageMs, stale }`.
+ */
+export function getStaleness(updatedAt, interval, now = Date.now()) {
+  const ageMs = Math.max(0, now - updatedAt);
+  return { ageMs, stale: ageMs > Math.min(getIntervalMs(interval), MAX_FRESH_AGE_MS) };
+}
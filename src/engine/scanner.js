@@ -0,0 +1,252 @@
+import { analyzeCandles } from "./analysis.js";
+import { filterUniverse } from "./universe.js";
+import { describeFailure, ScanError } from "./scanStatus.js";
+import { getCachedKlines, getCachedInterval, putCachedKlines, mergeCandles } from "./klineCache.js";
+
+// --- Scan Pipeline ---
+// Fetches and analyzes every symbol in an exchange's universe for one interval. It runs in the scan
+// worker (see scan.worker.js) and the CLI (bin/scan.mjs) and reports back through callbacks; nothing here
+// touches React state.
+//
+// A scan context bundles what the pipeline needs from its caller:
+//   exchange          - The exchange adapter (see exchanges/index.js).
+//   fetchWithRetry    - From createFetchWithRetry, bound to the exchange's request scheduler.
+//   getSettings()     - Current `{ rules, sessionSettings }`; read per symbol, so changes apply mid-scan.
+
+const KLINE_LIMIT = 500; // Candles fetched and kept per symbol
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+/**
+ * Waits for a number of milliseconds, rejecting early if the signal aborts (or already has).
+ * @param ms - Milliseconds to wait.
+ * @param signal - Optional AbortSignal.
+ * @returns A promise that resolves after the delay.
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Binds fetchWithRetry to an exchange's request scheduler.
+ * @param scheduler - The request scheduler (see requestScheduler.js).
+ * @returns The fetchWithRetry function.
+ */
+export function createFetchWithRetry(scheduler) {
+  /**
+   * Fetches data from a given URL through the request scheduler, with exponential backoff and specific
+   * error handling for Binance API.
+   * @param url - The URL to fetch data from.
+   * @param options.retries - The maximum number of retries.
+   * @param options.delay - The initial delay in milliseconds before retrying.
+   * @param options.priority - Scheduler priority; higher values are sent first.
+   * @param options.signal - AbortSignal that cancels the request and any pending retry.
+   * @returns The JSON response data, or null if an invalid symbol error occurs.
+   * @throws ScanError with the failure reason once every retry has failed.
+   */
+  const fetchWithRetry = async (url, { retries = 5, delay = 1000, priority = 0, signal } = {}) => {
+    for (let i = 0; i < retries; i++) {
+      try {
+        const response = await scheduler.fetch(url, { priority, signal });
+        if (response.status === 429 || response.status === 418) { // 429 Too Many Requests, 418 I'm a teapot (Binance sometimes uses this)
+          const retryAfter = response.headers.get('Retry-After');
+          const waitTime = retryAfter ? parseInt(retryAfter, 10) * 1000 : delay * Math.pow(2, i);
+          console.warn(`Rate limit hit. Retrying in ${waitTime / 1000}s...`);
+          scheduler.pauseFor(waitTime); // Hold every queued request, not just this one
+          await sleep(waitTime, signal);
+          continue; // Retry the request
+        }
+        if (!response.ok) {
+          // Proxies and gateways answer with HTML or plain text; only the exchange's own errors are JSON
+          const text = await response.text();
+          let errorBody;
+          try {
+            errorBody = JSON.parse(text) ?? {};
+          } catch (error) {
+            errorBody = {}; // Reported below with the status text
+          }
+          // Check for Binance specific error codes for IP ban or invalid symbol
+          if (errorBody.code === -1003) { // IP ban
+            console.warn(`Binance IP ban detected. Retrying in ${delay * Math.pow(2, i) / 1000}s...`);
+            scheduler.pauseFor(delay * Math.pow(2, i));
+            await sleep(delay * Math.pow(2, i), signal);
+            continue; // Retry the request
+          } else if (errorBody.code === -1121 || errorBody.msg === "Invalid symbol." || errorBody.msg === "Invalid symbol status.") {
+            // Specific handling for invalid symbol errors: return null to skip this symbol
+            console.warn(`Invalid symbol encountered for URL: ${url}. Skipping this symbol.`);
+            return null;
+          }
+          throw new ScanError('http-error', `HTTP error! status: ${response.status}, message: ${errorBody.msg || response.statusText}`);
+        }
+        return await response.json();
+      } catch (error) {
+        if (error.name === 'AbortError') throw error; // Cancelled scans don't retry
+        console.error(`Attempt ${i + 1} failed for ${url}:`, error);
+        if (i < retries - 1) {
+          const waitTime = delay * Math.pow(2, i);
+          console.warn(`Retrying in ${waitTime / 1000}s...`);
+          await sleep(waitTime, signal);
+        } else {
+          // If all retries fail, for a symbol-specific error, return null.
+          // For other critical errors, re-throw.
+          if (error instanceof Error && error.message.includes("Invalid symbol")) { // Check for the specific message from previous handling
+            return null;
+          }
+          throw error; // Re-throw if all retries fail for other reasons
+        }
+      }
+    }
+    // Only reached when every attempt was rate limited
+    throw new ScanError('rate-limited', `Still rate limited after ${retries} attempts.`);
+  };
+
+  return fetchWithRetry;
+}
+
+/**
+ * Fetches and analyzes data for a single cryptocurrency symbol.
+ * @param context - The scan context: `{ exchange, fetchWithRetry, getSettings }`.
+ * @param symbol - The cryptocurrency symbol (e.g., "BTCUSDT").
+ * @param interval - The candlestick interval (e.g., "15m", "4h", "1d").
+ * @param priority - Scheduler priority for this symbol's requests.
+ * @param market - The symbol's entry from this scan's market snapshot.
+ * @param signal - AbortSignal that cancels the symbol's requests.
+ * @returns An object containing analyzed signal data for the symbol, or null if the exchange had no data for it.
+ */
+export async function fetchAndAnalyze({ exchange, fetchWithRetry, getSettings }, symbol, interval, priority, market, signal) {
+  const request = (url) => fetchWithRetry(url, { priority, signal });
+  let candles = null;
+
+  // With cached candles, only fetch from the last cached candle onwards. A full page back means
+  // the gap is too large to bridge in one request, so fall through to a full fetch.
+  const cached = await getCachedKlines(exchange.id, symbol, interval);
+  const lastCachedTimestamp = cached?.candles.at(-1)?.timestamp;
+  if (lastCachedTimestamp !== undefined) {
+    const fresh = await exchange.fetchKlines(request, symbol, interval, { limit: KLINE_LIMIT, startTime: lastCachedTimestamp });
+    if (fresh === null) {
+      return null;
+    }
+    if (fresh.length < KLINE_LIMIT) {
+      candles = mergeCandles(cached.candles, fresh, KLINE_LIMIT);
+    }
+  }
+
+  if (!candles) {
+    candles = await exchange.fetchKlines(request, symbol, interval, { limit: KLINE_LIMIT });
+
+    // If candles is null (due to invalid symbol or other fetch error), skip this symbol
+    if (candles === null) {
+      return null;
+    }
+  }
+
+  putCachedKlines(exchange.id, symbol, interval, candles, market); // Not awaited; cache failures are non-fatal
+
+  const { rules, sessionSettings } = getSettings();
+  return { ...analyzeCandles(symbol, candles, interval, market, rules, sessionSettings), updatedAt: Date.now() };
+}
+
+/**
+ * Analyzes the cached candles of every symbol for an interval, so the previous results can be shown
+ * while a scan runs.
+ * @param context - The scan context.
+ * @param interval - The kline interval.
+ * @returns Signal objects flagged `fromCache`.
+ */
+export async function analyzeCachedInterval({ exchange, getSettings }, interval) {
+  const entries = await getCachedInterval(exchange.id, interval);
+  const { rules, sessionSettings } = getSettings();
+  return entries.map((entry) => ({
+    ...analyzeCandles(entry.symbol, entry.candles, interval, entry.market, rules, sessionSettings),
+    fromCache: true,
+    updatedAt: entry.updatedAt,
+  }));
+}
+
+/**
+ * Fetches and analyzes a list of symbols, reporting each one as it finishes.
+ * @param context - The scan context.
+ * @param symbols - The symbols to load.
+ * @param options.interval - The kline interval.
+ * @param options.market - The market snapshot (Map of symbol -> market entry) from the exchange.
+ * @param options.priority - Returns a symbol's scheduler priority.
+ * @param options.signal - AbortSignal; aborted symbols are reported neither as results nor failures.
+ * @param callbacks.onResult - Called with each symbol's signal object.
+ * @param callbacks.onFailure - Called with the symbol and `describeFailure(...)` for symbols that failed.
+ */
+export async function scanSymbols(context, symbols, { interval, market, priority, signal }, { onResult, onFailure }) {
+  await Promise.all(symbols.map((symbol) =>
+    fetchAndAnalyze(context, symbol, interval, priority(symbol), market.get(symbol), signal)
+      .then((result) => {
+        if (signal?.aborted) return; // Adapters that never hit the network (the mock) finish regardless
+        if (result) onResult(result);
+        else onFailure(symbol, describeFailure(null)); // null results are skipped symbols
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        console.error(`Failed to analyze ${symbol}:`, error);
+        onFailure(symbol, describeFailure(error));
+      })
+  ));
+}
+
+/**
+ * Runs a full scan: fetches the symbol list and the market-wide ticker snapshot once, applies the
+ * universe filters, then queues every symbol on the request scheduler, which paces the requests against
+ * the weight limit.
+ * @param context - The scan context.
+ * @param options.interval - The kline interval.
+ * @param options.universe - Universe settings (see universe.js).
+ * @param options.prioritySymbols - Symbols fetched first, e.g. the ones on screen.
+ * @param options.signal - AbortSignal that cancels the scan.
+ * @param callbacks.onStart - Called with `{ total, universeSize: { eligible, total } }` once the universe is known.
+ * @param callbacks.onResult - See scanSymbols.
+ * @param callbacks.onFailure - See scanSymbols.
+ * @returns The market snapshot, for retrying symbols later.
+ * @throws Error with a readable message when the symbol list or tickers can't be loaded.
+ */
+export async function runScan(context, { interval, universe, prioritySymbols, signal }, { onStart, onResult, onFailure }) {
+  const { exchange, fetchWithRetry } = context;
+  const request = (url) => fetchWithRetry(url, { priority: 2, signal });
+
+  let listed;
+  let market;
+  try {
+    [listed, market] = await Promise.all([exchange.listSymbols(request), exchange.fetchMarket(request)]);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`Error fetching the symbol list: ${describeFailure(error).message}`);
+  }
+  if (listed === null) {
+    throw new Error(`Failed to fetch the symbol list from ${exchange.label}, cannot proceed.`);
+  }
+  // Without tickers there is no 24h change to show
+  if (market === null) {
+    throw new Error(`Failed to fetch 24h tickers from ${exchange.label}, cannot proceed.`);
+  }
+
+  const symbols = filterUniverse(listed, market, universe);
+  onStart({ total: symbols.length, universeSize: { eligible: symbols.length, total: listed.length } });
+
+  const visibleSymbols = new Set(prioritySymbols);
+  await scanSymbols(context, symbols, {
+    interval,
+    market,
+    priority: (symbol) => (visibleSymbols.has(symbol) ? 1 : 0),
+    signal,
+  }, { onResult, onFailure });
+  return market;
+}
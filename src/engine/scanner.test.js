@@ -0,0 +1,77 @@
+import { createFetchWithRetry } from "./scanner.js";
+import { describeFailure } from "./scanStatus.js";
+
+const errorResponse = (status, statusText, body) => ({
+  ok: false,
+  status,
+  statusText,
+  headers: new Headers(),
+  text: async () => body,
+  json: async () => JSON.parse(body),
+});
+
+const createScheduler = (response) => ({ fetch: jest.fn(async () => response), pauseFor: jest.fn() });
+const okResponse = (data) => ({ ok: true, status: 200, headers: new Headers(), json: async () => data });
+
+describe('createFetchWithRetry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports a non-JSON error body as an HTTP error with the status', async () => {
+    const fetchWithRetry = createFetchWithRetry(createScheduler(errorResponse(500, 'Internal Server Error', '<html>Bad gateway</html>')));
+    const error = await fetchWithRetry('https://example.test/fapi/v1/klines', { retries: 1 }).catch((e) => e);
+    expect(error).toMatchObject({ name: 'ScanError', reason: 'http-error' });
+    expect(error.message).toBe('HTTP error! status: 500, message: Internal Server Error');
+    expect(describeFailure(error).reason).toBe('http-error');
+  });
+
+  test('uses the exchange message from a JSON error body', async () => {
+    const body = JSON.stringify({ code: -1100, msg: 'Illegal characters found in parameter.' });
+    const fetchWithRetry = createFetchWithRetry(createScheduler(errorResponse(400, 'Bad Request', body)));
+    await expect(fetchWithRetry('https://example.test/fapi/v1/klines', { retries: 1 })).rejects.toMatchObject({
+      reason: 'http-error',
+      message: 'HTTP error! status: 400, message: Illegal characters found in parameter.',
+    });
+  });
+
+  test('returns null for invalid symbols', async () => {
+    const body = JSON.stringify({ code: -1121, msg: 'Invalid symbol.' });
+    const fetchWithRetry = createFetchWithRetry(createScheduler(errorResponse(400, 'Bad Request', body)));
+    expect(await fetchWithRetry('https://example.test/fapi/v1/klines', { retries: 1 })).toBeNull();
+  });
+
+  test('removes the abort listener after each back-off', async () => {
+    const responses = [errorResponse(500, 'Internal Server Error', ''), errorResponse(500, 'Internal Server Error', ''), okResponse([1])];
+    const scheduler = { fetch: jest.fn(async () => responses.shift()), pauseFor: jest.fn() };
+    const controller = new AbortController();
+    const add = jest.spyOn(controller.signal, 'addEventListener');
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+
+    const data = await createFetchWithRetry(scheduler)('https://example.test/a', { retries: 3, delay: 1, signal: controller.signal });
+    expect(data).toEqual([1]);
+    expect(add).toHaveBeenCalledTimes(2);
+    expect(remove.mock.calls).toEqual(add.mock.calls.map(([type, listener]) => [type, listener]));
+  });
+
+  test('stops at once when the signal aborted before the back-off', async () => {
+    const controller = new AbortController();
+    const scheduler = {
+      fetch: jest.fn(async () => {
+        controller.abort();
+        return errorResponse(500, 'Internal Server Error', '');
+      }),
+      pauseFor: jest.fn(),
+    };
+    const started = Date.now();
+    await expect(createFetchWithRetry(scheduler)('https://example.test/a', { retries: 3, delay: 60000, signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(scheduler.fetch).toHaveBeenCalledTimes(1);
+  });
+});
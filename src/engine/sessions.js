@@ -0,0 +1,168 @@
+// --- Kline Intervals & Sessions ---
+// Intraday intervals use fixed-width sessions aligned to the epoch, like the klines themselves. Daily and
+// longer intervals use calendar sessions that open at a configurable wall-clock time in a timezone, so the
+// boundaries follow DST in zones that observe it.
+
+const MINUTE_MS = 60 * 1000;
+
+// Every USDⓈ-M futures kline interval, shortest first
+export const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+/**
+ * Formats an interval for display. Intervals are shown upper-case, so the monthly interval gets its own
+ * label to tell it apart from one minute.
+ * @param interval - A kline interval.
+ * @returns The display label.
+ */
+export const formatInterval = (interval) => (interval === '1M' ? '1MO' : interval.toUpperCase());
+
+// Width of the fixed (intraday) intervals; longer intervals use calendar sessions
+const FIXED_INTERVAL_MS = {
+  '1m': MINUTE_MS,
+  '3m': 3 * MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '30m': 30 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '2h': 2 * 60 * MINUTE_MS,
+  '4h': 4 * 60 * MINUTE_MS,
+  '6h': 6 * 60 * MINUTE_MS,
+  '8h': 8 * 60 * MINUTE_MS,
+  '12h': 12 * 60 * MINUTE_MS,
+};
+
+/**
+ * Returns the length of an interval. Months are counted as 30 days, so this is only exact for the
+ * fixed-width intervals.
+ * @param interval - A kline interval.
+ * @returns The interval length in milliseconds.
+ */
+export function getIntervalMs(interval) {
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+  return FIXED_INTERVAL_MS[interval] || { '1d': DAY_MS, '3d': 3 * DAY_MS, '1w': 7 * DAY_MS, '1M': 30 * DAY_MS }[interval];
+}
+
+// Calendar session used for each of the longer intervals
+const CALENDAR_SESSION = { '1d': 'day', '3d': 'week', '1w': 'week', '1M': 'month' };
+
+// The original 8:00 AM Philippine time session
+export const DEFAULT_SESSION_SETTINGS = { anchorTime: '08:00', timeZone: 'Asia/Manila' };
+
+/**
+ * Returns the IANA timezones the browser knows, falling back to a short list on older browsers.
+ * @returns An array of timezone names.
+ */
+export function getTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('timeZone');
+  return ['UTC', 'Asia/Manila', 'Asia/Singapore', 'Asia/Tokyo', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Chicago', 'America/Los_Angeles'];
+}
+
+const formatters = new Map();
+
+/**
+ * Reads the wall-clock date and time of an instant in a timezone.
+ * @param timestamp - Milliseconds since the epoch.
+ * @param timeZone - An IANA timezone name.
+ * @returns `{ year, month (0-based), day, hour, minute, second }`.
+ */
+const getWallTime = (timestamp, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(new Date(timestamp)).map((p) => [p.type, parseInt(p.value, 10)])
+  );
+  return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getOffset = (timestamp, timeZone) => {
+  const wall = getWallTime(timestamp, timeZone);
+  const wallAsUTC = Date.UTC(wall.year, wall.month, wall.day, wall.hour, wall.minute, wall.second);
+  return wallAsUTC - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock time in a timezone to a timestamp. Out-of-range days and months roll over as with
+ * Date.UTC, so callers can step by calendar days. Times skipped by a DST change resolve to the later offset.
+ * @returns Milliseconds since the epoch.
+ */
+const zonedTimeToUTC = (year, month, day, hour, minute, timeZone) => {
+  const wallAsUTC = Date.UTC(year, month, day, hour, minute);
+  const guess = wallAsUTC - getOffset(wallAsUTC, timeZone);
+  // The offset at the guess may differ from the offset at the wall time when a DST change lies in between
+  return wallAsUTC - getOffset(guess, timeZone);
+};
+
+/**
+ * Checks session settings.
+ * @param settings - `{ anchorTime: 'HH:MM', timeZone }`.
+ * @returns An error message, or null if the settings are valid.
+ */
+export function validateSessionSettings(settings) {
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.anchorTime)) return 'Session start must be a time like 08:00.';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: settings.timeZone });
+  } catch (error) {
+    return `Unknown timezone ${settings.timeZone}.`;
+  }
+  return null;
+}
+
+/**
+ * Calculates the current and previous session for an interval.
+ * Intraday intervals use fixed windows the width of the interval; 1d uses a daily session, 3d and 1w a
+ * weekly session starting on Monday, and 1M a monthly session starting on the 1st, each opening at
+ * `anchorTime` in `timeZone`. The previous session is always the one right before the current one.
+ * @param interval - A kline interval from KLINE_INTERVALS.
+ * @param settings - Session anchor time and timezone.
+ * @param now - The current time in milliseconds.
+ * @returns `{ sessionStart, sessionEnd, prevSessionStart, prevSessionEnd }`, with inclusive end times.
+ */
+export function getSessions(interval, settings = DEFAULT_SESSION_SETTINGS, now = Date.now()) {
+  const fixedMs = FIXED_INTERVAL_MS[interval];
+  if (fixedMs) {
+    const sessionStart = Math.floor(now / fixedMs) * fixedMs;
+    return {
+      sessionStart,
+      sessionEnd: sessionStart + fixedMs - 1,
+      prevSessionStart: sessionStart - fixedMs,
+      prevSessionEnd: sessionStart - 1,
+    };
+  }
+
+  const [hour, minute] = settings.anchorTime.split(':').map(Number);
+  const { year, month, day } = getWallTime(now, settings.timeZone);
+  const at = (y, m, d) => zonedTimeToUTC(y, m, d, hour, minute, settings.timeZone);
+
+  let start, prev, next;
+  switch (CALENDAR_SESSION[interval] || 'day') {
+    case 'week': {
+      const sinceMonday = (new Date(Date.UTC(year, month, day)).getUTCDay() + 6) % 7;
+      let startDay = day - sinceMonday;
+      if (at(year, month, startDay) > now) startDay -= 7;
+      [prev, start, next] = [at(year, month, startDay - 7), at(year, month, startDay), at(year, month, startDay + 7)];
+      break;
+    }
+    case 'month': {
+      const startMonth = at(year, month, 1) > now ? month - 1 : month;
+      [prev, start, next] = [at(year, startMonth - 1, 1), at(year, startMonth, 1), at(year, startMonth + 1, 1)];
+      break;
+    }
+    default: {
+      const startDay = at(year, month, day) > now ? day - 1 : day;
+      [prev, start, next] = [at(year, month, startDay - 1), at(year, month, startDay), at(year, month, startDay + 1)];
+    }
+  }
+
+  return { sessionStart: start, sessionEnd: next - 1, prevSessionStart: prev, prevSessionEnd: start - 1 };
+}
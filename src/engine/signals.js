@@ -0,0 +1,116 @@
+// --- Signal Functions ---
+/**
+ * Calculates the recent RSI difference (pump/dump strength) over a lookback period.
+ * @param rsi - The array of RSI values.
+ * @param lookback - The number of recent RSI values to consider.
+ * @returns An object containing recent high/low RSI, pump/dump strength, direction, and overall strength, or null if data is insufficient.
+ */
+export function getRecentRSIDiff(rsi, lookback = 14) {
+  if (rsi.length < lookback) return null;
+
+  const recentRSI = rsi.slice(-lookback);
+  let recentHigh = -Infinity;
+  let recentLow = Infinity; // Correctly declared here
+
+  for (const value of recentRSI) {
+    if (!isNaN(value)) {
+      if (value > recentHigh) recentHigh = value;
+      if (value < recentLow) recentLow = value; // Fixed: Changed 'low' to 'recentLow'
+    }
+  }
+
+  const pumpStrength = recentHigh - recentLow;
+  const dumpStrength = Math.abs(recentLow - recentHigh);
+
+  const startRSI = recentRSI[0];
+  const endRSI = recentRSI[recentRSI.length - 1];
+  const direction = endRSI > startRSI ? 'pump' : endRSI < startRSI ? 'dump' : 'neutral';
+  const strength = Math.abs(endRSI - startRSI);
+
+  return {
+    recentHigh,
+    recentLow,
+    pumpStrength,
+    dumpStrength,
+    direction,
+    strength
+  };
+}
+
+/**
+ * Default indicator periods and zone thresholds used by the analysis and getSignal.
+ * `rsi14` on signal objects holds the RSI series computed with `rsiPeriod`, whatever its value.
+ */
+export const DEFAULT_SIGNAL_RULES = {
+  rsiPeriod: 14,
+  rsiLookback: 14,
+  maxZoneMin: 30,
+  balanceZoneMin: 21,
+  balanceZoneMax: 26,
+  lowestZoneMin: 1,
+  lowestZoneMax: 10,
+  emaFast: 14, // Only drawn on the symbol chart; the trend uses emaMid and emaSlow
+  emaMid: 70,
+  emaSlow: 200,
+  breakoutLookback: 20,
+  nearCrossoverPercent: 1,
+  pivotBars: 3, // Bars on each side of a swing high or low, for divergences
+  divergenceLookback: 40, // Most bars between the two swings of a divergence, and the most it can age
+};
+
+/**
+ * Determines a trading signal based on RSI pump/dump zones.
+ * @param s - An object containing signal data, specifically `rsi14`.
+ * @param rules - Lookback and zone thresholds to apply (defaults to DEFAULT_SIGNAL_RULES).
+ * @returns A string representing the detected signal (e.g., 'MAX ZONE PUMP', 'NO STRONG SIGNAL').
+ */
+export const getSignal = (s, rules = DEFAULT_SIGNAL_RULES) => {
+  const pumpDump = s.rsi14 ? getRecentRSIDiff(s.rsi14, rules.rsiLookback) : null;
+  if (!pumpDump) return 'NO DATA';
+
+  const direction = pumpDump.direction;
+  const pump = pumpDump.pumpStrength;
+  const dump = pumpDump.dumpStrength;
+
+  // Corrected the 'inRange' function logic as it was `val >= min && val >= max` instead of `val >= min && val <= max`
+  const inRange = (val, min, max) =>
+    val !== undefined && val >= min && val <= max;
+
+  const isAboveMax = (val) =>
+    val !== undefined && val >= rules.maxZoneMin;
+
+  const pumpAboveMax = isAboveMax(pump);
+  const dumpAboveMax = isAboveMax(dump);
+
+  const pumpInBalance = inRange(pump, rules.balanceZoneMin, rules.balanceZoneMax);
+  const dumpInBalance = inRange(dump, rules.balanceZoneMin, rules.balanceZoneMax);
+
+  const pumpInLowest = inRange(pump, rules.lowestZoneMin, rules.lowestZoneMax);
+  const dumpInLowest = inRange(dump, rules.lowestZoneMin, rules.lowestZoneMax);
+
+  // ✅ MAX ZONE - Separate pump/dump
+  if (direction === 'pump' && pumpAboveMax) return 'MAX ZONE PUMP';
+  if (direction === 'dump' && dumpAboveMax) return 'MAX ZONE DUMP';
+
+  // ✅ BALANCE ZONE - Separate pump/dump
+  if (pumpInBalance && direction === 'pump') return 'BALANCE ZONE PUMP';
+  if (dumpInBalance && direction === 'dump') return 'BALANCE ZONE DUMP';
+
+  // ✅ LOWEST ZONE - Separate pump/dump
+  if (pumpInLowest && direction === 'pump') return 'LOWEST ZONE PUMP';
+  if (dumpInLowest && direction === 'dump') return 'LOWEST ZONE DUMP';
+
+  return 'NO STRONG SIGNAL';
+};
+
+// Every label getSignal can return, in the order the zone board lists them
+export const ZONES = [
+  'MAX ZONE PUMP',
+  'MAX ZONE DUMP',
+  'BALANCE ZONE PUMP',
+  'BALANCE ZONE DUMP',
+  'LOWEST ZONE PUMP',
+  'LOWEST ZONE DUMP',
+  'NO STRONG SIGNAL',
+  'NO DATA',
+];
@@ -0,0 +1,71 @@
+import { getRecentRSIDiff, getSignal } from "./signals.js";
+
+// --- Signal Snapshot Export ---
+
+const CSV_COLUMNS = [
+  'symbol',
+  'zone',
+  'price',
+  'priceChangePercent',
+  'rsi',
+  'rsiPumpStrength',
+  'rsiDumpStrength',
+  'volumeColor',
+  'trend',
+  'divergence',
+  'divergenceStrength',
+];
+
+/**
+ * Builds an export snapshot of a signal set.
+ * @param signals - The signal objects to export.
+ * @param rules - The rules the zones and RSI stats were evaluated with.
+ * @param timeframe - The timeframe the signals belong to.
+ * @param exportedAt - Export time in milliseconds.
+ * @returns `{ exportedAt, timeframe, rules, signals }`, where each signal is a flat row of CSV_COLUMNS.
+ */
+export function buildSnapshot(signals, rules, timeframe, exportedAt = Date.now()) {
+  return {
+    exportedAt: new Date(exportedAt).toISOString(),
+    timeframe,
+    rules,
+    signals: signals.map((s) => {
+      const pumpDump = getRecentRSIDiff(s.rsi14, rules.rsiLookback);
+      return {
+        symbol: s.symbol,
+        zone: getSignal(s, rules),
+        price: s.closes.at(-1) ?? null,
+        priceChangePercent: Number.isFinite(s.priceChangePercent) ? s.priceChangePercent : null,
+        rsi: s.rsi14.at(-1) ?? null,
+        rsiPumpStrength: pumpDump?.pumpStrength ?? null,
+        rsiDumpStrength: pumpDump?.dumpStrength ?? null,
+        volumeColor: s.highestVolumeColorPrev,
+        trend: s.mainTrend.trend,
+        divergence: s.divergence?.type ?? null,
+        divergenceStrength: s.divergence?.strength ?? null,
+      };
+    }),
+  };
+}
+
+// Quotes a CSV field when it contains a delimiter, quote or newline
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes a snapshot as CSV. The timestamp, timeframe and rules are written as leading `#` comment lines.
+ * @param snapshot - A snapshot from buildSnapshot.
+ * @returns The CSV text.
+ */
+export function snapshotToCSV(snapshot) {
+  const header = [
+    `# exportedAt: ${snapshot.exportedAt}`,
+    `# timeframe: ${snapshot.timeframe}`,
+    `# rules: ${Object.entries(snapshot.rules).map(([key, value]) => `${key}=${value}`).join('; ')}`,
+    CSV_COLUMNS.join(','),
+  ];
+  const rows = snapshot.signals.map((row) => CSV_COLUMNS.map((column) => csvField(row[column])).join(','));
+  return [...header, ...rows].join('\n');
+}
@@ -0,0 +1,123 @@
+// --- Trend & Breakout Detection ---
+// Pure functions over candle arrays (oldest first) and EMA series aligned with them.
+
+const DOJI_BODY_RATIO = 0.1; // Body no larger than 10% of the candle's range
+
+/**
+ * Finds the most recent bar where the fast EMA crossed the slow EMA.
+ * @param fast - The fast EMA series (e.g., EMA70).
+ * @param slow - The slow EMA series (e.g., EMA200).
+ * @returns The index of the first bar on the new side of the cross, or -1 if no crossover is in the data.
+ */
+export function findLastCrossover(fast, slow) {
+  for (let i = fast.length - 1; i > 0; i--) {
+    if ([fast[i], slow[i], fast[i - 1], slow[i - 1]].some((v) => !Number.isFinite(v))) return -1;
+    const above = fast[i] >= slow[i];
+    const wasAbove = fast[i - 1] >= slow[i - 1];
+    if (above !== wasAbove) return i;
+  }
+  return -1;
+}
+
+/**
+ * Estimates the price where two EMAs crossed, interpolating linearly between the bar before the
+ * crossover and the crossover bar.
+ * @param fast - The fast EMA series.
+ * @param slow - The slow EMA series.
+ * @param index - The crossover bar, as returned by findLastCrossover.
+ * @returns The crossover level.
+ */
+export function getCrossoverLevel(fast, slow, index) {
+  const gapBefore = fast[index - 1] - slow[index - 1];
+  const gapAfter = fast[index] - slow[index];
+  // The gaps have opposite signs (or the first is 0), so the fraction is in [0, 1]
+  const fraction = gapBefore / (gapBefore - gapAfter);
+  return fast[index - 1] + fraction * (fast[index] - fast[index - 1]);
+}
+
+/**
+ * Finds the most recent close beyond the prior range: above the highest high (resistance)
+ * or below the lowest low (support) of the `lookback` bars before it.
+ * @param candles - The candle array, oldest first.
+ * @param lookback - Number of prior bars that define support and resistance.
+ * @param maxBarsAgo - How far back from the last bar to search.
+ * @returns `{ direction, level, price, index, timestamp, barsAgo }` or null if there was no breakout.
+ */
+export function findLastBreakout(candles, lookback, maxBarsAgo = lookback) {
+  const last = candles.length - 1;
+  for (let i = last; i >= Math.max(lookback, last - maxBarsAgo); i--) {
+    const prior = candles.slice(i - lookback, i);
+    const resistance = Math.max(...prior.map((c) => c.high));
+    const support = Math.min(...prior.map((c) => c.low));
+    const { close, timestamp } = candles[i];
+
+    if (close > resistance || close < support) {
+      return {
+        direction: close > resistance ? 'above resistance' : 'below support',
+        level: close > resistance ? resistance : support,
+        price: close,
+        index: i,
+        timestamp,
+        barsAgo: last - i,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a candle is a doji (open and close nearly equal relative to its range).
+ * @param candle - A candle with `open`, `high`, `low` and `close`.
+ * @returns True if the body is at most DOJI_BODY_RATIO of the high-low range.
+ */
+export function isDoji(candle) {
+  const range = candle.high - candle.low;
+  return range > 0 && Math.abs(candle.close - candle.open) <= range * DOJI_BODY_RATIO;
+}
+
+/**
+ * Describes the main trend from the EMA mid/slow crossover and recent breakouts.
+ * @param candles - The candle array, oldest first.
+ * @param emaMid - The EMA70 series (or the configured mid EMA).
+ * @param emaSlow - The EMA200 series (or the configured slow EMA).
+ * @param rules - Signal rules supplying `breakoutLookback` and `nearCrossoverPercent`.
+ * @returns The mainTrend object: trend, support/resistance type, crossover bar and the level the EMAs
+ *          crossed at, breakout, whether price is near that level, and whether a doji printed after the breakout.
+ */
+export function detectMainTrend(candles, emaMid, emaSlow, rules) {
+  const lastClose = candles.at(-1)?.close;
+  const lastMid = emaMid.at(-1);
+  const lastSlow = emaSlow.at(-1);
+
+  if (!Number.isFinite(lastMid) || !Number.isFinite(lastSlow)) {
+    return {
+      trend: null,
+      type: null,
+      crossoverPrice: null,
+      crossoverTimestamp: null,
+      barsSinceCrossover: null,
+      breakout: null,
+      isNear: false,
+      isDojiAfterBreakout: false,
+    };
+  }
+
+  const bullish = lastMid >= lastSlow;
+  const crossoverIndex = findLastCrossover(emaMid, emaSlow);
+  const crossoverPrice = crossoverIndex === -1 ? null : getCrossoverLevel(emaMid, emaSlow, crossoverIndex);
+
+  const breakout = findLastBreakout(candles, rules.breakoutLookback);
+  const isDojiAfterBreakout = breakout !== null && candles.slice(breakout.index + 1).some(isDoji);
+
+  return {
+    trend: bullish ? 'bullish' : 'bearish',
+    type: bullish ? 'support' : 'resistance', // The crossover level acts as support in an uptrend
+    crossoverPrice,
+    crossoverTimestamp: crossoverIndex === -1 ? null : candles[crossoverIndex].timestamp,
+    barsSinceCrossover: crossoverIndex === -1 ? null : candles.length - 1 - crossoverIndex,
+    breakout,
+    isNear: crossoverPrice !== null
+      && (Math.abs(lastClose - crossoverPrice) / crossoverPrice) * 100 <= rules.nearCrossoverPercent,
+    isDojiAfterBreakout,
+  };
+}
@@ -0,0 +1,36 @@
+import { detectMainTrend, findLastCrossover, getCrossoverLevel } from "./trend.js";
+import { DEFAULT_SIGNAL_RULES } from "./signals.js";
+
+const candlesFor = (closes) => closes.map((close, i) => ({ timestamp: i * 1000, open: close, high: close + 1, low: close - 1, close, volume: 1 }));
+
+describe('getCrossoverLevel', () => {
+  test('interpolates where the EMAs crossed between two bars', () => {
+    // Gap of -2 then +2: the lines meet halfway, at (10 + 14) / 2
+    const fast = [8, 10, 14];
+    const slow = [12, 12, 12];
+    expect(findLastCrossover(fast, slow)).toBe(2);
+    expect(getCrossoverLevel(fast, slow, 2)).toBe(12);
+  });
+
+  test('returns the earlier value when the EMAs touched on the bar before', () => {
+    expect(getCrossoverLevel([12, 11], [12, 13], 1)).toBe(12);
+  });
+});
+
+describe('detectMainTrend', () => {
+  test('reports the crossover level rather than the close of the crossover bar', () => {
+    const closes = [100, 100, 100, 200];
+    const emaMid = [9, 9, 9, 13];
+    const emaSlow = [10, 10, 10, 11];
+    const trend = detectMainTrend(candlesFor(closes), emaMid, emaSlow, DEFAULT_SIGNAL_RULES);
+    // Gap of -1 then +2: a third of the way from 9 to 13
+    expect(trend.crossoverPrice).toBeCloseTo(9 + 4 / 3);
+    expect(trend).toMatchObject({ trend: 'bullish', type: 'support', crossoverTimestamp: 3000, barsSinceCrossover: 0, isNear: false });
+  });
+
+  test('is near the crossover when the last close is within the configured distance of the level', () => {
+    const trend = detectMainTrend(candlesFor([10, 10, 10.05]), [9, 9, 11], [10, 10, 10], DEFAULT_SIGNAL_RULES);
+    expect(trend.crossoverPrice).toBe(10);
+    expect(trend.isNear).toBe(true);
+  });
+});
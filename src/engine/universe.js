@@ -0,0 +1,78 @@
+// --- Tradable Universe ---
+// Decides which listed symbols a scan covers, using the contract metadata and the 24h quote volume
+// from the market snapshot. Metadata follows Binance's exchangeInfo fields; adapters for other markets
+// leave fields they don't have null (e.g. contractType on spot), and null fields pass their filter.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Perpetuals carry a far-future deliveryDate; a nearer one means a delisting has been scheduled
+const DELISTING_HORIZON_MS = 365 * DAY_MS;
+
+export const STATUS_OPTIONS = ['TRADING', 'PENDING_TRADING', 'SETTLING'];
+export const CONTRACT_TYPE_OPTIONS = ['PERPETUAL', 'CURRENT_QUARTER', 'NEXT_QUARTER'];
+export const QUOTE_ASSET_OPTIONS = ['USDT', 'USDC'];
+
+export const DEFAULT_UNIVERSE_SETTINGS = {
+  statuses: ['TRADING'],
+  contractTypes: ['PERPETUAL'],
+  quoteAssets: ['USDT'],
+  excludeDelisting: true,
+  minListingAgeDays: 0,
+  minQuoteVolume: 0, // 24h quote volume in the quote asset
+  include: [], // Always scanned if listed, regardless of the filters above
+  exclude: [], // Never scanned
+};
+
+/**
+ * Filters listed symbols down to the tradable universe.
+ * @param exchangeSymbols - Symbol metadata from the exchange adapter's `listSymbols`.
+ * @param market - Map of symbol -> market entry from the bulk ticker snapshot.
+ * @param settings - Universe settings (see DEFAULT_UNIVERSE_SETTINGS).
+ * @param now - The current time in milliseconds, for the listing age and delisting checks.
+ * @returns The symbol names to scan. Symbols without a ticker are always left out, since they can't be analyzed.
+ */
+export function filterUniverse(exchangeSymbols, market, settings, now = Date.now()) {
+  const include = new Set(settings.include);
+  const exclude = new Set(settings.exclude);
+
+  return exchangeSymbols
+    .filter((info) => {
+      if (exclude.has(info.symbol) || !market.has(info.symbol)) return false;
+      if (include.has(info.symbol)) return true;
+      if (!settings.statuses.includes(info.status)) return false;
+      if (info.contractType && !settings.contractTypes.includes(info.contractType)) return false;
+      if (!settings.quoteAssets.includes(info.quoteAsset)) return false;
+      if (settings.excludeDelisting && info.contractType === 'PERPETUAL' && info.deliveryDate && info.deliveryDate < now + DELISTING_HORIZON_MS) {
+        return false;
+      }
+      if (info.onboardDate > now - settings.minListingAgeDays * DAY_MS) return false;
+      return !(market.get(info.symbol).quoteVolume < settings.minQuoteVolume);
+    })
+    .map((info) => info.symbol);
+}
+
+/**
+ * Parses a comma or whitespace separated symbol list as typed by the user.
+ * @param text - The raw input, e.g. "btcusdt, ETHUSDT".
+ * @returns An array of upper-cased, de-duplicated symbols.
+ */
+export function parseSymbolList(text) {
+  return [...new Set(text.split(/[\s,]+/).map((s) => s.trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Checks universe settings for values the filter can't work with.
+ * @param settings - The settings to validate.
+ * @returns An error message, or null if the settings are valid.
+ */
+export function validateUniverseSettings(settings) {
+  if (settings.statuses.length === 0) return 'Select at least one status.';
+  if (settings.contractTypes.length === 0) return 'Select at least one contract type.';
+  if (settings.quoteAssets.length === 0) return 'Select at least one quote asset.';
+  if (!Number.isFinite(settings.minListingAgeDays) || settings.minListingAgeDays < 0) {
+    return 'Minimum listing age must be zero or more days.';
+  }
+  if (!Number.isFinite(settings.minQuoteVolume) || settings.minQuoteVolume < 0) {
+    return 'Minimum quote volume must be zero or more.';
+  }
+  return null;
+}
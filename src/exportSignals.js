@@ -0,0 +1,17 @@
+// --- Signal Snapshot Export ---
+// Snapshots are built by engine/snapshot.js, which the CLI shares; this only saves them from the browser.
+
+/**
+ * Starts a browser download of some text.
+ * @param filename - The suggested file name.
+ * @param content - The file contents.
+ * @param type - The MIME type.
+ */
+export function downloadText(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,166 @@
+// --- Binance Futures Kline Stream ---
+// Keeps one combined-stream connection open and (re)subscribes `<symbol>@kline_<interval>`
+// streams on it. Updates are buffered per symbol and flushed in batches so a busy market
+// doesn't trigger a re-render for every tick.
+
+const DEFAULT_URL = 'wss://fstream.binance.com/stream';
+const MAX_STREAMS_PER_CONNECTION = 1024; // Binance futures connection limit
+const PARAMS_PER_MESSAGE = 200; // Keep SUBSCRIBE frames small; Binance allows 10 messages/s
+
+/**
+ * Converts a kline payload (`k` field of a kline event) into the candle shape used by the app.
+ * @param k - The raw kline object from the WebSocket event.
+ * @returns A candle object with numeric OHLCV values.
+ */
+export function parseStreamKline(k) {
+  return {
+    timestamp: k.t,
+    open: +k.o,
+    high: +k.h,
+    low: +k.l,
+    close: +k.c,
+    volume: +k.v,
+  };
+}
+
+/**
+ * Merges a streamed candle into an existing candle series.
+ * Replaces the last candle when it is the same bar, appends (dropping the oldest) when a new bar opens.
+ * @param candles - The existing candle array, oldest first.
+ * @param candle - The streamed candle.
+ * @returns A new candle array, or the original array if the candle is older than the series.
+ */
+export function mergeCandle(candles, candle) {
+  const last = candles[candles.length - 1];
+  if (!last || candle.timestamp > last.timestamp) {
+    return [...candles.slice(candles.length > 0 ? 1 : 0), candle];
+  }
+  if (candle.timestamp === last.timestamp) {
+    return [...candles.slice(0, -1), candle];
+  }
+  return candles;
+}
+
+/**
+ * Creates a kline stream client.
+ * @param options.onKlines - Called with a Map of symbol -> latest candle and the interval on every flush.
+ * @param options.onStatus - Called with 'connecting', 'open', 'reconnecting' or 'failed'.
+ * @param options.url - Combined stream endpoint; override to point at a local WebSocket stand-in.
+ * @param options.WebSocketImpl - WebSocket constructor; defaults to the global WebSocket.
+ * @param options.flushMs - How often buffered updates are delivered.
+ * @param options.maxRetries - Reconnect attempts before giving up with 'failed'.
+ * @param options.retryDelay - Initial reconnect delay in milliseconds, doubled on every attempt.
+ * @returns An object with `subscribe(symbols, interval)` and `close()`.
+ */
+export function createKlineStream({
+  onKlines,
+  onStatus = () => {},
+  url = DEFAULT_URL,
+  WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : undefined,
+  flushMs = 1000,
+  maxRetries = 5,
+  retryDelay = 1000,
+}) {
+  let socket = null;
+  let closedByUser = false;
+  let attempt = 0;
+  let requestId = 0;
+  let reconnectTimer = null;
+  let currentInterval = null;
+  let activeStreams = new Set();
+  const pending = new Map();
+
+  const flushTimer = setInterval(() => {
+    if (pending.size === 0) return;
+    const batch = new Map(pending);
+    pending.clear();
+    onKlines(batch, currentInterval);
+  }, flushMs);
+
+  const send = (method, params) => {
+    if (!socket || socket.readyState !== 1 || params.length === 0) return; // 1 = OPEN
+    for (let i = 0; i < params.length; i += PARAMS_PER_MESSAGE) {
+      requestId += 1;
+      socket.send(JSON.stringify({ method, params: params.slice(i, i + PARAMS_PER_MESSAGE), id: requestId }));
+    }
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('Ignoring malformed stream message:', event.data);
+      return;
+    }
+    // Combined streams wrap the payload as { stream, data }; subscription acks only carry { result, id }
+    const data = message.data;
+    if (!data || data.e !== 'kline' || data.k.i !== currentInterval) return;
+    pending.set(data.s, parseStreamKline(data.k));
+  };
+
+  const connect = () => {
+    if (!WebSocketImpl) {
+      onStatus('failed');
+      return;
+    }
+    onStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+    socket = new WebSocketImpl(url);
+
+    socket.onopen = () => {
+      attempt = 0;
+      onStatus('open');
+      // Subscriptions don't survive a reconnect, so replay them
+      send('SUBSCRIBE', [...activeStreams]);
+    };
+    socket.onmessage = handleMessage;
+    socket.onerror = (error) => {
+      console.warn('Kline stream error:', error);
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (closedByUser) return;
+      if (attempt >= maxRetries) {
+        console.error(`Kline stream failed after ${maxRetries} reconnect attempts.`);
+        onStatus('failed');
+        return;
+      }
+      const waitTime = retryDelay * Math.pow(2, attempt);
+      attempt += 1;
+      console.warn(`Kline stream closed. Reconnecting in ${waitTime / 1000}s...`);
+      reconnectTimer = setTimeout(connect, waitTime);
+    };
+  };
+
+  /**
+   * Replaces the current subscriptions with kline streams for the given symbols and interval.
+   * Only the difference is sent, so calling this with the same arguments is cheap.
+   * @param symbols - Symbols to stream (e.g., ["BTCUSDT"]). Pass an empty array to pause updates.
+   * @param interval - The kline interval (e.g., "15m", "4h", "1d").
+   */
+  const subscribe = (symbols, interval) => {
+    if (symbols.length > MAX_STREAMS_PER_CONNECTION) {
+      console.warn(`Streaming only the first ${MAX_STREAMS_PER_CONNECTION} of ${symbols.length} symbols.`);
+    }
+    const next = new Set(
+      symbols.slice(0, MAX_STREAMS_PER_CONNECTION).map((s) => `${s.toLowerCase()}@kline_${interval}`)
+    );
+    send('UNSUBSCRIBE', [...activeStreams].filter((s) => !next.has(s)));
+    send('SUBSCRIBE', [...next].filter((s) => !activeStreams.has(s)));
+    if (interval !== currentInterval) pending.clear();
+    activeStreams = next;
+    currentInterval = interval;
+  };
+
+  const close = () => {
+    closedByUser = true;
+    clearInterval(flushTimer);
+    clearTimeout(reconnectTimer);
+    pending.clear();
+    if (socket) socket.close();
+  };
+
+  connect();
+
+  return { subscribe, close };
+}
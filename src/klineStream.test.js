@@ -0,0 +1,212 @@
+import { createKlineStream, mergeCandle, parseStreamKline } from "./klineStream";
+
+// Local stand-in for the browser WebSocket: records every connection and what was sent on it
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.closed = false;
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(frame) {
+    this.sent.push(JSON.parse(frame));
+  }
+
+  close() {
+    this.closed = true;
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  // --- Test helpers ---
+  open() {
+    this.readyState = 1;
+    this.onopen?.();
+  }
+
+  drop() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  emit(message) {
+    this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+  }
+}
+
+const klineEvent = (symbol, interval, t, close, closed = false) => ({
+  stream: `${symbol.toLowerCase()}@kline_${interval}`,
+  data: { e: 'kline', s: symbol, k: { t, i: interval, o: '1', h: '2', l: '0.5', c: String(close), v: '10', x: closed } },
+});
+
+const latestSocket = () => FakeWebSocket.instances.at(-1);
+
+let stream;
+let onKlines;
+let onStatus;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  FakeWebSocket.instances = [];
+  onKlines = jest.fn();
+  onStatus = jest.fn();
+  stream = createKlineStream({
+    onKlines,
+    onStatus,
+    url: 'ws://localhost/stream',
+    WebSocketImpl: FakeWebSocket,
+    flushMs: 100,
+    maxRetries: 2,
+    retryDelay: 1000,
+  });
+});
+
+afterEach(() => {
+  stream.close();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('parseStreamKline', () => {
+  test('converts the string fields to numbers', () => {
+    expect(parseStreamKline(klineEvent('BTCUSDT', '1h', 1000, 42.5).data.k)).toEqual({
+      timestamp: 1000, open: 1, high: 2, low: 0.5, close: 42.5, volume: 10,
+    });
+  });
+});
+
+describe('mergeCandle', () => {
+  const candles = [{ timestamp: 1, close: 1 }, { timestamp: 2, close: 2 }];
+
+  test('replaces the forming bar', () => {
+    expect(mergeCandle(candles, { timestamp: 2, close: 3 })).toEqual([{ timestamp: 1, close: 1 }, { timestamp: 2, close: 3 }]);
+  });
+
+  test('appends a new bar and drops the oldest', () => {
+    expect(mergeCandle(candles, { timestamp: 3, close: 4 })).toEqual([{ timestamp: 2, close: 2 }, { timestamp: 3, close: 4 }]);
+  });
+
+  test('ignores candles older than the series', () => {
+    expect(mergeCandle(candles, { timestamp: 0, close: 0 })).toBe(candles);
+  });
+});
+
+describe('createKlineStream', () => {
+  test('subscribes on open and sends only the difference on resubscribe', () => {
+    expect(latestSocket().url).toBe('ws://localhost/stream');
+    expect(onStatus).toHaveBeenLastCalledWith('connecting');
+
+    stream.subscribe(['BTCUSDT', 'ETHUSDT'], '1h');
+    latestSocket().open();
+    expect(onStatus).toHaveBeenLastCalledWith('open');
+    expect(latestSocket().sent).toEqual([{ method: 'SUBSCRIBE', params: ['btcusdt@kline_1h', 'ethusdt@kline_1h'], id: 1 }]);
+
+    stream.subscribe(['ETHUSDT', 'SOLUSDT'], '1h');
+    expect(latestSocket().sent.slice(1)).toEqual([
+      { method: 'UNSUBSCRIBE', params: ['btcusdt@kline_1h'], id: 2 },
+      { method: 'SUBSCRIBE', params: ['solusdt@kline_1h'], id: 3 },
+    ]);
+  });
+
+  test('delivers the latest update per symbol in batches', () => {
+    stream.subscribe(['BTCUSDT'], '1h');
+    latestSocket().open();
+    latestSocket().emit(klineEvent('BTCUSDT', '1h', 1000, 10));
+    latestSocket().emit(klineEvent('BTCUSDT', '1h', 1000, 11));
+    expect(onKlines).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    expect(onKlines).toHaveBeenCalledTimes(1);
+    const [batch, interval] = onKlines.mock.calls[0];
+    expect(interval).toBe('1h');
+    expect(batch.get('BTCUSDT').close).toBe(11);
+
+    // Nothing new, nothing delivered
+    jest.advanceTimersByTime(100);
+    expect(onKlines).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes on the closing update of a bar and the first update of the next', () => {
+    stream.subscribe(['BTCUSDT'], '1h');
+    latestSocket().open();
+    latestSocket().emit(klineEvent('BTCUSDT', '1h', 1000, 12, true));
+    jest.advanceTimersByTime(100);
+    latestSocket().emit(klineEvent('BTCUSDT', '1h', 2000, 13));
+    jest.advanceTimersByTime(100);
+
+    const [closedBar, nextBar] = onKlines.mock.calls.map(([batch]) => batch.get('BTCUSDT'));
+    expect(closedBar).toMatchObject({ timestamp: 1000, close: 12 });
+    expect(nextBar).toMatchObject({ timestamp: 2000, close: 13 });
+    const merged = [closedBar, nextBar].reduce(mergeCandle, [{ timestamp: 0, close: 1 }, { timestamp: 1000, close: 11 }]);
+    expect(merged).toEqual([closedBar, nextBar]);
+  });
+
+  test('ignores acks, malformed frames and other intervals', () => {
+    stream.subscribe(['BTCUSDT'], '1h');
+    latestSocket().open();
+    latestSocket().emit({ result: null, id: 1 });
+    latestSocket().emit('not json');
+    latestSocket().emit(klineEvent('BTCUSDT', '4h', 1000, 10));
+    jest.advanceTimersByTime(100);
+    expect(onKlines).not.toHaveBeenCalled();
+  });
+
+  test('reconnects with a doubling delay and replays the subscriptions', () => {
+    stream.subscribe(['BTCUSDT'], '1h');
+    latestSocket().open();
+
+    latestSocket().drop();
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(999);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    expect(onStatus).toHaveBeenLastCalledWith('reconnecting');
+
+    // A second drop before opening waits twice as long
+    latestSocket().drop();
+    jest.advanceTimersByTime(1999);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    latestSocket().open();
+    expect(latestSocket().sent).toEqual([{ method: 'SUBSCRIBE', params: ['btcusdt@kline_1h'], id: 2 }]);
+  });
+
+  test('gives up after maxRetries reconnect attempts', () => {
+    latestSocket().drop();
+    jest.advanceTimersByTime(1000);
+    latestSocket().drop();
+    jest.advanceTimersByTime(2000);
+    latestSocket().drop();
+    expect(onStatus).toHaveBeenLastCalledWith('failed');
+    jest.advanceTimersByTime(10000);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+  });
+
+  test('unsubscribes everything for an empty symbol list', () => {
+    stream.subscribe(['BTCUSDT'], '1h');
+    latestSocket().open();
+    stream.subscribe([], '1h');
+    expect(latestSocket().sent.at(-1)).toEqual({ method: 'UNSUBSCRIBE', params: ['btcusdt@kline_1h'], id: 2 });
+  });
+
+  test('close stops flushing and does not reconnect', () => {
+    stream.subscribe(['BTCUSDT'], '1h');
+    latestSocket().open();
+    latestSocket().emit(klineEvent('BTCUSDT', '1h', 1000, 10));
+    stream.close();
+
+    expect(latestSocket().closed).toBe(true);
+    jest.advanceTimersByTime(10000);
+    expect(onKlines).not.toHaveBeenCalled();
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+});
@@ -0,0 +1,235 @@
+import { readStorage, writeStorage } from "./storage";
+
+// --- Paper Trading ---
+// Simulated positions opened by hand from a signal row or automatically when a symbol enters a MAX zone.
+// Each position puts up a fixed margin at a given leverage; stop-loss and take-profit are price moves
+// from the entry. Positions are marked to the latest close the scan or stream delivered, so exits happen
+// at that close rather than exactly at the stop or target. A loss can't exceed the margin: the position
+// is liquidated first.
+
+const SETTINGS_STORAGE_KEY = 'paperSettings';
+const ACCOUNT_STORAGE_KEY = 'paperAccount';
+const MAX_TRADES = 500; // Journal entries kept
+const MAX_EQUITY_POINTS = 500;
+const EQUITY_POINT_MS = 60 * 1000; // Marks within a minute of the last point update it instead of adding one
+
+// Zones that auto-entry trades, and the side it takes in each
+export const AUTO_ENTRY_SIDES = { 'MAX ZONE PUMP': 'long', 'MAX ZONE DUMP': 'short' };
+
+export const DEFAULT_PAPER_SETTINGS = {
+  startingBalance: 10000, // Applies when the account is reset
+  margin: 500, // Per position, in the quote asset
+  leverage: 5,
+  stopLossPercent: 3,
+  takeProfitPercent: 6,
+  autoEnter: false,
+  autoTimeframe: '4h',
+};
+
+export const CLOSE_REASONS = {
+  manual: 'Closed',
+  'stop-loss': 'Stop-loss',
+  'take-profit': 'Take-profit',
+  liquidated: 'Liquidated',
+};
+
+/**
+ * Creates an empty account.
+ * @param startingBalance - Cash to start with.
+ * @param time - Creation time in milliseconds, the first point of the equity curve.
+ * @returns `{ balance, startingBalance, positions, trades, equityCurve }`.
+ */
+export function createAccount(startingBalance, time = Date.now()) {
+  return { balance: startingBalance, startingBalance, positions: [], trades: [], equityCurve: [{ time, equity: startingBalance }] };
+}
+
+/**
+ * Calculates a position's profit or loss at a price, capped at losing the margin.
+ * @param position - The position.
+ * @param price - The price to value it at.
+ * @returns `{ pnl, pnlPercent }`, the percentage being relative to the margin.
+ */
+export function getPositionPnl(position, price) {
+  const move = (price - position.entryPrice) / position.entryPrice;
+  const pnl = Math.max(-position.margin, (position.side === 'long' ? move : -move) * position.margin * position.leverage);
+  return { pnl, pnlPercent: (pnl / position.margin) * 100 };
+}
+
+/**
+ * Calculates account equity: cash plus every open position's margin and unrealized profit or loss.
+ * @param account - The account.
+ * @returns The equity.
+ */
+export function getEquity(account) {
+  return account.positions.reduce((sum, p) => sum + p.margin + getPositionPnl(p, p.lastPrice).pnl, account.balance);
+}
+
+// Adds an equity curve point, or updates the last one if it's less than EQUITY_POINT_MS old
+const withEquityPoint = (account, time) => {
+  const point = { time, equity: getEquity(account) };
+  const last = account.equityCurve.at(-1);
+  const curve = last && time - last.time < EQUITY_POINT_MS
+    ? [...account.equityCurve.slice(0, -1), { ...point, time: last.time }]
+    : [...account.equityCurve, point];
+  return { ...account, equityCurve: curve.slice(-MAX_EQUITY_POINTS) };
+};
+
+/**
+ * Checks whether an order can be opened.
+ * @param account - The account.
+ * @param order - The order (see openPosition).
+ * @param settings - Paper trading settings.
+ * @returns An error message, or null if the position can be opened.
+ */
+export function getOpenPositionError(account, { symbol, exchangeId, price }, settings) {
+  if (account.positions.some((p) => p.symbol === symbol && p.exchangeId === exchangeId)) return `${symbol} already has an open position.`;
+  // A symbol listed without candles has no close to enter at
+  if (!Number.isFinite(price) || price <= 0) return `${symbol} has no price to enter at yet.`;
+  if (!(settings.margin > 0) || !(settings.leverage >= 1)) return 'Set a margin above 0 and a leverage of at least 1.';
+  if (account.balance < settings.margin) return `Not enough balance for a ${settings.margin} margin.`;
+  return null;
+}
+
+/**
+ * Opens a position at a signal's latest close. Check getOpenPositionError first.
+ * @param account - The account.
+ * @param order - `{ symbol, exchangeId, timeframe, side, price, zone, source }`; side is 'long' or 'short', source
+ * 'manual' or 'auto'.
+ * @param settings - Paper trading settings, for the margin, leverage, stop-loss and take-profit.
+ * @param time - Entry time in milliseconds.
+ * @returns The updated account.
+ */
+export function openPosition(account, order, settings, time = Date.now()) {
+  const direction = order.side === 'long' ? 1 : -1;
+  const position = {
+    ...order,
+    id: `${time}-${order.exchangeId}-${order.symbol}`,
+    entryPrice: order.price,
+    lastPrice: order.price,
+    entryTime: time,
+    margin: settings.margin,
+    leverage: settings.leverage,
+    stopLoss: settings.stopLossPercent > 0 ? order.price * (1 - (direction * settings.stopLossPercent) / 100) : null,
+    takeProfit: settings.takeProfitPercent > 0 ? order.price * (1 + (direction * settings.takeProfitPercent) / 100) : null,
+  };
+  delete position.price;
+  return withEquityPoint({ ...account, balance: account.balance - position.margin, positions: [...account.positions, position] }, time);
+}
+
+/**
+ * Closes a position, returning its margin and profit or loss to the balance and adding it to the journal.
+ * @param account - The account.
+ * @param id - The position id.
+ * @param price - The exit price.
+ * @param reason - A key of CLOSE_REASONS.
+ * @param time - Exit time in milliseconds.
+ * @returns The updated account.
+ */
+export function closePosition(account, id, price, reason = 'manual', time = Date.now()) {
+  const position = account.positions.find((p) => p.id === id);
+  if (!position) return account;
+  const { pnl, pnlPercent } = getPositionPnl(position, price);
+  const trade = { ...position, lastPrice: price, exitPrice: price, exitTime: time, reason, pnl, pnlPercent };
+  return withEquityPoint({
+    ...account,
+    balance: account.balance + position.margin + pnl,
+    positions: account.positions.filter((p) => p.id !== id),
+    trades: [trade, ...account.trades].slice(0, MAX_TRADES),
+  }, time);
+}
+
+// Why a position has to close at a price, if it does
+const exitReason = (position, price) => {
+  if (getPositionPnl(position, price).pnl <= -position.margin) return 'liquidated';
+  const long = position.side === 'long';
+  if (position.stopLoss !== null && (long ? price <= position.stopLoss : price >= position.stopLoss)) return 'stop-loss';
+  if (position.takeProfit !== null && (long ? price >= position.takeProfit : price <= position.takeProfit)) return 'take-profit';
+  return null;
+};
+
+/**
+ * Marks open positions to the latest prices and closes those that hit their stop-loss, take-profit or
+ * liquidation. Positions of other exchanges, or without a price, keep their last mark.
+ * @param account - The account.
+ * @param prices - Map of symbol -> latest close on `exchangeId`.
+ * @param exchangeId - The exchange the prices come from.
+ * @param time - The current time in milliseconds.
+ * @returns The updated account, or the same object when no mark changed.
+ */
+export function markToMarket(account, prices, exchangeId, time = Date.now()) {
+  const marked = account.positions.map((p) => {
+    const price = p.exchangeId === exchangeId ? prices.get(p.symbol) : undefined;
+    return Number.isFinite(price) && price !== p.lastPrice ? { ...p, lastPrice: price } : p;
+  });
+  if (marked.every((p, i) => p === account.positions[i])) return account;
+
+  let next = withEquityPoint({ ...account, positions: marked }, time);
+  for (const position of marked) {
+    const reason = exitReason(position, position.lastPrice);
+    if (reason) next = closePosition(next, position.id, position.lastPrice, reason, time);
+  }
+  return next;
+}
+
+/**
+ * Summarizes the trade journal and equity curve.
+ * @param account - The account.
+ * @returns `{ trades, wins, losses, winRate, realizedPnl, averagePnl, best, worst, maxDrawdownPercent }`;
+ * winRate and averagePnl are null without trades.
+ */
+export function calculatePaperStats(account) {
+  const { trades, equityCurve } = account;
+  const wins = trades.filter((t) => t.pnl > 0).length;
+  const realizedPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+
+  let peak = -Infinity;
+  let maxDrawdownPercent = 0;
+  for (const { equity } of equityCurve) {
+    peak = Math.max(peak, equity);
+    if (peak > 0) maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+  }
+
+  return {
+    trades: trades.length,
+    wins,
+    losses: trades.length - wins,
+    winRate: trades.length > 0 ? (wins / trades.length) * 100 : null,
+    realizedPnl,
+    averagePnl: trades.length > 0 ? realizedPnl / trades.length : null,
+    best: trades.length > 0 ? Math.max(...trades.map((t) => t.pnl)) : null,
+    worst: trades.length > 0 ? Math.min(...trades.map((t) => t.pnl)) : null,
+    maxDrawdownPercent,
+  };
+}
+
+/**
+ * Loads paper trading settings, filling in any fields added since they were saved.
+ * @returns The settings.
+ */
+export function loadPaperSettings() {
+  return { ...DEFAULT_PAPER_SETTINGS, ...readStorage(SETTINGS_STORAGE_KEY, {}) };
+}
+
+/**
+ * Persists paper trading settings.
+ * @param settings - The settings.
+ */
+export function savePaperSettings(settings) {
+  writeStorage(SETTINGS_STORAGE_KEY, settings);
+}
+
+/**
+ * Loads the paper account, or opens a new one with the default starting balance.
+ * @returns The account.
+ */
+export function loadPaperAccount() {
+  return readStorage(ACCOUNT_STORAGE_KEY, null) || createAccount(DEFAULT_PAPER_SETTINGS.startingBalance);
+}
+
+/**
+ * Persists the paper account.
+ * @param account - The account.
+ */
+export function savePaperAccount(account) {
+  writeStorage(ACCOUNT_STORAGE_KEY, account);
+}
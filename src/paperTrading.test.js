@@ -0,0 +1,163 @@
+import {
+  calculatePaperStats,
+  closePosition,
+  createAccount,
+  DEFAULT_PAPER_SETTINGS,
+  getOpenPositionError,
+  getPositionPnl,
+  markToMarket,
+  openPosition,
+} from "./paperTrading";
+
+// 10x on a 100 margin: each 1% move is 10, and a 10% move against the position liquidates it
+const SETTINGS = { ...DEFAULT_PAPER_SETTINGS, margin: 100, leverage: 10, stopLossPercent: 3, takeProfitPercent: 6 };
+
+const order = (side, overrides = {}) => ({
+  symbol: 'BTCUSDT',
+  exchangeId: 'binance-futures',
+  timeframe: '4h',
+  side,
+  price: 100,
+  zone: 'MAX ZONE PUMP',
+  source: 'manual',
+  ...overrides,
+});
+
+const open = (side, settings = SETTINGS) => openPosition(createAccount(10000, 0), order(side), settings, 0);
+
+describe('getOpenPositionError', () => {
+  test.each([
+    ['NaN', NaN],
+    ['missing', undefined],
+    ['zero', 0],
+  ])('rejects an order whose price is %s', (_, price) => {
+    expect(getOpenPositionError(createAccount(10000, 0), order('long', { price }), SETTINGS)).toBe('BTCUSDT has no price to enter at yet.');
+  });
+
+  test('rejects a second position on the same symbol and exchange only', () => {
+    const account = open('long');
+    expect(getOpenPositionError(account, order('short'), SETTINGS)).toBe('BTCUSDT already has an open position.');
+    expect(getOpenPositionError(account, order('short', { exchangeId: 'okx' }), SETTINGS)).toBeNull();
+  });
+
+  test('rejects a margin the balance cannot cover', () => {
+    expect(getOpenPositionError(createAccount(50, 0), order('long'), SETTINGS)).toBe('Not enough balance for a 100 margin.');
+  });
+});
+
+describe('getPositionPnl', () => {
+  test.each([
+    ['long', 105, 50],
+    ['long', 95, -50],
+    ['short', 95, 50],
+    ['short', 105, -50],
+  ])('values a %s at %d', (side, price, pnl) => {
+    const [position] = open(side).positions;
+    expect(getPositionPnl(position, price)).toEqual({ pnl, pnlPercent: pnl });
+  });
+
+  test.each([
+    ['long', 80],
+    ['short', 130],
+  ])('caps a %s\'s loss at the margin', (side, price) => {
+    const [position] = open(side).positions;
+    expect(getPositionPnl(position, price)).toEqual({ pnl: -100, pnlPercent: -100 });
+  });
+});
+
+describe('closePosition', () => {
+  test('returns the margin and profit to the balance and journals the trade', () => {
+    const account = open('long');
+    expect(account.balance).toBe(9900);
+    const closed = closePosition(account, account.positions[0].id, 105, 'take-profit', 1000);
+    expect(closed.balance).toBe(10050);
+    expect(closed.positions).toEqual([]);
+    expect(closed.trades[0]).toMatchObject({ exitPrice: 105, exitTime: 1000, reason: 'take-profit', pnl: 50, pnlPercent: 50 });
+  });
+
+  test('loses no more than the margin', () => {
+    const account = open('short');
+    expect(closePosition(account, account.positions[0].id, 150, 'liquidated', 1000).balance).toBe(9900);
+  });
+
+  test('ignores an unknown position', () => {
+    const account = open('long');
+    expect(closePosition(account, 'missing', 105)).toBe(account);
+  });
+});
+
+describe('markToMarket', () => {
+  const prices = (price) => new Map([['BTCUSDT', price]]);
+
+  // Long: stop at 97, target at 106, liquidation at 90. Short: stop at 103, target at 94, liquidation at 110.
+  test.each([
+    ['long', 96, 'stop-loss'],
+    ['long', 106, 'take-profit'],
+    ['long', 89, 'liquidated'],
+    ['short', 104, 'stop-loss'],
+    ['short', 93, 'take-profit'],
+    ['short', 111, 'liquidated'],
+  ])('closes a %s marked at %d with %s', (side, price, reason) => {
+    const marked = markToMarket(open(side), prices(price), 'binance-futures', 1000);
+    expect(marked.positions).toEqual([]);
+    expect(marked.trades[0]).toMatchObject({ reason, exitPrice: price });
+  });
+
+  test.each([
+    ['long', 101],
+    ['short', 99],
+  ])('keeps a %s marked at %d open', (side, price) => {
+    const marked = markToMarket(open(side), prices(price), 'binance-futures', 1000);
+    expect(marked.positions[0].lastPrice).toBe(price);
+    expect(marked.trades).toEqual([]);
+  });
+
+  test('liquidates before a stop-loss further away is reached', () => {
+    // At 50x the margin is gone after a 2% move, before the 3% stop
+    const account = open('long', { ...SETTINGS, leverage: 50 });
+    expect(markToMarket(account, prices(97.5), 'binance-futures', 1000).trades[0].reason).toBe('liquidated');
+  });
+
+  test('leaves positions of other exchanges at their last mark', () => {
+    const account = openPosition(createAccount(10000, 0), order('long', { exchangeId: 'okx' }), SETTINGS, 0);
+    expect(markToMarket(account, prices(50), 'binance-futures', 1000)).toBe(account);
+  });
+
+  test('returns the same account when no price changed', () => {
+    const account = open('long');
+    expect(markToMarket(account, prices(100), 'binance-futures', 1000)).toBe(account);
+    expect(markToMarket(account, prices(NaN), 'binance-futures', 1000)).toBe(account);
+  });
+});
+
+describe('calculatePaperStats', () => {
+  test('measures the largest fall from a peak of the equity curve', () => {
+    const account = {
+      ...createAccount(1000, 0),
+      equityCurve: [1000, 1200, 900, 1100, 1300, 1170].map((equity, i) => ({ time: i, equity })),
+    };
+    // 1200 -> 900 is 25%, more than 1300 -> 1170
+    expect(calculatePaperStats(account).maxDrawdownPercent).toBe(25);
+  });
+
+  test('summarizes the trade journal', () => {
+    const account = { ...createAccount(1000, 0), trades: [{ pnl: 50 }, { pnl: -20 }, { pnl: 0 }] };
+    const stats = calculatePaperStats(account);
+    expect(stats.winRate).toBeCloseTo(33.33);
+    expect(stats).toEqual({
+      trades: 3,
+      wins: 1,
+      losses: 2,
+      winRate: stats.winRate,
+      realizedPnl: 30,
+      averagePnl: 10,
+      best: 50,
+      worst: -20,
+      maxDrawdownPercent: 0,
+    });
+  });
+
+  test('has no rates without trades', () => {
+    expect(calculatePaperStats(createAccount(1000, 0))).toMatchObject({ trades: 0, winRate: null, averagePnl: null, best: null, worst: null });
+  });
+});
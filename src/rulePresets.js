@@ -0,0 +1,70 @@
+import { DEFAULT_SIGNAL_RULES } from "./engine/signals";
+import { readStorage, writeStorage } from "./storage";
+
+// --- Signal Rule Presets ---
+// Named rule sets and the active rules are persisted to localStorage so each browser keeps its own.
+
+const PRESETS_STORAGE_KEY = 'signalRulePresets';
+const ACTIVE_RULES_STORAGE_KEY = 'signalRules';
+
+const PERIOD_FIELDS = ['rsiPeriod', 'rsiLookback', 'emaFast', 'emaMid', 'emaSlow', 'breakoutLookback', 'divergenceLookback'];
+
+/**
+ * Checks a rule set for values the indicators can't work with.
+ * @param rules - The rule set to validate.
+ * @returns An error message, or null if the rules are valid.
+ */
+export function validateRules(rules) {
+  for (const field of PERIOD_FIELDS) {
+    if (!Number.isInteger(rules[field]) || rules[field] < 2) {
+      return `${field} must be a whole number of at least 2.`;
+    }
+  }
+  for (const field of Object.keys(DEFAULT_SIGNAL_RULES)) {
+    if (!Number.isFinite(rules[field])) return `${field} must be a number.`;
+  }
+  if (rules.balanceZoneMin > rules.balanceZoneMax) return 'Balance zone min must not exceed its max.';
+  if (rules.lowestZoneMin > rules.lowestZoneMax) return 'Lowest zone min must not exceed its max.';
+  if (rules.nearCrossoverPercent < 0) return 'nearCrossoverPercent must not be negative.';
+  if (!Number.isInteger(rules.pivotBars) || rules.pivotBars < 1) return 'pivotBars must be a whole number of at least 1.';
+  return null;
+}
+
+// Stored rule sets may predate newer fields, so fill gaps from the defaults and drop anything invalid
+const withDefaults = (rules) => {
+  const merged = { ...DEFAULT_SIGNAL_RULES, ...rules };
+  return validateRules(merged) ? { ...DEFAULT_SIGNAL_RULES } : merged;
+};
+
+/**
+ * Loads saved presets.
+ * @returns An object mapping preset name to rule set.
+ */
+export function loadPresets() {
+  const presets = readStorage(PRESETS_STORAGE_KEY, {});
+  return Object.fromEntries(Object.entries(presets).map(([name, rules]) => [name, withDefaults(rules)]));
+}
+
+/**
+ * Persists the full preset collection.
+ * @param presets - An object mapping preset name to rule set.
+ */
+export function savePresets(presets) {
+  writeStorage(PRESETS_STORAGE_KEY, presets);
+}
+
+/**
+ * Loads the rules that were active in the last session.
+ * @returns The stored rule set, or the defaults.
+ */
+export function loadActiveRules() {
+  return withDefaults(readStorage(ACTIVE_RULES_STORAGE_KEY, {}));
+}
+
+/**
+ * Persists the active rule set.
+ * @param rules - The rule set in use.
+ */
+export function saveActiveRules(rules) {
+  writeStorage(ACTIVE_RULES_STORAGE_KEY, rules);
+}
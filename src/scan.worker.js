@@ -0,0 +1,147 @@
+import { getExchange } from "./engine/exchanges";
+import { createRequestScheduler } from "./engine/requestScheduler";
+import { analyzeCachedInterval, createFetchWithRetry, runScan, scanSymbols } from "./engine/scanner";
+import { MESSAGE } from "./scanProtocol";
+
+// --- Scan Worker ---
+// Runs scans and retries off the main thread, so fetching and indicator math don't block rendering.
+// See scanProtocol.js for the messages.
+
+const USAGE_INTERVAL_MS = 1000;
+
+const contexts = new Map(); // Exchange id -> scan context, with the exchange's scheduler and last market snapshot
+const jobs = new Map(); // Job id -> AbortController
+let settings = null; // Shared by every job; the dashboard only ever has one set of rules
+
+// postMessage and onmessage are the worker scope's own, not the window's
+const post = (message) => postMessage(message);
+
+/**
+ * Returns the scan context for an exchange, creating it and its request scheduler on first use.
+ * Schedulers are kept across scans so the weight budget carries over.
+ * @param exchangeId - The exchange adapter id.
+ * @returns The scan context (see engine/scanner.js) plus `scheduler` and `market`.
+ */
+const getContext = (exchangeId) => {
+  if (!contexts.has(exchangeId)) {
+    const exchange = getExchange(exchangeId);
+    const scheduler = createRequestScheduler({
+      weightLimit: exchange.weightLimit,
+      windowMs: exchange.weightWindowMs,
+      getWeight: exchange.getWeight,
+    });
+    contexts.set(exchangeId, {
+      exchange,
+      scheduler,
+      fetchWithRetry: createFetchWithRetry(scheduler),
+      getSettings: () => settings,
+      market: null,
+      lastUsage: null,
+    });
+  }
+  return contexts.get(exchangeId);
+};
+
+/**
+ * Runs a job, posting COMPLETE when it finishes or ERROR if it throws. Cancelled jobs post nothing.
+ * @param jobId - The job id.
+ * @param run - Called with the job's AbortSignal.
+ */
+const runJob = async (jobId, run) => {
+  const controller = new AbortController();
+  jobs.set(jobId, controller);
+  try {
+    await run(controller.signal);
+    if (!controller.signal.aborted) post({ type: MESSAGE.COMPLETE, jobId });
+  } catch (error) {
+    if (error.name !== 'AbortError') post({ type: MESSAGE.ERROR, jobId, message: error.message });
+  } finally {
+    jobs.delete(jobId);
+  }
+};
+
+/**
+ * Returns callbacks that post a job's results and failures, with a running progress count.
+ * @param jobId - The job id.
+ * @param total - Number of symbols in the job, if already known.
+ * @returns `{ onStart, onResult, onFailure }` for scanner.js.
+ */
+const createReporter = (jobId, total = 0) => {
+  let done = 0;
+  const progress = () => post({ type: MESSAGE.PROGRESS, jobId, done, total });
+  return {
+    onStart: ({ total: count, universeSize }) => {
+      total = count;
+      post({ type: MESSAGE.PROGRESS, jobId, done, total, universeSize });
+    },
+    // The settings version is read when posting; no message can be handled between analysis and post
+    onResult: (signal) => {
+      done++;
+      post({ type: MESSAGE.RESULT, jobId, signal, settingsVersion: settings.version });
+      progress();
+    },
+    onFailure: (symbol, failure) => {
+      done++;
+      post({ type: MESSAGE.FAILURE, jobId, symbol, failure });
+      progress();
+    },
+  };
+};
+
+onmessage = ({ data }) => {
+  switch (data.type) {
+    case MESSAGE.START: {
+      settings = data.settings;
+      const context = getContext(data.exchangeId);
+      runJob(data.jobId, async (signal) => {
+        // The cache is read alongside the first requests; the dashboard keeps fresh results over cached ones
+        analyzeCachedInterval(context, data.interval).then((signals) => {
+          if (!signal.aborted && signals.length > 0) {
+            post({ type: MESSAGE.CACHED, jobId: data.jobId, signals, settingsVersion: settings.version });
+          }
+        });
+        const reporter = createReporter(data.jobId);
+        context.market = await runScan(context, {
+          interval: data.interval,
+          universe: data.universe,
+          prioritySymbols: data.prioritySymbols,
+          signal,
+        }, reporter);
+      });
+      break;
+    }
+    case MESSAGE.RETRY: {
+      settings = data.settings;
+      const context = getContext(data.exchangeId);
+      runJob(data.jobId, async (signal) => {
+        if (!context.market) throw new Error('No market data to retry with yet; rescan instead.');
+        await scanSymbols(context, data.symbols, {
+          interval: data.interval,
+          market: context.market,
+          priority: () => 1,
+          signal,
+        }, createReporter(data.jobId, data.symbols.length));
+      });
+      break;
+    }
+    case MESSAGE.CANCEL:
+      jobs.get(data.jobId)?.abort();
+      break;
+    case MESSAGE.SETTINGS:
+      settings = data.settings;
+      break;
+    default:
+      console.warn(`Unknown scan worker message: ${data.type}`);
+  }
+};
+
+// Report scheduler usage for the weight bar whenever it changes
+setInterval(() => {
+  for (const [exchangeId, context] of contexts) {
+    const usage = context.scheduler.getUsage();
+    const key = JSON.stringify(usage);
+    if (key === context.lastUsage) continue;
+    context.lastUsage = key;
+    post({ type: MESSAGE.USAGE, exchangeId, usage });
+  }
+}, USAGE_INTERVAL_MS);
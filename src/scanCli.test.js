@@ -0,0 +1,214 @@
+/**
+ * @jest-environment node
+ */
+import { spawn } from "child_process";
+import http from "http";
+import path from "path";
+import { calculateRSI } from "./engine/indicators";
+import { DEFAULT_SIGNAL_RULES, getSignal, ZONES } from "./engine/signals";
+
+// Runs bin/scan.mjs against a local stub of the Binance futures REST API, passed in with --base-url
+
+const CLI_PATH = path.resolve(__dirname, '../bin/scan.mjs');
+const HOUR_MS = 60 * 60 * 1000;
+const CLI_TIMEOUT_MS = 15000;
+
+const closeSeries = {
+  RISEUSDT: (i) => 100 + i * 0.05 + (i > 485 ? (i - 485) * 1.5 : 0),
+  FALLUSDT: (i) => 200 - i * 0.05 - (i > 485 ? (i - 485) * 2 : 0),
+  WAVEUSDT: (i) => 50 + 5 * Math.sin(i / 6),
+};
+const SYMBOLS = Object.keys(closeSeries);
+
+const buildCandles = (symbol) => {
+  const lastOpen = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  return Array.from({ length: 500 }, (_, i) => {
+    const close = closeSeries[symbol](i);
+    const open = i > 0 ? closeSeries[symbol](i - 1) : close;
+    return [lastOpen - (499 - i) * HOUR_MS, `${open}`, `${Math.max(open, close) + 0.1}`, `${Math.min(open, close) - 0.1}`, `${close}`, '1000'];
+  });
+};
+const candlesBySymbol = Object.fromEntries(SYMBOLS.map((symbol) => [symbol, buildCandles(symbol)]));
+
+// The zones the CLI should report, worked out the same way the scanner does
+const expectedZones = Object.fromEntries(SYMBOLS.map((symbol) => {
+  const closes = candlesBySymbol[symbol].map((c) => +c[4]);
+  return [symbol, getSignal({ rsi14: calculateRSI(closes, DEFAULT_SIGNAL_RULES.rsiPeriod) }, DEFAULT_SIGNAL_RULES)];
+}));
+const reportedZones = [...new Set(Object.values(expectedZones))];
+const unusedZone = ZONES.find((zone) => !reportedZones.includes(zone));
+
+const routes = {
+  '/fapi/v1/exchangeInfo': () => ({
+    symbols: SYMBOLS.map((symbol) => ({
+      symbol,
+      status: 'TRADING',
+      contractType: 'PERPETUAL',
+      quoteAsset: 'USDT',
+      deliveryDate: 4133404800000,
+      onboardDate: 1569398400000,
+    })),
+  }),
+  '/fapi/v1/ticker/24hr': () => SYMBOLS.map((symbol) => ({
+    symbol,
+    priceChangePercent: '1.5',
+    lastPrice: candlesBySymbol[symbol].at(-1)[4],
+    quoteVolume: '1000000',
+  })),
+  '/fapi/v1/premiumIndex': () => SYMBOLS.map((symbol) => ({
+    symbol,
+    markPrice: candlesBySymbol[symbol].at(-1)[4],
+    lastFundingRate: '0.0001',
+    nextFundingTime: 0,
+  })),
+  '/fapi/v1/klines': (params) => candlesBySymbol[params.get('symbol')],
+};
+
+let server;
+let baseUrl;
+let requests = [];
+let stallKlines = false; // Holds kline requests open, so a scan can be interrupted part way
+let stalled = [];
+let onStalled = () => {}; // Called with the number of held requests
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    requests.push(pathname);
+    if (stallKlines && pathname === '/fapi/v1/klines') {
+      stalled.push(res);
+      onStalled(stalled.length);
+      return;
+    }
+    const body = routes[pathname]?.(searchParams);
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { code: -1121, msg: 'Invalid symbol.' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+afterEach(() => {
+  stallKlines = false;
+  onStalled = () => {};
+  stalled.forEach((res) => res.destroy());
+  stalled = [];
+});
+
+/**
+ * Runs the CLI to completion, killing it if it runs past CLI_TIMEOUT_MS.
+ * @param args - The CLI arguments.
+ * @param onOutput - Called with `(child, stdout, stderr)` whenever the CLI writes output.
+ * @returns A promise for `{ code, stdout, stderr }`.
+ */
+const runCli = (args, onOutput = () => {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      onOutput(child, stdout, stderr);
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      onOutput(child, stdout, stderr);
+    });
+    const timer = setTimeout(() => child.kill(), CLI_TIMEOUT_MS);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+
+describe('bin/scan.mjs', () => {
+  test('prints the matching symbols as JSON and exits with 0', async () => {
+    const zoneArgs = reportedZones.flatMap((zone) => ['--zone', zone]);
+    const { code, stdout, stderr } = await runCli(['--base-url', baseUrl, '--interval', '1h', '--format', 'json', ...zoneArgs]);
+
+    expect(code).toBe(0);
+    expect(stderr).toContain(`Scanning ${SYMBOLS.length} of ${SYMBOLS.length} symbols`);
+    const lines = stdout.trim().split('\n');
+    expect(lines).toHaveLength(1); // One JSON object per scan
+    const snapshot = JSON.parse(lines[0]);
+    expect(snapshot).toMatchObject({ exchange: 'binance-futures', timeframe: '1h', rules: DEFAULT_SIGNAL_RULES });
+    expect(Object.fromEntries(snapshot.signals.map((row) => [row.symbol, row.zone]))).toEqual(expectedZones);
+    snapshot.signals.forEach((row) => {
+      expect(row.price).toBe(+candlesBySymbol[row.symbol].at(-1)[4]);
+      expect(row.priceChangePercent).toBe(1.5);
+    });
+  }, CLI_TIMEOUT_MS);
+
+  test('prints CSV with the snapshot header', async () => {
+    const { code, stdout } = await runCli(['--base-url', baseUrl, '--interval', '1h', '--format', 'csv', '--zone', expectedZones.WAVEUSDT]);
+
+    expect(code).toBe(0);
+    const lines = stdout.trim().split('\n');
+    expect(lines[0]).toMatch(/^# exportedAt: /);
+    expect(lines[1]).toBe('# timeframe: 1h');
+    expect(lines[2]).toMatch(/^# rules: /);
+    expect(lines[3]).toBe('symbol,zone,price,priceChangePercent,rsi,rsiPumpStrength,rsiDumpStrength,volumeColor,trend,divergence,divergenceStrength');
+    const rows = lines.slice(4).map((line) => line.split(','));
+    expect(rows.map(([symbol]) => symbol).sort()).toEqual(SYMBOLS.filter((s) => expectedZones[s] === expectedZones.WAVEUSDT).sort());
+    rows.forEach(([symbol, zone, price]) => {
+      expect(zone).toBe(expectedZones[symbol]);
+      expect(+price).toBe(+candlesBySymbol[symbol].at(-1)[4]);
+    });
+  }, CLI_TIMEOUT_MS);
+
+  test('exits with 1 when no symbol is in the chosen zones', async () => {
+    const { code, stdout } = await runCli(['--base-url', baseUrl, '--interval', '1h', '--format', 'json', '--zone', unusedZone]);
+    expect(code).toBe(1);
+    expect(JSON.parse(stdout).signals).toEqual([]);
+  }, CLI_TIMEOUT_MS);
+
+  test('exits with 3 without printing results when interrupted mid-scan', async () => {
+    stallKlines = true;
+    let cli;
+    // Once every kline request is held, the scan is part way through
+    onStalled = (count) => {
+      if (count === SYMBOLS.length) cli.kill('SIGINT');
+    };
+    const { code, stdout } = await runCli(['--base-url', baseUrl, '--interval', '1h', '--format', 'json'], (child) => {
+      cli = child;
+    });
+    expect(code).toBe(3);
+    expect(stdout).toBe('');
+  }, CLI_TIMEOUT_MS);
+
+  test('keeps rescanning in watch mode without piling up abort listeners', async () => {
+    const SCANS = 12; // Node warns about more than 10 listeners on one signal
+    const { code, stdout, stderr } = await runCli(
+      ['--base-url', baseUrl, '--interval', '1h', '--format', 'json', '--zone', unusedZone, '--watch', '--every', '0.01'],
+      (child, out) => {
+        if (out.trim().split('\n').length >= SCANS && !child.killed) child.kill('SIGINT');
+      }
+    );
+    expect(stdout.trim().split('\n').length).toBeGreaterThanOrEqual(SCANS);
+    expect(stderr).not.toContain('MaxListenersExceededWarning');
+    expect(code).toBe(1); // From the last finished scan
+  }, CLI_TIMEOUT_MS);
+
+  test.each([
+    [['--interval', '7x']],
+    [['--format', 'xml']],
+    [['--zone', 'SIDEWAYS']],
+    [['--exchange', 'nope']],
+    [['--every', '0']],
+    [['--base-url', 'not a url']],
+    [['--unknown']],
+  ])('exits with 2 on %j without making a request', async (args) => {
+    const { code, stdout, stderr } = await runCli(['--base-url', baseUrl, ...args]);
+    expect(code).toBe(2);
+    expect(stdout).toBe('');
+    expect(stderr).toContain('Usage: npm run scan');
+    expect(requests).toEqual([]);
+  }, CLI_TIMEOUT_MS);
+});
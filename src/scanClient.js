@@ -0,0 +1,69 @@
+import { MESSAGE } from "./scanProtocol";
+
+/**
+ * Starts the scan worker and wraps its message protocol (see scanProtocol.js) in a callback API.
+ * @returns `{ startScan(options, handlers), retry(options, handlers), updateSettings(settings), onUsage(listener), terminate() }`.
+ * startScan and retry take the START/RETRY message fields (without `type` and `jobId`) and handlers
+ * `{ onCached, onProgress, onResult, onFailure, onComplete, onError }`, all optional, and return
+ * `{ cancel() }`. No handler is called after cancel.
+ */
+export function createScanClient() {
+  const worker = new Worker(new URL('./scan.worker.js', import.meta.url));
+  const jobs = new Map(); // Job id -> handlers
+  let nextJobId = 1;
+  let usageListener = null;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === MESSAGE.USAGE) {
+      usageListener?.(data.exchangeId, data.usage);
+      return;
+    }
+    const handlers = jobs.get(data.jobId);
+    if (!handlers) return; // Sent before the worker saw a cancel
+    switch (data.type) {
+      case MESSAGE.CACHED:
+        handlers.onCached?.(data.signals, data.settingsVersion);
+        break;
+      case MESSAGE.PROGRESS:
+        handlers.onProgress?.(data);
+        break;
+      case MESSAGE.RESULT:
+        handlers.onResult?.(data.signal, data.settingsVersion);
+        break;
+      case MESSAGE.FAILURE:
+        handlers.onFailure?.(data.symbol, data.failure);
+        break;
+      case MESSAGE.COMPLETE:
+        jobs.delete(data.jobId);
+        handlers.onComplete?.();
+        break;
+      case MESSAGE.ERROR:
+        jobs.delete(data.jobId);
+        handlers.onError?.(data.message);
+        break;
+      default:
+        console.warn(`Unknown scan worker message: ${data.type}`);
+    }
+  };
+
+  const startJob = (type, options, handlers) => {
+    const jobId = nextJobId++;
+    jobs.set(jobId, handlers);
+    worker.postMessage({ ...options, type, jobId });
+    return {
+      cancel: () => {
+        if (jobs.delete(jobId)) worker.postMessage({ type: MESSAGE.CANCEL, jobId });
+      },
+    };
+  };
+
+  return {
+    startScan: (options, handlers) => startJob(MESSAGE.START, options, handlers),
+    retry: (options, handlers) => startJob(MESSAGE.RETRY, options, handlers),
+    updateSettings: (settings) => worker.postMessage({ type: MESSAGE.SETTINGS, settings }),
+    onUsage: (listener) => {
+      usageListener = listener;
+    },
+    terminate: () => worker.terminate(),
+  };
+}
@@ -0,0 +1,36 @@
+// --- Scan Worker Protocol ---
+// Messages between the dashboard and the scan worker. Every message is a plain object with a `type` from
+// MESSAGE. Scans and retries are jobs, identified by a `jobId` the main thread picks.
+//
+// Main thread -> worker:
+//   START     { jobId, exchangeId, interval, universe, prioritySymbols, settings }
+//   RETRY     { jobId, exchangeId, interval, symbols, settings }  - uses the market snapshot of the last scan
+//   CANCEL    { jobId }                                           - aborts the job's queued and in-flight requests
+//   SETTINGS  { settings }                                        - applies to jobs that are already running
+//
+// Worker -> main thread:
+//   CACHED    { jobId, signals, settingsVersion }  - previous results from the kline cache
+//   PROGRESS  { jobId, done, total, universeSize } - universeSize is only sent with the first one
+//   RESULT    { jobId, signal, settingsVersion }
+//   FAILURE   { jobId, symbol, failure }           - failure as returned by describeFailure
+//   COMPLETE  { jobId }
+//   ERROR     { jobId, message }                   - the job couldn't run at all
+//   USAGE     { exchangeId, usage }                - request scheduler usage, sent when it changes
+//
+// `settings` is `{ rules, sessionSettings, version }`. Signal objects are copies once they cross over, so
+// results carry the settings version they were analyzed with; the main thread compares it to its own to
+// tell whether a result predates a rules or session change.
+
+export const MESSAGE = {
+  START: 'start',
+  RETRY: 'retry',
+  CANCEL: 'cancel',
+  SETTINGS: 'settings',
+  CACHED: 'cached',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  FAILURE: 'failure',
+  COMPLETE: 'complete',
+  ERROR: 'error',
+  USAGE: 'usage',
+};
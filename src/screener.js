@@ -0,0 +1,138 @@
+import { DIVERGENCE_TYPES } from "./engine/divergence";
+import { getSignal, ZONES } from "./engine/signals";
+import { readStorage, writeStorage } from "./storage";
+
+// --- Custom Screens ---
+// A screen is a list of condition groups. A symbol passes when every condition of at least one group
+// holds, so conditions within a group are ANDed and the groups ORed. Saved screens are persisted to
+// localStorage by name, like the rule presets.
+
+const SCREENS_STORAGE_KEY = 'screens';
+
+const COLOR_OPTIONS = ['green', 'red'];
+
+/**
+ * Signal fields a condition can test. `choice` fields compare against one of `options`, `number` fields
+ * against a number; `value(s, rules)` reads the field from a signal object.
+ */
+export const SCREEN_FIELDS = {
+  zone: { label: 'Zone', type: 'choice', options: ZONES, value: (s, rules) => getSignal(s, rules) },
+  priceChangePercent: { label: '24h %', type: 'number', value: (s) => s.priceChangePercent },
+  rsi: { label: 'RSI', type: 'number', value: (s) => s.rsi14?.at(-1) },
+  volumeColor: { label: 'Prev-session volume', type: 'choice', options: COLOR_OPTIONS, value: (s) => s.highestVolumeColorPrev },
+  prevCandle: {
+    label: 'Prev candle',
+    type: 'choice',
+    options: COLOR_OPTIONS,
+    value: (s) => (s.prevClosedGreen ? 'green' : s.prevClosedRed ? 'red' : null),
+  },
+  trend: { label: 'Trend', type: 'choice', options: ['bullish', 'bearish'], value: (s) => s.mainTrend.trend },
+  divergence: {
+    label: 'Divergence',
+    type: 'choice',
+    options: [...DIVERGENCE_TYPES, 'none'],
+    value: (s) => s.divergence?.type ?? 'none',
+  },
+  divergenceStrength: { label: 'Divergence strength', type: 'number', value: (s) => s.divergence?.strength },
+};
+
+export const OPERATORS = {
+  choice: ['is', 'is not'],
+  number: ['<', '<=', '>', '>=', '='],
+};
+
+const compare = (operator, actual, expected) => {
+  switch (operator) {
+    case 'is': return actual === expected;
+    case 'is not': return actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '=': return actual === expected;
+    default: return false;
+  }
+};
+
+/**
+ * Creates a condition on a field with the field's first operator and a starting value.
+ * @param field - A key of SCREEN_FIELDS.
+ * @returns `{ field, operator, value }`.
+ */
+export function createCondition(field = 'zone') {
+  const { type, options } = SCREEN_FIELDS[field];
+  return { field, operator: OPERATORS[type][0], value: type === 'choice' ? options[0] : 0 };
+}
+
+/**
+ * Creates a screen with a single zone condition.
+ * @returns `{ groups }`.
+ */
+export function createScreen() {
+  return { groups: [[createCondition()]] };
+}
+
+/**
+ * Checks a screen for conditions that can't be evaluated.
+ * @param screen - The screen to validate.
+ * @returns An error message, or null if the screen is valid.
+ */
+export function validateScreen(screen) {
+  if (!Array.isArray(screen?.groups) || screen.groups.length === 0) return 'A screen needs at least one condition.';
+  for (const group of screen.groups) {
+    if (!Array.isArray(group) || group.length === 0) return 'Every OR group needs at least one condition.';
+    for (const { field, operator, value } of group) {
+      const definition = SCREEN_FIELDS[field];
+      if (!definition) return `Unknown field ${field}.`;
+      if (!OPERATORS[definition.type].includes(operator)) return `${definition.label} can't be compared with ${operator}.`;
+      if (definition.type === 'number' && !Number.isFinite(value)) return `${definition.label} needs a number to compare with.`;
+      if (definition.type === 'choice' && !definition.options.includes(value)) return `${value} is not a ${definition.label} option.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tests a signal against a screen. Conditions on a number the signal doesn't have yet never hold.
+ * @param screen - A valid screen.
+ * @param s - The signal object.
+ * @param rules - The rules zones are evaluated with.
+ * @returns Whether the signal passes the screen.
+ */
+export function matchesScreen(screen, s, rules) {
+  return screen.groups.some((group) => group.every(({ field, operator, value }) => {
+    const definition = SCREEN_FIELDS[field];
+    const actual = definition.value(s, rules);
+    if (definition.type === 'number' && !Number.isFinite(actual)) return false;
+    return compare(operator, actual, value);
+  }));
+}
+
+/**
+ * Describes a screen in words, e.g. "Zone is MAX ZONE PUMP AND 24h % < 5".
+ * @param screen - The screen.
+ * @returns The description.
+ */
+export function describeScreen(screen) {
+  const groups = screen.groups.map((group) => group
+    .map(({ field, operator, value }) => `${SCREEN_FIELDS[field].label} ${operator} ${value}`)
+    .join(' AND '));
+  return groups.length > 1 ? groups.map((text) => `(${text})`).join(' OR ') : groups[0];
+}
+
+/**
+ * Loads the saved screens, dropping any that no longer validate.
+ * @returns An object mapping screen name to screen.
+ */
+export function loadScreens() {
+  const screens = readStorage(SCREENS_STORAGE_KEY, {});
+  return Object.fromEntries(Object.entries(screens).filter(([, screen]) => !validateScreen(screen)));
+}
+
+/**
+ * Persists the full screen collection.
+ * @param screens - An object mapping screen name to screen.
+ */
+export function saveScreens(screens) {
+  writeStorage(SCREENS_STORAGE_KEY, screens);
+}
@@ -0,0 +1,86 @@
+import { createCondition, createScreen, loadScreens, matchesScreen, saveScreens, validateScreen } from "./screener";
+import { DEFAULT_SIGNAL_RULES } from "./engine/signals";
+
+const PUMP_RSI = Array.from({ length: 20 }, (_, i) => 30 + i * 3); // MAX ZONE PUMP with the default rules
+
+const signal = (overrides = {}) => ({
+  symbol: 'BTCUSDT',
+  rsi14: PUMP_RSI,
+  closes: [100],
+  priceChangePercent: 4,
+  mainTrend: { trend: 'bullish' },
+  divergence: null,
+  ...overrides,
+});
+
+const condition = (field, operator, value) => ({ field, operator, value });
+const matches = (groups, s = signal()) => matchesScreen({ groups }, s, DEFAULT_SIGNAL_RULES);
+
+describe('validateScreen', () => {
+  test.each([
+    ['a missing screen', undefined, 'A screen needs at least one condition.'],
+    ['no groups', { groups: [] }, 'A screen needs at least one condition.'],
+    ['an empty group', { groups: [[condition('rsi', '<', 30)], []] }, 'Every OR group needs at least one condition.'],
+    ['an unknown field', { groups: [[condition('funding', '<', 0)]] }, 'Unknown field funding.'],
+    ['an operator of the other type', { groups: [[condition('zone', '<', 'MAX ZONE PUMP')]] }, 'Zone can\'t be compared with <.'],
+    ['a non-numeric number value', { groups: [[condition('rsi', '<', '30')]] }, 'RSI needs a number to compare with.'],
+    ['an infinite number value', { groups: [[condition('rsi', '<', Infinity)]] }, 'RSI needs a number to compare with.'],
+    ['an unknown choice', { groups: [[condition('trend', 'is', 'sideways')]] }, 'sideways is not a Trend option.'],
+  ])('rejects %s', (_, screen, error) => {
+    expect(validateScreen(screen)).toBe(error);
+  });
+
+  test('accepts new screens and conditions on every field', () => {
+    expect(validateScreen(createScreen())).toBeNull();
+    expect(validateScreen({ groups: [['zone', 'rsi', 'trend', 'divergenceStrength'].map((field) => createCondition(field))] })).toBeNull();
+  });
+});
+
+describe('matchesScreen', () => {
+  test('requires every condition of a group', () => {
+    expect(matches([[condition('zone', 'is', 'MAX ZONE PUMP'), condition('priceChangePercent', '<', 5)]])).toBe(true);
+    expect(matches([[condition('zone', 'is', 'MAX ZONE PUMP'), condition('priceChangePercent', '<', 3)]])).toBe(false);
+  });
+
+  test('passes when any group matches', () => {
+    const failing = [condition('trend', 'is', 'bearish')];
+    expect(matches([failing, [condition('priceChangePercent', '>=', 4)]])).toBe(true);
+    expect(matches([failing, [condition('priceChangePercent', '>', 4)]])).toBe(false);
+  });
+
+  test.each([
+    ['a missing divergence strength', 'divergenceStrength', {}],
+    ['a NaN 24h change', 'priceChangePercent', { priceChangePercent: NaN }],
+    ['an RSI still warming up', 'rsi', { rsi14: [] }],
+  ])('never matches %s', (_, field, overrides) => {
+    const s = signal(overrides);
+    // Neither a comparison nor its opposite holds
+    expect(matches([[condition(field, '<', 50)]], s)).toBe(false);
+    expect(matches([[condition(field, '>=', 50)]], s)).toBe(false);
+  });
+
+  test('compares choices with is and is not', () => {
+    expect(matches([[condition('divergence', 'is', 'none')]])).toBe(true);
+    expect(matches([[condition('divergence', 'is not', 'none')]])).toBe(false);
+  });
+});
+
+describe('loadScreens', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('drops saved screens that no longer validate', () => {
+    const valid = { groups: [[condition('rsi', '<', 30)]] };
+    saveScreens({
+      oversold: valid,
+      removedField: { groups: [[condition('openInterest', '>', 0)]] },
+      empty: { groups: [] },
+    });
+    expect(loadScreens()).toEqual({ oversold: valid });
+  });
+
+  test('returns no screens when none are saved', () => {
+    expect(loadScreens()).toEqual({});
+  });
+});
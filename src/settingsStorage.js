@@ -0,0 +1,43 @@
+import { DEFAULT_SESSION_SETTINGS, validateSessionSettings } from "./engine/sessions";
+import { DEFAULT_UNIVERSE_SETTINGS, validateUniverseSettings } from "./engine/universe";
+import { readStorage, writeStorage } from "./storage";
+
+// --- Persisted Scan Settings ---
+// The engine only validates session and universe settings; the dashboard keeps them in localStorage.
+
+const SESSION_STORAGE_KEY = 'sessionSettings';
+const UNIVERSE_STORAGE_KEY = 'universeSettings';
+
+/**
+ * Loads the session settings from the last session.
+ * @returns The stored settings, or the defaults if none are stored or they are invalid.
+ */
+export function loadSessionSettings() {
+  const settings = { ...DEFAULT_SESSION_SETTINGS, ...readStorage(SESSION_STORAGE_KEY, {}) };
+  return validateSessionSettings(settings) ? { ...DEFAULT_SESSION_SETTINGS } : settings;
+}
+
+/**
+ * Persists the session settings.
+ * @param settings - The session settings.
+ */
+export function saveSessionSettings(settings) {
+  writeStorage(SESSION_STORAGE_KEY, settings);
+}
+
+/**
+ * Loads the universe settings from the last session, filling in any fields added since they were saved.
+ * @returns The universe settings.
+ */
+export function loadUniverseSettings() {
+  const settings = { ...DEFAULT_UNIVERSE_SETTINGS, ...readStorage(UNIVERSE_STORAGE_KEY, {}) };
+  return validateUniverseSettings(settings) ? { ...DEFAULT_UNIVERSE_SETTINGS } : settings;
+}
+
+/**
+ * Persists the universe settings.
+ * @param settings - The universe settings.
+ */
+export function saveUniverseSettings(settings) {
+  writeStorage(UNIVERSE_STORAGE_KEY, settings);
+}
@@ -0,0 +1,154 @@
+import { getSignal, ZONES } from "./engine/signals";
+import { readStorage, writeStorage } from "./storage";
+
+// --- Signal History ---
+// Every completed scan is snapshotted per exchange and timeframe: the time plus each symbol's zone and
+// price. Zone stays and zone counts over time are derived from the snapshots when they're shown.
+
+const HISTORY_STORAGE_KEY = 'signalHistory';
+const MAX_SNAPSHOTS = 96; // Per exchange and timeframe
+// localStorage only holds a few megabytes per origin, shared with the settings and alert log
+const MAX_HISTORY_CHARS = 1500000;
+
+/**
+ * Builds the history key for an exchange and timeframe.
+ * @param exchangeId - The exchange adapter id.
+ * @param timeframe - The kline interval.
+ * @returns The key used in the history object.
+ */
+export const historyKey = (exchangeId, timeframe) => `${exchangeId}:${timeframe}`;
+
+/**
+ * Adds a snapshot of a completed scan, dropping the oldest snapshots beyond MAX_SNAPSHOTS and then the
+ * oldest snapshots of any key until the whole history fits in MAX_HISTORY_CHARS.
+ * Zones are stored as indexes into ZONES to keep the stored history small; signals without candles are skipped.
+ * @param history - The history object, mapping history keys to snapshot arrays (oldest first).
+ * @param key - The history key (see historyKey).
+ * @param signals - The scan's signal objects.
+ * @param rules - The rules the zones are evaluated with.
+ * @param time - Snapshot time in milliseconds.
+ * @returns A new history object.
+ */
+export function recordSnapshot(history, key, signals, rules, time = Date.now()) {
+  const symbols = {};
+  for (const s of signals) {
+    if (s.closes.length === 0) continue; // Listed without any candles yet
+    symbols[s.symbol] = [ZONES.indexOf(getSignal(s, rules)), +s.closes.at(-1).toPrecision(6)];
+  }
+  const snapshots = [...(history[key] || []), { time, symbols }].slice(-MAX_SNAPSHOTS);
+  return pruneHistory({ ...history, [key]: snapshots });
+}
+
+/**
+ * Drops the oldest snapshots across every key until the serialized history fits the size limit.
+ * Keys left without snapshots are removed.
+ * @param history - The history object.
+ * @param maxChars - Maximum length of the history as JSON.
+ * @returns The history object, unchanged if it already fits.
+ */
+export function pruneHistory(history, maxChars = MAX_HISTORY_CHARS) {
+  let total = JSON.stringify(history).length;
+  if (total <= maxChars) return history;
+
+  const keys = Object.keys(history);
+  const first = Object.fromEntries(keys.map((key) => [key, 0])); // Index of the oldest kept snapshot per key
+  while (total > maxChars) {
+    let oldestKey = null;
+    for (const key of keys) {
+      const snapshot = history[key][first[key]];
+      if (snapshot && (oldestKey === null || snapshot.time < history[oldestKey][first[oldestKey]].time)) oldestKey = key;
+    }
+    if (oldestKey === null) break;
+    total -= JSON.stringify(history[oldestKey][first[oldestKey]]).length + 1; // Plus the separating comma
+    first[oldestKey]++;
+    if (first[oldestKey] === history[oldestKey].length) total -= JSON.stringify(oldestKey).length + 3; // The emptied `"key":[]`
+  }
+
+  return Object.fromEntries(
+    keys.map((key) => [key, history[key].slice(first[key])]).filter(([, snapshots]) => snapshots.length > 0)
+  );
+}
+
+/**
+ * Reconstructs each symbol's zone stays from snapshots. A stay starts at the first snapshot showing the
+ * symbol in a zone and ends at the first later snapshot showing it in another one. Snapshots the symbol
+ * is missing from (e.g. a failed fetch) neither end nor extend a stay.
+ * @param snapshots - Snapshots, oldest first.
+ * @returns Stays, newest entry first: `{ symbol, zone, enteredAt, leftAt, durationMs, entryPrice, exitPrice, priceChangePercent }`.
+ * `leftAt` is null for stays that are still ongoing; their duration and price change run to the latest snapshot.
+ */
+export function buildZoneStays(snapshots) {
+  const open = new Map(); // symbol -> ongoing stay
+  const stays = [];
+
+  for (const { time, symbols } of snapshots) {
+    for (const [symbol, [zoneIndex, price]] of Object.entries(symbols)) {
+      const zone = ZONES[zoneIndex];
+      const current = open.get(symbol);
+      if (current && current.zone === zone) {
+        current.lastSeenAt = time;
+        current.exitPrice = price;
+        continue;
+      }
+      if (current) {
+        current.leftAt = time;
+        current.exitPrice = price; // The move up to the snapshot that saw it leave
+      }
+      const stay = { symbol, zone, enteredAt: time, lastSeenAt: time, leftAt: null, entryPrice: price, exitPrice: price };
+      open.set(symbol, stay);
+      stays.push(stay);
+    }
+  }
+
+  return stays
+    .map(({ lastSeenAt, ...stay }) => ({
+      ...stay,
+      durationMs: (stay.leftAt ?? lastSeenAt) - stay.enteredAt,
+      priceChangePercent: ((stay.exitPrice - stay.entryPrice) / stay.entryPrice) * 100,
+    }))
+    .sort((a, b) => b.enteredAt - a.enteredAt);
+}
+
+/**
+ * Counts the symbols in each zone per snapshot.
+ * @param snapshots - Snapshots, oldest first.
+ * @returns `[{ time, counts: { [zone]: number } }]`, oldest first.
+ */
+export function countZonesOverTime(snapshots) {
+  return snapshots.map(({ time, symbols }) => {
+    const counts = Object.fromEntries(ZONES.map((zone) => [zone, 0]));
+    for (const [zoneIndex] of Object.values(symbols)) counts[ZONES[zoneIndex]]++;
+    return { time, counts };
+  });
+}
+
+/**
+ * Formats a duration as its two largest units, e.g. "3d 4h" or "12m".
+ * @param ms - The duration in milliseconds.
+ * @returns The formatted duration.
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Loads the stored signal history.
+ * @returns The history object, mapping history keys to snapshot arrays.
+ */
+export function loadSignalHistory() {
+  return readStorage(HISTORY_STORAGE_KEY, {});
+}
+
+/**
+ * Persists the signal history.
+ * @param history - The history object.
+ * @returns Whether it was stored; false when the storage quota is used up.
+ */
+export function saveSignalHistory(history) {
+  return writeStorage(HISTORY_STORAGE_KEY, history);
+}
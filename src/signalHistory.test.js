@@ -0,0 +1,71 @@
+import { pruneHistory, recordSnapshot, saveSignalHistory } from "./signalHistory";
+import { DEFAULT_SIGNAL_RULES, ZONES } from "./engine/signals";
+
+const snapshot = (time) => ({ time, symbols: { BTCUSDT: [0, 64000] } });
+const size = (history) => JSON.stringify(history).length;
+
+describe('pruneHistory', () => {
+  test('returns the history unchanged when it fits', () => {
+    const history = { 'binance:1h': [snapshot(1), snapshot(2)] };
+    expect(pruneHistory(history, size(history))).toBe(history);
+  });
+
+  test('drops the oldest snapshots across every key until it fits', () => {
+    const history = {
+      'binance:1h': [snapshot(1), snapshot(4), snapshot(5)],
+      'okx:4h': [snapshot(2), snapshot(3), snapshot(6)],
+    };
+    const pruned = pruneHistory(history, size(history) - 2 * JSON.stringify(snapshot(1)).length);
+    expect(pruned).toEqual({
+      'binance:1h': [snapshot(4), snapshot(5)],
+      'okx:4h': [snapshot(3), snapshot(6)],
+    });
+    expect(size(pruned)).toBeLessThan(size(history));
+  });
+
+  test('removes keys left without snapshots', () => {
+    const history = { 'binance:1h': [snapshot(1)], 'okx:4h': [snapshot(2)] };
+    expect(pruneHistory(history, size({ 'okx:4h': [snapshot(2)] }))).toEqual({ 'okx:4h': [snapshot(2)] });
+  });
+});
+
+describe('recordSnapshot', () => {
+  test('stores each symbol\'s zone and price, skipping signals without candles', () => {
+    const signals = [
+      { symbol: 'BTCUSDT', rsi14: [50], closes: [63999.987654] },
+      { symbol: 'EMPTYUSDT', rsi14: [], closes: [] },
+    ];
+    const history = recordSnapshot({}, 'okx:1h', signals, DEFAULT_SIGNAL_RULES, 1000);
+    expect(history).toEqual({ 'okx:1h': [{ time: 1000, symbols: { BTCUSDT: [ZONES.indexOf('NO DATA'), 64000] } }] });
+  });
+
+  test('keeps a large history under the storage cap', () => {
+    // 500 symbols per snapshot, like a full futures scan
+    const signals = Array.from({ length: 500 }, (_, i) => ({ symbol: `COIN${i}USDT`, rsi14: [50], closes: [1.234567 + i] }));
+    let history = {};
+    for (let i = 0; i < 96; i++) {
+      for (const key of ['binance:1h', 'binance:4h', 'okx:1h']) {
+        history = recordSnapshot(history, key, signals, DEFAULT_SIGNAL_RULES, i);
+      }
+    }
+    expect(size(history)).toBeLessThanOrEqual(1500000);
+    // The newest scan of every key survives
+    Object.values(history).forEach((snapshots) => expect(snapshots.at(-1).time).toBe(95));
+  });
+});
+
+describe('saveSignalHistory', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  test('reports whether the history was stored', () => {
+    expect(saveSignalHistory({ 'binance:1h': [snapshot(1)] })).toBe(true);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(saveSignalHistory({ 'binance:1h': [snapshot(1)] })).toBe(false);
+  });
+});
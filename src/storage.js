@@ -0,0 +1,33 @@
+// --- localStorage Helpers ---
+
+/**
+ * Reads and parses a JSON value from localStorage.
+ * @param key - The storage key.
+ * @param fallback - Returned when the key is missing, unreadable or not valid JSON.
+ * @returns The parsed value or the fallback.
+ */
+export const readStorage = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Serializes a value to JSON and stores it in localStorage. Quota and privacy-mode errors are logged, not thrown.
+ * @param key - The storage key.
+ * @param value - The value to store.
+ * @returns Whether the value was stored.
+ */
+export const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Could not save ${key} to localStorage:`, error);
+    return false;
+  }
+};
@@ -0,0 +1,63 @@
+// --- Shareable URL State ---
+// The view (timeframe, zone, trend filters and table sort) is mirrored into the query string so it can be
+// bookmarked or shared. Only values that differ from the defaults are written, keeping links short.
+
+export const DEFAULT_TREND_FILTERS = { trend: '', breakout: '', nearOnly: false, dojiOnly: false };
+
+const TRENDS = ['bullish', 'bearish'];
+const BREAKOUTS = ['above resistance', 'below support', 'none'];
+
+/**
+ * Parses the view state from a query string, ignoring unknown or invalid values.
+ * @param search - The query string, e.g. `window.location.search`.
+ * @param options.timeframes - Valid timeframes.
+ * @param options.zones - Valid zone names.
+ * @returns `{ timeframe?, zone?, trendFilters, sort? }`; missing keys mean "use the default".
+ */
+export function parseUrlState(search, { timeframes, zones }) {
+  const params = new URLSearchParams(search);
+  const state = {
+    trendFilters: {
+      trend: TRENDS.includes(params.get('trend')) ? params.get('trend') : '',
+      breakout: BREAKOUTS.includes(params.get('breakout')) ? params.get('breakout') : '',
+      nearOnly: params.get('near') === '1',
+      dojiOnly: params.get('doji') === '1',
+    },
+  };
+
+  if (timeframes.includes(params.get('tf'))) state.timeframe = params.get('tf');
+  if (zones.includes(params.get('zone'))) state.zone = params.get('zone');
+
+  const [sortKey, direction] = (params.get('sort') || '').split(':');
+  if (sortKey && (direction === 'asc' || direction === 'desc')) state.sort = { key: sortKey, direction };
+
+  return state;
+}
+
+/**
+ * Serializes the view state into a query string.
+ * @param state - `{ timeframe, zone, trendFilters, sort }`.
+ * @param defaults - `{ timeframe, zone }` that are left out of the URL.
+ * @returns The query string including the leading '?', or '' when everything is at its default.
+ */
+export function buildUrlSearch({ timeframe, zone, trendFilters, sort }, defaults) {
+  const params = new URLSearchParams();
+  if (timeframe !== defaults.timeframe) params.set('tf', timeframe);
+  if (zone !== defaults.zone) params.set('zone', zone);
+  if (trendFilters.trend) params.set('trend', trendFilters.trend);
+  if (trendFilters.breakout) params.set('breakout', trendFilters.breakout);
+  if (trendFilters.nearOnly) params.set('near', '1');
+  if (trendFilters.dojiOnly) params.set('doji', '1');
+  if (sort) params.set('sort', `${sort.key}:${sort.direction}`);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Replaces the current URL's query string without adding a history entry.
+ * @param search - The new query string.
+ */
+export function replaceUrlSearch(search) {
+  if (window.location.search === search) return;
+  window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+}